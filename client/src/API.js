@@ -60,6 +60,40 @@ const getSizes = async () => {
   return getJson(fetch(SERVER_URL + 'sizes', { credentials: 'include' }));
 }
 
+/**
+ * Fetch the categories used to group the ingredients, with their limit of portions per dish
+ */
+const getIngredientCategories = async () => {
+  return getJson(fetch(SERVER_URL + 'ingredient-categories', { credentials: 'include' }));
+}
+
+/**
+ * Fetch the names of all the allergens ingredients can be tagged with
+ */
+const getAllergens = async () => {
+  return getJson(fetch(SERVER_URL + 'allergens', { credentials: 'include' }));
+}
+
+/**
+ * Fetch the dietary profile of the current user: { diet, allergens }
+ */
+const getDietaryProfile = async () => {
+  return getJson(fetch(SERVER_URL + 'dietary-profile', { credentials: 'include' }));
+}
+
+/**
+ * Save the dietary profile of the current user
+ * profile: { diet: 'none' | 'vegetarian' | 'vegan', allergens: [names] }
+ */
+const saveDietaryProfile = async (profile) => {
+  return getJson(fetch(SERVER_URL + 'dietary-profile', {
+    method: 'PUT',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ diet: profile.diet, allergens: profile.allergens })
+  }));
+}
+
 /**
  * Submit a new order to the server
  * order: Order object containing dish, size, ingredients, and total
@@ -73,14 +107,44 @@ const addOrder = async (order) => {
   }));
 }
 
+/**
+ * Complete a partial selection of ingredients with everything it requires
+ * Nothing is ordered: the server returns { ingredients, added } or rejects with an explanation
+ * dishId, sizeId: dish being configured, ingredients: [{ id, quantity }] selected so far,
+ * inCart: [{ id, quantity }] units already used by the other dishes of the cart
+ */
+const completeDish = async (dishId, sizeId, ingredients, inCart) => {
+  return getJson(fetch(SERVER_URL + 'orders/complete', {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ dishId: dishId, sizeId: sizeId, ingredients: ingredients, inCart: inCart })
+  }));
+}
+
+/**
+ * Generate a random valid dish configuration ("Surprise me")
+ * options: { seed, maxPrice, diet, allergens, includeIngredientId, inCart } (all optional);
+ * the returned configuration carries the seed that reproduces it
+ */
+const getSurprise = async (options) => {
+  return getJson(fetch(SERVER_URL + 'orders/surprise', {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options)
+  }));
+}
+
 /**
  * Cancel an existing order by ID
+ * The order is kept in the history with status 'cancelled'
  * Requires 2FA authentication
  * orderId: ID of the order to cancel
  */
 const cancelOrder = async (orderId) => {
-  return getJson(fetch(SERVER_URL + 'orders/' + orderId, {
-    method: 'DELETE',
+  return getJson(fetch(SERVER_URL + 'orders/' + orderId + '/cancel', {
+    method: 'POST',
     credentials: 'include'
   }));
 }
@@ -130,6 +194,200 @@ const totpVerify = async (totpCode) => {
   }));
 };
 
+/**
+ * Hold units of a limited ingredient for the current user for a few minutes
+ * ingredientId: ID of the ingredient, quantity: units needed by cart and current dish (0 releases the hold)
+ */
+const reserveIngredient = async (ingredientId, quantity) => {
+  return getJson(fetch(SERVER_URL + 'reservations/' + ingredientId, {
+    method: 'PUT',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ quantity: quantity })
+  }));
+}
+
+/**
+ * Subscribe to the real-time updates pushed by the server (Server-Sent Events)
+ * handlers: { availability: function(active ingredients, as getIngredients), orderStatus: function({ id, status, updatedAt }) }
+ * Returns the EventSource; call close() on it to unsubscribe
+ */
+const subscribeEvents = (handlers) => {
+  const source = new EventSource(SERVER_URL + 'events', { withCredentials: true });
+  source.addEventListener('availability', (event) => handlers.availability(JSON.parse(event.data)));
+  source.addEventListener('order-status', (event) => handlers.orderStatus(JSON.parse(event.data)));
+  return source;
+}
+
+/*** Kitchen API: open orders of all users (kitchen, manager and admin roles) ***/
+
+/**
+ * Fetch the open orders of all users, oldest first
+ */
+const getKitchenOrders = async () => {
+  return getJson(fetch(SERVER_URL + 'kitchen/orders', { credentials: 'include' }));
+}
+
+/**
+ * Move an order to a new status
+ * orderId: ID of the order, status: 'preparing', 'ready', 'completed' or 'cancelled'
+ */
+const updateOrderStatus = async (orderId, status) => {
+  return getJson(fetch(SERVER_URL + 'kitchen/orders/' + orderId + '/status', {
+    method: 'PUT',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status: status })
+  }));
+}
+
+/*** Admin API: menu management (manager/admin roles, 2FA required) ***/
+
+/**
+ * Send a JSON request to an admin endpoint
+ * method: HTTP method, path: endpoint path relative to SERVER_URL, body: optional request body
+ */
+const adminRequest = async (method, path, body) => {
+  const options = { method: method, credentials: 'include' };
+  if (body !== undefined) {
+    options.headers = { 'Content-Type': 'application/json' };
+    options.body = JSON.stringify(body);
+  }
+  return getJson(fetch(SERVER_URL + path, options));
+}
+
+/**
+ * Fetch all base dishes, retired ones included
+ */
+const getAdminDishes = async () => adminRequest('GET', 'admin/basedishes');
+
+/**
+ * Add a base dish
+ * name: Name of the new dish
+ */
+const addDish = async (name) => adminRequest('POST', 'admin/basedishes', { name: name });
+
+/**
+ * Rename a base dish, or restore it when active is true
+ * dish: Object with id, name and optional active flag
+ */
+const updateDish = async (dish) => adminRequest('PUT', 'admin/basedishes/' + dish.id, { name: dish.name, active: dish.active });
+
+/**
+ * Retire a base dish (hidden from the menu, kept in historical orders)
+ */
+const retireDish = async (dishId) => adminRequest('DELETE', 'admin/basedishes/' + dishId);
+
+/**
+ * Set the nutrition of a base dish, before the size multiplier and the ingredients
+ * nutrition: Object with calories, protein, fat and carbs (grams)
+ */
+const setDishNutrition = async (dishId, nutrition) => adminRequest('PUT', 'admin/basedishes/' + dishId + '/nutrition', nutrition);
+
+/**
+ * Edit price, ingredient limit and nutrition multiplier of a size
+ * size: Object with id, price, max_ingredients and optional nutrition_multiplier
+ */
+const updateSize = async (size) => adminRequest('PUT', 'admin/sizes/' + size.id,
+  { price: size.price, maxIngredients: size.max_ingredients, nutritionMultiplier: size.nutrition_multiplier });
+
+/**
+ * Fetch all ingredients, retired ones included
+ */
+const getAdminIngredients = async () => adminRequest('GET', 'admin/ingredients');
+
+/**
+ * Add an ingredient
+ * ingredient: Object with name, price and availability (null for unlimited stock),
+ * optional vegetarian and vegan flags, allergens (array of names) and categoryId (null for no category)
+ */
+const addIngredient = async (ingredient) => adminRequest('POST', 'admin/ingredients', ingredient);
+
+/**
+ * Edit name, price, stock, dietary information and category of an ingredient, or restore it when active is true
+ * ingredient: Object with id, name, price, availability, optional vegetarian, vegan, allergens, category_id and active flag
+ */
+const updateIngredient = async (ingredient) => adminRequest('PUT', 'admin/ingredients/' + ingredient.id, {
+  name: ingredient.name, price: ingredient.price, availability: ingredient.availability, active: ingredient.active,
+  vegetarian: ingredient.vegetarian === undefined ? undefined : !!ingredient.vegetarian,
+  vegan: ingredient.vegan === undefined ? undefined : !!ingredient.vegan,
+  allergens: ingredient.allergens,
+  categoryId: ingredient.category_id
+});
+
+/**
+ * Set the nutrition of one portion of an ingredient
+ * nutrition: Object with calories, protein, fat and carbs (grams)
+ */
+const setIngredientNutrition = async (ingredientId, nutrition) => adminRequest('PUT', 'admin/ingredients/' + ingredientId + '/nutrition', nutrition);
+
+/**
+ * Retire an ingredient (hidden from the menu, kept in historical orders)
+ */
+const retireIngredient = async (ingredientId) => adminRequest('DELETE', 'admin/ingredients/' + ingredientId);
+
+/**
+ * Add an ingredient category
+ * category: Object with name and max_per_dish (null for no limit)
+ */
+const addCategory = async (category) => adminRequest('POST', 'admin/ingredient-categories',
+  { name: category.name, maxPerDish: category.max_per_dish });
+
+/**
+ * Rename an ingredient category and change its limit of portions per dish
+ * category: Object with id, name and max_per_dish (null for no limit)
+ */
+const updateCategory = async (category) => adminRequest('PUT', 'admin/ingredient-categories/' + category.id,
+  { name: category.name, maxPerDish: category.max_per_dish });
+
+/**
+ * Delete an ingredient category (refused while some ingredients belong to it)
+ */
+const deleteCategory = async (categoryId) => adminRequest('DELETE', 'admin/ingredient-categories/' + categoryId);
+
+/**
+ * Make an ingredient require another one
+ */
+const addDependency = async (ingredientId, dependsOnId) => adminRequest('POST', 'admin/ingredients/' + ingredientId + '/dependencies', { dependsOnId: dependsOnId });
+
+/**
+ * Remove a dependency between two ingredients
+ */
+const removeDependency = async (ingredientId, dependsOnId) => adminRequest('DELETE', 'admin/ingredients/' + ingredientId + '/dependencies/' + dependsOnId);
+
+/**
+ * Make two ingredients incompatible (symmetric)
+ */
+const addIncompatibility = async (id1, id2) => adminRequest('POST', 'admin/incompatibilities', { ingredientIds: [id1, id2] });
+
+/**
+ * Remove the incompatibility between two ingredients
+ */
+const removeIncompatibility = async (id1, id2) => adminRequest('DELETE', 'admin/incompatibilities/' + id1 + '/' + id2);
+
+/**
+ * Override price and/or maximum number of ingredients of a size for one dish (null keeps the global value)
+ */
+const setSizeOverride = async (dishId, sizeId, override) => adminRequest('PUT', 'admin/basedishes/' + dishId + '/sizes/' + sizeId,
+  { price: override.price, maxIngredients: override.max_ingredients });
+
+/**
+ * Remove the override of a size for one dish
+ */
+const removeSizeOverride = async (dishId, sizeId) => adminRequest('DELETE', 'admin/basedishes/' + dishId + '/sizes/' + sizeId);
+
+/**
+ * Make an ingredient eligible (or not) for a base dish
+ */
+const setEligibility = async (dishId, ingredientId, eligible) => adminRequest('PUT', 'admin/basedishes/' + dishId + '/ingredients/' + ingredientId, { eligible: eligible });
+
 // Export all API functions as a single object
-const API = { getOrders, getIngredients, getDishes, getSizes, addOrder, cancelOrder, logIn, getUserInfo, logOut, totpVerify };
+const API = {
+  getOrders, getIngredients, getDishes, getSizes, getIngredientCategories, getAllergens, getDietaryProfile, saveDietaryProfile, addOrder, completeDish, getSurprise, cancelOrder, reserveIngredient, logIn, getUserInfo, logOut, totpVerify, subscribeEvents,
+  getKitchenOrders, updateOrderStatus,
+  getAdminDishes, addDish, updateDish, retireDish, setDishNutrition, updateSize, setSizeOverride, removeSizeOverride, setEligibility,
+  getAdminIngredients, addIngredient, updateIngredient, setIngredientNutrition, retireIngredient,
+  addCategory, updateCategory, deleteCategory,
+  addDependency, removeDependency, addIncompatibility, removeIncompatibility
+};
 export default API;
\ No newline at end of file
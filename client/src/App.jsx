@@ -1,12 +1,13 @@
 import 'bootstrap/dist/css/bootstrap.min.css';
 import 'bootstrap-icons/font/bootstrap-icons.css';
 import './App.css';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Container } from 'react-bootstrap';
 import { Routes, Route, Navigate, useNavigate } from 'react-router';
-import { GenericLayout, OrderPageLayout, NotFoundLayout, OrderLayout, OrderHistoryLayout, LoginLayout, TotpLayout, MenuLayout, OrderConfigurator, ChooseTotpLayout } from './components/Layout';
+import { GenericLayout, OrderPageLayout, NotFoundLayout, OrderLayout, OrderHistoryLayout, LoginLayout, TotpLayout, MenuLayout, OrderConfigurator, ChooseTotpLayout, AdminLayout, KitchenLayout } from './components/Layout';
 import { LoginForm, TotpForm } from './components/Auth';
 import API from './API.js';
+import { EMPTY_PROFILE } from '../../shared/dietary.mjs';
 
 /**
  * Main Application Component
@@ -27,6 +28,7 @@ function App() {
   // Order management states
   const [orderList, setOrderList] = useState([]);
   const [loadingOrders, setLoadingOrders] = useState(false);
+  const [cart, setCart] = useState([]); // Configured dishes waiting to be submitted as one order
   
   // UI states
   const [message, setMessage] = useState('');
@@ -37,12 +39,37 @@ function App() {
   const [ingredients, setIngredients] = useState([]);
   const [dishes, setDishes] = useState([]);
   const [sizes, setSizes] = useState([]);
+  const [categories, setCategories] = useState([]);
+
+  // Admin data states (retired dishes and ingredients included)
+  const [dirtyAdmin, setDirtyAdmin] = useState(true); // Triggers reload of admin data
+  const [adminDishes, setAdminDishes] = useState([]);
+  const [adminIngredients, setAdminIngredients] = useState([]);
+
+  // Dietary filter states: the profile is saved on the server for logged-in users,
+  // the mode tells whether conflicting ingredients are flagged ('warn') or hidden ('hide')
+  const [allergens, setAllergens] = useState([]);
+  const [dietaryProfile, setDietaryProfile] = useState(EMPTY_PROFILE);
+  const [dietaryMode, setDietaryMode] = useState('warn');
+
+  // Kitchen data states (open orders of all users)
+  const [dirtyKitchen, setDirtyKitchen] = useState(false); // Triggers reload of open orders
+  const [kitchenOrders, setKitchenOrders] = useState([]);
+  const [loadingKitchen, setLoadingKitchen] = useState(false);
+
+  // Menu management is reserved to managers and admins authenticated with TOTP
+  const isStaffAdmin = !!user && ['manager', 'admin'].includes(user.role);
+  const canManageMenu = loggedInTotp && isStaffAdmin;
+  // The kitchen display is open to the kitchen staff, and to managers and admins authenticated with TOTP
+  const canUseKitchen = !!user && (user.role === 'kitchen' || canManageMenu);
+  const isAdmin = !!user && user.role === 'admin';
 
   /**
    * Centralized error handler for the application
-   * Formats different types of errors and handles authentication failures
+   * Formats different types of errors and handles authentication failures.
+   * Memoized, so that the effects using it do not run again on every render.
    */
-  const handleErrors = (err) => {
+  const handleErrors = useCallback((err) => {
     let msg = '';
     if (err.error)
       msg = err.error;
@@ -71,7 +98,7 @@ function App() {
       // Force data reload after other errors
       setTimeout(() => setDirty(true), 2000);
     }
-  };
+  }, [navigate]);
 
   // Check authentication status on app startup
   useEffect(()=> {
@@ -89,18 +116,22 @@ function App() {
     checkAuth();
   }, []);
 
-  // Load public data (ingredients, dishes, sizes) when dirty flag is set
+  // Load public data (ingredients, dishes, sizes, categories) when dirty flag is set
   useEffect(() => {
     if (dirty) {
       Promise.all([
         API.getIngredients(),
         API.getDishes(),
-        API.getSizes()
+        API.getSizes(),
+        API.getIngredientCategories(),
+        API.getAllergens()
       ])
-      .then(([ingredientsData, dishesData, sizesData]) => {
+      .then(([ingredientsData, dishesData, sizesData, categoriesData, allergensData]) => {
         setIngredients(ingredientsData);
         setDishes(dishesData);
         setSizes(sizesData);
+        setCategories(categoriesData);
+        setAllergens(allergensData);
         setDirty(false);
       })
       .catch(error => {
@@ -110,6 +141,99 @@ function App() {
     }
   }, [dirty]);
 
+  // Load the saved dietary profile when the user logs in
+  useEffect(() => {
+    if (loggedIn) {
+      API.getDietaryProfile()
+        .then(profile => setDietaryProfile(profile))
+        .catch(error => handleErrors(error));
+    }
+  }, [loggedIn, handleErrors]);
+
+  /**
+   * Change the dietary profile, saving it on the server for logged-in users
+   *
+   * @param {Object} profile - New profile { diet, allergens }
+   */
+  const handleDietaryChange = (profile) => {
+    setDietaryProfile(profile);
+    if (loggedIn) {
+      API.saveDietaryProfile(profile).catch(error => handleErrors(error));
+    }
+  };
+
+  // Dietary filter state shared by the menu and the order configurator
+  const dietary = {
+    allergens: allergens,
+    profile: dietaryProfile,
+    setProfile: handleDietaryChange,
+    mode: dietaryMode,
+    setMode: setDietaryMode,
+    saved: loggedIn
+  };
+
+  // Load admin data (dishes and, for admins, ingredients) when dirtyAdmin flag is set
+  useEffect(() => {
+    if (canManageMenu && dirtyAdmin) {
+      Promise.all([
+        API.getAdminDishes(),
+        isAdmin ? API.getAdminIngredients() : Promise.resolve([])
+      ])
+      .then(([dishesData, ingredientsData]) => {
+        setAdminDishes(dishesData);
+        setAdminIngredients(ingredientsData);
+        setDirtyAdmin(false);
+      })
+      .catch(error => {
+        console.error('Error loading admin data:', error);
+        handleErrors(error);
+      });
+    }
+  }, [canManageMenu, isAdmin, dirtyAdmin, handleErrors]);
+
+  // Load the open orders of all users when dirtyKitchen flag is set.
+  // The flag is cleared when a load starts: if it is set again meanwhile (e.g. by an order status event),
+  // another load follows as soon as the current one ends, so that no change is missed.
+  useEffect(() => {
+    if (canUseKitchen && dirtyKitchen && !loadingKitchen) {
+      setLoadingKitchen(true);
+      setDirtyKitchen(false);
+      API.getKitchenOrders()
+        .then(ordersData => {
+          setKitchenOrders(ordersData);
+          setLoadingKitchen(false);
+        })
+        .catch(error => {
+          console.error('Error loading kitchen orders:', error);
+          handleErrors(error);
+          setLoadingKitchen(false);
+        });
+    }
+  }, [canUseKitchen, dirtyKitchen, loadingKitchen, handleErrors]);
+
+  // Subscribe to the real-time updates of the server: stock changes and order status changes
+  // are applied in place. The subscription is renewed when the user (or their 2FA status) changes,
+  // since the server decides which order updates to push from the session.
+  useEffect(() => {
+    const source = API.subscribeEvents({
+      // The event carries the whole list of active ingredients: created or restored ones are added, retired ones removed
+      availability: (activeIngredients) => {
+        setIngredients(activeIngredients);
+      },
+      orderStatus: (update) => {
+        // Orders of other users (pushed to the staff only) are not in the list and are left untouched
+        setOrderList(oldOrders => oldOrders.map(order => order.id === update.id && order.status !== update.status ? {
+          ...order,
+          status: update.status,
+          updatedAt: update.updatedAt,
+          timeline: [...order.timeline, { status: update.status, changedAt: update.updatedAt }]
+        } : order));
+        if (canUseKitchen) setDirtyKitchen(true);
+      }
+    });
+    return () => source.close();
+  }, [user, loggedInTotp, canUseKitchen]);
+
   // Load user orders when authentication status changes to logged in or when dirtyOrders flag is set
   useEffect(() => {
     if (loggedIn && !loadingOrders) {
@@ -160,6 +284,12 @@ function App() {
     setLoggedInTotp(false);
     setUser(null);
     setOrderList([]);
+    setCart([]);
+    setAdminDishes([]);
+    setAdminIngredients([]);
+    setDirtyAdmin(true);
+    setKitchenOrders([]);
+    setDietaryProfile(EMPTY_PROFILE);
     setTotpChoiceMade(false);
     setMessage('');
     setLoggingOut(false);
@@ -188,7 +318,9 @@ function App() {
                 ingredients={ingredients}
                 dishes={dishes}
                 sizes={sizes}
+                categories={categories}
                 loading={false}
+                dietary={dietary}
               />
             )
           } />
@@ -199,13 +331,17 @@ function App() {
                 ingredients={ingredients}
                 dishes={dishes}
                 sizes={sizes}
+                categories={categories}
                 loading={false}
                 orderList={orderList}
                 setOrderList={setOrderList}
+                cart={cart}
+                setCart={setCart}
                 handleErrors={handleErrors}
                 dirty={dirty}
                 setDirty={setDirty}
                 setDirtyOrders={setDirtyOrders}
+                dietary={dietary}
               />
             ) : <Navigate replace to="/login" />
           } />
@@ -224,6 +360,34 @@ function App() {
               />
             ) : <Navigate to="/login" replace />
           } />
+          {/* Kitchen display page - requires kitchen role, or manager/admin role and TOTP */}
+          <Route path="kitchen" element={
+            canUseKitchen ? (
+              <KitchenLayout
+                orders={kitchenOrders}
+                loading={loadingKitchen}
+                handleErrors={handleErrors}
+                setDirtyKitchen={setDirtyKitchen}
+              />
+            ) : isStaffAdmin ? <Navigate replace to="/totp" /> : <Navigate replace to="/" />
+          } />
+          {/* Menu management page - requires manager or admin role and TOTP */}
+          <Route path="admin" element={
+            canManageMenu ? (
+              <AdminLayout
+                user={user}
+                dishes={adminDishes}
+                sizes={sizes}
+                ingredients={adminIngredients}
+                menuIngredients={ingredients}
+                categories={categories}
+                allergens={allergens}
+                handleErrors={handleErrors}
+                setDirty={setDirty}
+                setDirtyAdmin={setDirtyAdmin}
+              />
+            ) : isStaffAdmin ? <Navigate replace to="/totp" /> : <Navigate replace to="/" />
+          } />
         </Route>
         {/* Login page with TOTP choice handling */}
         <Route path='/login' element={ <LoginWithTotp loggedIn={loggedIn} loggingOut={loggingOut} login={handleLogin} user={user} loggedInTotp={loggedInTotp} setLoggedInTotp={setLoggedInTotp} totpChoiceMade={totpChoiceMade} setTotpChoiceMade={setTotpChoiceMade} /> } />
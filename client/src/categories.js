@@ -0,0 +1,42 @@
+/**
+ * Ingredient category helpers shared by the menu and the order configurator
+ */
+
+/**
+ * Group ingredients by category, in the order of the categories. Ingredients without a
+ * category are collected in a final 'Other' group; empty groups are left out.
+ *
+ * @param {Array} ingredients - Ingredients with their category_id
+ * @param {Array} categories - Ingredient categories { id, name, max_per_dish }
+ * @returns {Array} Groups { key, name, category, ingredients } (category is null for 'Other')
+ */
+const groupByCategory = (ingredients, categories) => {
+  const groups = categories.map(category => ({
+    key: category.id,
+    name: category.name,
+    category: category,
+    ingredients: ingredients.filter(ing => ing.category_id === category.id)
+  }));
+  groups.push({
+    key: 'other',
+    name: 'Other',
+    category: null,
+    ingredients: ingredients.filter(ing => !categories.some(category => category.id === ing.category_id))
+  });
+  return groups.filter(group => group.ingredients.length > 0);
+};
+
+/**
+ * Count the portions of the selected ingredients that belong to a category
+ *
+ * @param {number} categoryId - Category to count
+ * @param {Array} selectedIngredients - Selected ingredients with their quantity
+ * @returns {number} Portions of the category
+ */
+const getCategoryPortions = (categoryId, selectedIngredients) => {
+  return selectedIngredients
+    .filter(ing => ing.category_id === categoryId)
+    .reduce((sum, ing) => sum + ing.quantity, 0);
+};
+
+export { groupByCategory, getCategoryPortions };
@@ -0,0 +1,891 @@
+import { useState } from 'react';
+import { Tabs, Tab, Table, Button, Form, Badge, Alert } from 'react-bootstrap';
+import API from '../API.js';
+import { NUTRIENTS } from '../../../shared/nutrition.mjs';
+import { getRequirementChains } from '../constraints.js';
+
+/**
+ * AdminPanel Component
+ *
+ * Menu management area for staff. Managers can edit base dishes, sizes, which ingredients
+ * can be put on each dish and the nutrition of the dishes; admins can also edit ingredients (including stock levels, dietary flags,
+ * allergens and category), the ingredient categories and the ingredient constraints.
+ * Every change reloads both the admin data and the public menu data in the parent.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Current user (role decides the visible sections)
+ * @param {Array} props.dishes - All base dishes, retired ones included, with their size overrides
+ * @param {Array} props.sizes - Available dish sizes
+ * @param {Array} props.ingredients - All ingredients, retired ones included
+ * @param {Array} props.menuIngredients - Ingredients on the menu, with the dishes they are eligible for
+ * @param {Array} props.categories - Ingredient categories with their limit of portions per dish
+ * @param {Array} props.allergens - Names of all the allergens
+ * @param {Function} props.handleErrors - Error handling function from parent
+ * @param {Function} props.setDirty - Function to trigger public data refresh in parent
+ * @param {Function} props.setDirtyAdmin - Function to trigger admin data refresh in parent
+ */
+function AdminPanel(props) {
+  const { user, dishes = [], sizes = [], ingredients = [], menuIngredients = [], categories = [], allergens = [], handleErrors, setDirty, setDirtyAdmin } = props;
+  const isAdmin = user && user.role === 'admin';
+
+  // State for success feedback messages
+  const [message, setMessage] = useState('');
+
+  /**
+   * Wait for an admin API call, then show a feedback message and reload the data
+   *
+   * @param {Promise} apiCall - Pending API call
+   * @param {string} successMessage - Message shown when the call succeeds
+   */
+  const runAction = (apiCall, successMessage) => {
+    apiCall
+      .then(() => {
+        setMessage(successMessage);
+        setTimeout(() => setMessage(''), 3000);
+        setDirtyAdmin(true);
+        setDirty(true);
+      })
+      .catch(err => handleErrors(err));
+  };
+
+  return (
+    <div style={{backgroundColor: '#f1f5f9', minHeight: '100vh', padding: '20px'}}>
+      {/* Page Header Section */}
+      <div className="card border-0 mb-4" style={{borderRadius: '20px', boxShadow: '0 8px 30px rgba(0,0,0,0.12)'}}>
+        <div className="card-header border-0" style={{background: '#1e3a8a', borderRadius: '20px', padding: '30px'}}>
+          <h1 className="mb-2 fw-bold text-white" style={{fontFamily: 'serif'}}>
+            <i className="bi bi-gear-fill me-3"></i>
+            Menu Management
+          </h1>
+          <p className="mb-0 text-white opacity-75" style={{fontSize: '1.1rem'}}>
+            {isAdmin ? 'Edit dishes, sizes, ingredients and their constraints' : 'Edit dishes, sizes and their ingredients'}
+          </p>
+        </div>
+      </div>
+
+      {message && (
+        <Alert variant="success" dismissible onClose={() => setMessage('')} style={{borderRadius: '15px'}}>
+          <i className="bi bi-check-circle-fill me-2"></i>
+          {message}
+        </Alert>
+      )}
+
+      <div className="card border-0" style={{borderRadius: '20px', boxShadow: '0 8px 30px rgba(0,0,0,0.12)'}}>
+        <div className="card-body" style={{padding: '25px'}}>
+          <Tabs defaultActiveKey="dishes" className="mb-4">
+            <Tab eventKey="dishes" title={<><i className="bi bi-bowl-hot me-2"></i>Dishes</>}>
+              <DishesTable dishes={dishes} runAction={runAction} />
+            </Tab>
+            <Tab eventKey="sizes" title={<><i className="bi bi-arrows-angle-expand me-2"></i>Sizes</>}>
+              <SizesTable sizes={sizes} runAction={runAction} />
+              <DishSizesTable dishes={dishes.filter(dish => dish.active)} sizes={sizes} runAction={runAction} />
+            </Tab>
+            <Tab eventKey="eligibility" title={<><i className="bi bi-grid-3x3-gap-fill me-2"></i>Dish ingredients</>}>
+              <EligibilityTable dishes={dishes.filter(dish => dish.active)} ingredients={menuIngredients} runAction={runAction} />
+            </Tab>
+            <Tab eventKey="nutrition" title={<><i className="bi bi-fire me-2"></i>Nutrition</>}>
+              <NutritionTable title="Base dishes" items={dishes.filter(dish => dish.active)}
+                              onSave={(dish, nutrition) => runAction(API.setDishNutrition(dish.id, nutrition), `${dish.name} nutrition saved`)} />
+              {isAdmin && (
+                <NutritionTable title="Ingredients (per portion)" items={ingredients.filter(ing => ing.active)}
+                                onSave={(ing, nutrition) => runAction(API.setIngredientNutrition(ing.id, nutrition), `${ing.name} nutrition saved`)} />
+              )}
+            </Tab>
+            {isAdmin && (
+              <Tab eventKey="ingredients" title={<><i className="bi bi-basket3-fill me-2"></i>Ingredients</>}>
+                <IngredientsTable ingredients={ingredients} categories={categories} allergens={allergens} runAction={runAction} />
+              </Tab>
+            )}
+            {isAdmin && (
+              <Tab eventKey="categories" title={<><i className="bi bi-collection-fill me-2"></i>Categories</>}>
+                <CategoriesTable categories={categories} runAction={runAction} />
+              </Tab>
+            )}
+            {isAdmin && (
+              <Tab eventKey="constraints" title={<><i className="bi bi-diagram-3-fill me-2"></i>Constraints</>}>
+                <ConstraintEditor ingredients={ingredients} runAction={runAction} />
+              </Tab>
+            )}
+          </Tabs>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Badge showing whether a dish or ingredient is on the menu or retired
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.active - 1 if on the menu, 0 if retired
+ */
+function ActiveBadge(props) {
+  return props.active ? (
+    <Badge bg="success" style={{borderRadius: '10px'}}>On the menu</Badge>
+  ) : (
+    <Badge bg="secondary" style={{borderRadius: '10px'}}>Retired</Badge>
+  );
+}
+
+/**
+ * Editable table of base dishes with a form to add a new dish
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.dishes - All base dishes, retired ones included
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function DishesTable(props) {
+  const [newName, setNewName] = useState('');
+
+  /**
+   * Handle submission of the new dish form
+   *
+   * @param {Event} event - Form submission event
+   */
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (newName.trim() === '') return;
+    props.runAction(API.addDish(newName.trim()), `${newName.trim()} added to the menu`);
+    setNewName('');
+  };
+
+  return (
+    <>
+      <Table responsive hover className="align-middle">
+        <thead>
+          <tr>
+            <th style={{width: '50%'}}>Name</th>
+            <th>Status</th>
+            <th className="text-end">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {props.dishes.map(dish => (
+            <DishRow key={dish.id} dish={dish} runAction={props.runAction} />
+          ))}
+        </tbody>
+      </Table>
+      <Form onSubmit={handleAdd} className="d-flex gap-2">
+        <Form.Control placeholder="New dish name" value={newName} onChange={(ev) => setNewName(ev.target.value)} />
+        <Button type="submit" disabled={newName.trim() === ''} style={{background: '#1e3a8a', border: 'none', whiteSpace: 'nowrap'}}>
+          <i className="bi bi-plus-lg me-1"></i>
+          Add dish
+        </Button>
+      </Form>
+    </>
+  );
+}
+
+/**
+ * One editable row of the dishes table
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.dish - Dish to edit
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function DishRow(props) {
+  const { dish, runAction } = props;
+  const [name, setName] = useState(dish.name);
+
+  return (
+    <tr style={{opacity: dish.active ? 1 : 0.6}}>
+      <td>
+        <Form.Control value={name} onChange={(ev) => setName(ev.target.value)} />
+      </td>
+      <td><ActiveBadge active={dish.active} /></td>
+      <td className="text-end">
+        <div className="d-flex justify-content-end gap-2">
+          <Button size="sm" variant="outline-primary" disabled={name.trim() === '' || name === dish.name}
+                  onClick={() => runAction(API.updateDish({ id: dish.id, name: name.trim() }), `${name.trim()} saved`)}>
+            <i className="bi bi-save me-1"></i>Save
+          </Button>
+          {dish.active ? (
+            <Button size="sm" variant="outline-danger" onClick={() => runAction(API.retireDish(dish.id), `${dish.name} retired`)}>
+              <i className="bi bi-archive me-1"></i>Retire
+            </Button>
+          ) : (
+            <Button size="sm" variant="outline-success" onClick={() => runAction(API.updateDish({ id: dish.id, name: dish.name, active: true }), `${dish.name} restored`)}>
+              <i className="bi bi-arrow-counterclockwise me-1"></i>Restore
+            </Button>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Editable table of sizes (price, maximum number of ingredients and nutrition multiplier)
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.sizes - Available dish sizes
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function SizesTable(props) {
+  return (
+    <Table responsive hover className="align-middle">
+      <thead>
+        <tr>
+          <th>Size</th>
+          <th>Price (€)</th>
+          <th>Max ingredients</th>
+          <th>Nutrition ×</th>
+          <th className="text-end">Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        {props.sizes.map(size => (
+          <SizeRow key={size.id} size={size} runAction={props.runAction} />
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+/**
+ * One editable row of the sizes table
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.size - Size to edit
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function SizeRow(props) {
+  const { size, runAction } = props;
+  const [price, setPrice] = useState(String(size.price));
+  const [maxIngredients, setMaxIngredients] = useState(String(size.max_ingredients));
+  const [multiplier, setMultiplier] = useState(String(size.nutrition_multiplier));
+
+  const valid = price !== '' && Number(price) >= 0 && Number.isInteger(Number(maxIngredients)) && Number(maxIngredients) >= 0 &&
+    multiplier !== '' && Number(multiplier) >= 0;
+
+  return (
+    <tr>
+      <td className="fw-bold" style={{color: '#1e3a8a'}}>{size.name}</td>
+      <td>
+        <Form.Control type="number" min={0} step="0.10" value={price} onChange={(ev) => setPrice(ev.target.value)} />
+      </td>
+      <td>
+        <Form.Control type="number" min={0} step={1} value={maxIngredients} onChange={(ev) => setMaxIngredients(ev.target.value)} />
+      </td>
+      <td>
+        <Form.Control type="number" min={0} step="0.05" value={multiplier} onChange={(ev) => setMultiplier(ev.target.value)} />
+      </td>
+      <td className="text-end">
+        <Button size="sm" variant="outline-primary" disabled={!valid}
+                onClick={() => runAction(API.updateSize({ id: size.id, price: Number(price), max_ingredients: Number(maxIngredients), nutrition_multiplier: Number(multiplier) }), `${size.name} size saved`)}>
+          <i className="bi bi-save me-1"></i>Save
+        </Button>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Table of the per-dish size overrides: every dish-size combination can have its own
+ * price and maximum number of ingredients. Empty fields use the values of the size.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.dishes - Base dishes on the menu, with their sizeOverrides
+ * @param {Array} props.sizes - Available dish sizes
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function DishSizesTable(props) {
+  const { dishes, sizes, runAction } = props;
+
+  return (
+    <>
+      <h5 className="mt-4 mb-3 fw-bold" style={{color: '#1e3a8a'}}>Prices and limits per dish</h5>
+      <Table responsive hover className="align-middle">
+        <thead>
+          <tr>
+            <th>Dish</th>
+            <th>Size</th>
+            <th>Price (€)</th>
+            <th>Max ingredients</th>
+            <th className="text-end">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {dishes.flatMap(dish => sizes.map(size => (
+            <DishSizeRow key={`${dish.id}-${size.id}`} dish={dish} size={size}
+                         override={(dish.sizeOverrides || []).find(o => o.size_id === size.id)} runAction={runAction} />
+          )))}
+        </tbody>
+      </Table>
+    </>
+  );
+}
+
+/**
+ * One editable row of the per-dish size table
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.dish - Base dish
+ * @param {Object} props.size - Size with its global price and limit
+ * @param {Object} props.override - Current override of the dish for this size, if any
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function DishSizeRow(props) {
+  const { dish, size, override, runAction } = props;
+  const [price, setPrice] = useState(override && override.price !== null ? String(override.price) : '');
+  const [maxIngredients, setMaxIngredients] = useState(override && override.max_ingredients !== null ? String(override.max_ingredients) : '');
+
+  const valid = (price === '' || Number(price) >= 0) &&
+    (maxIngredients === '' || (Number.isInteger(Number(maxIngredients)) && Number(maxIngredients) >= 0));
+
+  const handleSave = () => {
+    const values = { price: price === '' ? null : Number(price), max_ingredients: maxIngredients === '' ? null : Number(maxIngredients) };
+    runAction(API.setSizeOverride(dish.id, size.id, values), `${size.name} ${dish.name} saved`);
+  };
+
+  const handleReset = () => {
+    setPrice('');
+    setMaxIngredients('');
+    runAction(API.removeSizeOverride(dish.id, size.id), `${size.name} ${dish.name} uses the ${size.name} size again`);
+  };
+
+  return (
+    <tr>
+      <td className="fw-bold" style={{color: '#1e3a8a'}}>{dish.name}</td>
+      <td>{size.name}</td>
+      <td>
+        <Form.Control type="number" min={0} step="0.10" placeholder={size.price.toFixed(2)} value={price}
+                      onChange={(ev) => setPrice(ev.target.value)} />
+      </td>
+      <td>
+        <Form.Control type="number" min={0} step={1} placeholder={String(size.max_ingredients)} value={maxIngredients}
+                      onChange={(ev) => setMaxIngredients(ev.target.value)} />
+      </td>
+      <td className="text-end">
+        <div className="d-flex justify-content-end gap-2">
+          <Button size="sm" variant="outline-primary" disabled={!valid} onClick={handleSave}>
+            <i className="bi bi-save me-1"></i>Save
+          </Button>
+          {override && (
+            <Button size="sm" variant="outline-secondary" onClick={handleReset}>
+              <i className="bi bi-arrow-counterclockwise me-1"></i>Reset
+            </Button>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Grid of ingredients (rows) by base dishes (columns): a checked cell means that
+ * the ingredient can be put on the dish.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.dishes - Base dishes on the menu
+ * @param {Array} props.ingredients - Ingredients on the menu, with their eligibleDishes ids
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function EligibilityTable(props) {
+  const { dishes, ingredients, runAction } = props;
+
+  const handleChange = (dish, ingredient, eligible) => {
+    runAction(API.setEligibility(dish.id, ingredient.id, eligible),
+      eligible ? `${ingredient.name} can now be put on ${dish.name}` : `${ingredient.name} removed from ${dish.name}`);
+  };
+
+  return (
+    <Table responsive hover className="align-middle">
+      <thead>
+        <tr>
+          <th>Ingredient</th>
+          {dishes.map(dish => (
+            <th key={dish.id} className="text-center">{dish.name}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {ingredients.map(ing => (
+          <tr key={ing.id}>
+            <td className="fw-bold" style={{color: '#1e3a8a'}}>{ing.name}</td>
+            {dishes.map(dish => {
+              const eligible = (ing.eligibleDishes || []).includes(dish.id);
+              return (
+                <td key={dish.id} className="text-center">
+                  <Form.Check type="checkbox" className="d-inline-block" checked={eligible}
+                              aria-label={`${ing.name} on ${dish.name}`}
+                              onChange={(ev) => handleChange(dish, ing, ev.target.checked)} />
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+/**
+ * Editable table of nutrition values (calories, protein, fat and carbs) of base dishes or ingredients
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Title shown above the table
+ * @param {Array} props.items - Base dishes or ingredients with their nutrition
+ * @param {Function} props.onSave - Called with the item and its new nutrition
+ */
+function NutritionTable(props) {
+  const { title, items, onSave } = props;
+
+  return (
+    <>
+      <h5 className="mt-2 mb-3 fw-bold" style={{color: '#1e3a8a'}}>{title}</h5>
+      <Table responsive hover className="align-middle mb-4">
+        <thead>
+          <tr>
+            <th>Name</th>
+            {NUTRIENTS.map(nutrient => (
+              <th key={nutrient.key}>{nutrient.label} ({nutrient.unit})</th>
+            ))}
+            <th className="text-end">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(item => (
+            <NutritionRow key={item.id} item={item} onSave={onSave} />
+          ))}
+        </tbody>
+      </Table>
+    </>
+  );
+}
+
+/**
+ * One editable row of a nutrition table
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Base dish or ingredient with calories, protein, fat and carbs
+ * @param {Function} props.onSave - Called with the item and its new nutrition
+ */
+function NutritionRow(props) {
+  const { item, onSave } = props;
+  const [values, setValues] = useState(Object.fromEntries(NUTRIENTS.map(n => [n.key, String(item[n.key] ?? 0)])));
+
+  const valid = NUTRIENTS.every(n => values[n.key] !== '' && Number(values[n.key]) >= 0);
+
+  return (
+    <tr>
+      <td className="fw-bold" style={{color: '#1e3a8a'}}>{item.name}</td>
+      {NUTRIENTS.map(nutrient => (
+        <td key={nutrient.key}>
+          <Form.Control type="number" min={0} step="0.1" value={values[nutrient.key]}
+                        onChange={(ev) => setValues({ ...values, [nutrient.key]: ev.target.value })} />
+        </td>
+      ))}
+      <td className="text-end">
+        <Button size="sm" variant="outline-primary" disabled={!valid}
+                onClick={() => onSave(item, Object.fromEntries(NUTRIENTS.map(n => [n.key, Number(values[n.key])])))}>
+          <i className="bi bi-save me-1"></i>Save
+        </Button>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Editable table of ingredients (name, price, stock) with a form to add a new ingredient.
+ * An empty stock field means unlimited availability.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.ingredients - All ingredients, retired ones included
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function IngredientsTable(props) {
+  const [newName, setNewName] = useState('');
+  const [newPrice, setNewPrice] = useState('');
+  const [newStock, setNewStock] = useState('');
+  const [newVegetarian, setNewVegetarian] = useState(true);
+  const [newVegan, setNewVegan] = useState(true);
+  const [newCategory, setNewCategory] = useState('');
+
+  /**
+   * Handle submission of the new ingredient form
+   *
+   * @param {Event} event - Form submission event
+   */
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (newName.trim() === '' || newPrice === '') return;
+    const ingredient = {
+      name: newName.trim(),
+      price: Number(newPrice),
+      availability: newStock === '' ? null : Number(newStock),
+      vegetarian: newVegetarian,
+      vegan: newVegetarian && newVegan,
+      categoryId: newCategory === '' ? null : Number(newCategory)
+    };
+    props.runAction(API.addIngredient(ingredient), `${ingredient.name} added`);
+    setNewName('');
+    setNewPrice('');
+    setNewStock('');
+    setNewVegetarian(true);
+    setNewVegan(true);
+    setNewCategory('');
+  };
+
+  return (
+    <>
+      <Table responsive hover className="align-middle">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Price (€)</th>
+            <th>Stock <small className="text-muted fw-normal">(empty = unlimited)</small></th>
+            <th>Category</th>
+            <th>Dietary</th>
+            <th>Allergens</th>
+            <th>Status</th>
+            <th className="text-end">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {props.ingredients.map(ing => (
+            <IngredientRow key={ing.id} ingredient={ing} categories={props.categories} allergens={props.allergens} runAction={props.runAction} />
+          ))}
+        </tbody>
+      </Table>
+      <Form onSubmit={handleAdd} className="d-flex gap-2">
+        <Form.Control placeholder="New ingredient name" value={newName} onChange={(ev) => setNewName(ev.target.value)} />
+        <Form.Control type="number" min={0} step="0.10" placeholder="Price" value={newPrice} onChange={(ev) => setNewPrice(ev.target.value)} style={{maxWidth: '120px'}} />
+        <Form.Control type="number" min={0} step={1} placeholder="Stock" value={newStock} onChange={(ev) => setNewStock(ev.target.value)} style={{maxWidth: '120px'}} />
+        <CategorySelect categories={props.categories} value={newCategory} onChange={setNewCategory} style={{maxWidth: '160px'}} />
+        <Form.Check type="checkbox" label="Vegetarian" className="align-self-center text-nowrap" checked={newVegetarian}
+                    onChange={(ev) => setNewVegetarian(ev.target.checked)} />
+        <Form.Check type="checkbox" label="Vegan" className="align-self-center text-nowrap" checked={newVegetarian && newVegan}
+                    disabled={!newVegetarian} onChange={(ev) => setNewVegan(ev.target.checked)} />
+        <Button type="submit" disabled={newName.trim() === '' || newPrice === ''} style={{background: '#1e3a8a', border: 'none', whiteSpace: 'nowrap'}}>
+          <i className="bi bi-plus-lg me-1"></i>
+          Add ingredient
+        </Button>
+      </Form>
+    </>
+  );
+}
+
+/**
+ * One editable row of the ingredients table
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.ingredient - Ingredient to edit
+ * @param {Array} props.categories - Ingredient categories
+ * @param {Array} props.allergens - Names of all the allergens
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function IngredientRow(props) {
+  const { ingredient, categories = [], allergens = [], runAction } = props;
+  const [name, setName] = useState(ingredient.name);
+  const [price, setPrice] = useState(String(ingredient.price));
+  const [stock, setStock] = useState(ingredient.availability === null ? '' : String(ingredient.availability));
+  const [vegetarian, setVegetarian] = useState(!!ingredient.vegetarian);
+  const [vegan, setVegan] = useState(!!ingredient.vegan);
+  const [selectedAllergens, setSelectedAllergens] = useState(ingredient.allergens || []);
+  const [category, setCategory] = useState(ingredient.category_id === null ? '' : String(ingredient.category_id));
+
+  const valid = name.trim() !== '' && price !== '' && Number(price) >= 0 &&
+    (stock === '' || (Number.isInteger(Number(stock)) && Number(stock) >= 0));
+
+  /**
+   * Save the edited values of the ingredient
+   */
+  const handleSave = () => {
+    const updated = {
+      id: ingredient.id,
+      name: name.trim(),
+      price: Number(price),
+      availability: stock === '' ? null : Number(stock),
+      vegetarian: vegetarian,
+      vegan: vegetarian && vegan,
+      allergens: selectedAllergens,
+      category_id: category === '' ? null : Number(category)
+    };
+    runAction(API.updateIngredient(updated), `${updated.name} saved`);
+  };
+
+  return (
+    <tr style={{opacity: ingredient.active ? 1 : 0.6}}>
+      <td>
+        <Form.Control value={name} onChange={(ev) => setName(ev.target.value)} />
+      </td>
+      <td>
+        <Form.Control type="number" min={0} step="0.10" value={price} onChange={(ev) => setPrice(ev.target.value)} />
+      </td>
+      <td>
+        <Form.Control type="number" min={0} step={1} placeholder="Unlimited" value={stock} onChange={(ev) => setStock(ev.target.value)} />
+      </td>
+      <td>
+        <CategorySelect categories={categories} value={category} onChange={setCategory} />
+      </td>
+      <td>
+        <Form.Check type="checkbox" label="Vegetarian" className="text-nowrap" checked={vegetarian}
+                    onChange={(ev) => setVegetarian(ev.target.checked)} />
+        <Form.Check type="checkbox" label="Vegan" className="text-nowrap" checked={vegetarian && vegan} disabled={!vegetarian}
+                    onChange={(ev) => setVegan(ev.target.checked)} />
+      </td>
+      <td>
+        <Form.Select multiple htmlSize={3} value={selectedAllergens} aria-label={`Allergens of ${ingredient.name}`}
+                     onChange={(ev) => setSelectedAllergens([...ev.target.selectedOptions].map(option => option.value))}>
+          {allergens.map(allergen => (
+            <option key={allergen} value={allergen}>{allergen}</option>
+          ))}
+        </Form.Select>
+      </td>
+      <td><ActiveBadge active={ingredient.active} /></td>
+      <td className="text-end">
+        <div className="d-flex justify-content-end gap-2">
+          <Button size="sm" variant="outline-primary" disabled={!valid} onClick={handleSave}>
+            <i className="bi bi-save me-1"></i>Save
+          </Button>
+          {ingredient.active ? (
+            <Button size="sm" variant="outline-danger" onClick={() => runAction(API.retireIngredient(ingredient.id), `${ingredient.name} retired`)}>
+              <i className="bi bi-archive me-1"></i>Retire
+            </Button>
+          ) : (
+            <Button size="sm" variant="outline-success"
+                    onClick={() => runAction(API.updateIngredient({ ...ingredient, active: true }), `${ingredient.name} restored`)}>
+              <i className="bi bi-arrow-counterclockwise me-1"></i>Restore
+            </Button>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Selector of the category of an ingredient; the empty value means no category
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.categories - Ingredient categories
+ * @param {string} props.value - Selected category id ('' for none)
+ * @param {Function} props.onChange - Called with the new category id ('' for none)
+ * @param {Object} props.style - Optional inline style
+ */
+function CategorySelect(props) {
+  const { categories = [], value, onChange, style } = props;
+
+  return (
+    <Form.Select value={value} onChange={(ev) => onChange(ev.target.value)} style={style} aria-label="Category">
+      <option value="">No category</option>
+      {categories.map(category => (
+        <option key={category.id} value={category.id}>{category.name}</option>
+      ))}
+    </Form.Select>
+  );
+}
+
+/**
+ * Editable table of ingredient categories (name and maximum portions per dish) with a form to add a new one.
+ * An empty limit means no limit.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.categories - Ingredient categories
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function CategoriesTable(props) {
+  const [newName, setNewName] = useState('');
+  const [newLimit, setNewLimit] = useState('');
+
+  const validLimit = newLimit === '' || (Number.isInteger(Number(newLimit)) && Number(newLimit) >= 1);
+
+  /**
+   * Handle submission of the new category form
+   *
+   * @param {Event} event - Form submission event
+   */
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (newName.trim() === '' || !validLimit) return;
+    const category = { name: newName.trim(), max_per_dish: newLimit === '' ? null : Number(newLimit) };
+    props.runAction(API.addCategory(category), `${category.name} added`);
+    setNewName('');
+    setNewLimit('');
+  };
+
+  return (
+    <>
+      <Table responsive hover className="align-middle">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Max portions per dish <small className="text-muted fw-normal">(empty = no limit)</small></th>
+            <th className="text-end">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {props.categories.map(category => (
+            <CategoryRow key={category.id} category={category} runAction={props.runAction} />
+          ))}
+        </tbody>
+      </Table>
+      <Form onSubmit={handleAdd} className="d-flex gap-2">
+        <Form.Control placeholder="New category name" value={newName} onChange={(ev) => setNewName(ev.target.value)} />
+        <Form.Control type="number" min={1} step={1} placeholder="Max per dish" value={newLimit} onChange={(ev) => setNewLimit(ev.target.value)} style={{maxWidth: '160px'}} />
+        <Button type="submit" disabled={newName.trim() === '' || !validLimit} style={{background: '#1e3a8a', border: 'none', whiteSpace: 'nowrap'}}>
+          <i className="bi bi-plus-lg me-1"></i>
+          Add category
+        </Button>
+      </Form>
+    </>
+  );
+}
+
+/**
+ * One editable row of the categories table
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.category - Category to edit
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function CategoryRow(props) {
+  const { category, runAction } = props;
+  const [name, setName] = useState(category.name);
+  const [limit, setLimit] = useState(category.max_per_dish === null ? '' : String(category.max_per_dish));
+
+  const valid = name.trim() !== '' && (limit === '' || (Number.isInteger(Number(limit)) && Number(limit) >= 1));
+
+  const handleSave = () => {
+    const updated = { id: category.id, name: name.trim(), max_per_dish: limit === '' ? null : Number(limit) };
+    runAction(API.updateCategory(updated), `${updated.name} saved`);
+  };
+
+  return (
+    <tr>
+      <td>
+        <Form.Control value={name} onChange={(ev) => setName(ev.target.value)} />
+      </td>
+      <td>
+        <Form.Control type="number" min={1} step={1} placeholder="No limit" value={limit} onChange={(ev) => setLimit(ev.target.value)} />
+      </td>
+      <td className="text-end">
+        <div className="d-flex justify-content-end gap-2">
+          <Button size="sm" variant="outline-primary" disabled={!valid} onClick={handleSave}>
+            <i className="bi bi-save me-1"></i>Save
+          </Button>
+          <Button size="sm" variant="outline-danger" onClick={() => runAction(API.deleteCategory(category.id), `${category.name} deleted`)}>
+            <i className="bi bi-trash me-1"></i>Delete
+          </Button>
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Visual editor of the ingredient constraints.
+ * For each active ingredient shows the required and the incompatible ingredients as removable chips,
+ * with selectors to add new ones. The server refuses contradictory changes.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.ingredients - All ingredients, retired ones included
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function ConstraintEditor(props) {
+  const activeIngredients = props.ingredients.filter(ing => ing.active);
+
+  return (
+    <>
+      <div className="d-flex gap-4 mb-3">
+        <small className="text-muted"><Badge bg="primary" className="me-1">&nbsp;</Badge> Requires</small>
+        <small className="text-muted"><Badge bg="danger" className="me-1">&nbsp;</Badge> Incompatible with (both ways)</small>
+      </div>
+      <div className="d-flex flex-column gap-3">
+        {activeIngredients.map(ing => (
+          <ConstraintRow key={ing.id} ingredient={ing} ingredients={activeIngredients} runAction={props.runAction} />
+        ))}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Constraints of one ingredient in the constraint editor
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.ingredient - Ingredient whose constraints are edited
+ * @param {Array} props.ingredients - Active ingredients that can be used in constraints
+ * @param {Function} props.runAction - Runs an API call and reloads the data
+ */
+function ConstraintRow(props) {
+  const { ingredient, ingredients, runAction } = props;
+  const [newDependency, setNewDependency] = useState('');
+  const [newIncompatibility, setNewIncompatibility] = useState('');
+
+  // Constraints are matched by id (dependencyIds and incompatibilityIds, in the order of the names), so that
+  // the ones with a retired ingredient, missing from ingredients, can be removed too
+  const dependencies = ingredient.dependencyIds.map((id, i) => ({ id, name: ingredient.dependencies[i] }));
+  const incompatibilities = ingredient.incompatibilityIds.map((id, i) => ({ id, name: ingredient.incompatibilities[i] }));
+  const candidates = ingredients.filter(ing => ing.id !== ingredient.id &&
+    !ingredient.dependencyIds.includes(ing.id) && !ingredient.incompatibilityIds.includes(ing.id));
+
+  return (
+    <div className="p-3" style={{background: '#f8fafc', borderRadius: '12px', borderLeft: '4px solid #3b82f6'}}>
+      <h6 className="fw-bold mb-3" style={{color: '#1e3a8a'}}>{ingredient.name}</h6>
+      <div className="row g-3">
+        {/* Dependencies */}
+        <div className="col-md-6">
+          <small className="fw-semibold text-muted d-block mb-2">Requires</small>
+          <div className="d-flex flex-wrap gap-2 mb-2">
+            {dependencies.length === 0 && <small className="text-muted">Nothing</small>}
+            {dependencies.map(dep => (
+              <Badge key={dep.id} bg="primary" className="px-3 py-2 d-flex align-items-center" style={{borderRadius: '15px'}}>
+                {dep.name}
+                <button className="btn btn-sm ms-2 p-0 border-0 bg-transparent text-white" style={{lineHeight: '1'}}
+                        onClick={() => runAction(API.removeDependency(ingredient.id, dep.id), `${ingredient.name} no longer requires ${dep.name}`)}>
+                  <i className="bi bi-x-circle"></i>
+                </button>
+              </Badge>
+            ))}
+          </div>
+          {getRequirementChains(ingredient).filter(chain => chain.length > 2).map(chain => (
+            <small key={chain.join()} className="text-muted d-block mb-2">
+              <i className="bi bi-diagram-3 me-1"></i>{chain.join(' → ')}
+            </small>
+          ))}
+          <div className="d-flex gap-2">
+            <Form.Select size="sm" value={newDependency} onChange={(ev) => setNewDependency(ev.target.value)}>
+              <option value="">Add a required ingredient...</option>
+              {candidates.map(ing => <option key={ing.id} value={ing.id}>{ing.name}</option>)}
+            </Form.Select>
+            <Button size="sm" variant="outline-primary" disabled={newDependency === ''}
+                    onClick={() => { runAction(API.addDependency(ingredient.id, Number(newDependency)), `${ingredient.name} now requires another ingredient`); setNewDependency(''); }}>
+              <i className="bi bi-plus-lg"></i>
+            </Button>
+          </div>
+        </div>
+
+        {/* Incompatibilities */}
+        <div className="col-md-6">
+          <small className="fw-semibold text-muted d-block mb-2">Incompatible with</small>
+          <div className="d-flex flex-wrap gap-2 mb-2">
+            {incompatibilities.length === 0 && <small className="text-muted">Nothing</small>}
+            {incompatibilities.map(inc => (
+              <Badge key={inc.id} bg="danger" className="px-3 py-2 d-flex align-items-center" style={{borderRadius: '15px'}}>
+                {inc.name}
+                <button className="btn btn-sm ms-2 p-0 border-0 bg-transparent text-white" style={{lineHeight: '1'}}
+                        onClick={() => runAction(API.removeIncompatibility(ingredient.id, inc.id), `${ingredient.name} and ${inc.name} are no longer incompatible`)}>
+                  <i className="bi bi-x-circle"></i>
+                </button>
+              </Badge>
+            ))}
+          </div>
+          <div className="d-flex gap-2">
+            <Form.Select size="sm" value={newIncompatibility} onChange={(ev) => setNewIncompatibility(ev.target.value)}>
+              <option value="">Add an incompatible ingredient...</option>
+              {candidates.map(ing => <option key={ing.id} value={ing.id}>{ing.name}</option>)}
+            </Form.Select>
+            <Button size="sm" variant="outline-danger" disabled={newIncompatibility === ''}
+                    onClick={() => { runAction(API.addIncompatibility(ingredient.id, Number(newIncompatibility)), `Incompatibility added to ${ingredient.name}`); setNewIncompatibility(''); }}>
+              <i className="bi bi-plus-lg"></i>
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export { AdminPanel };
@@ -0,0 +1,103 @@
+import { ButtonGroup, Button, Badge } from 'react-bootstrap';
+import { DIETS, getDietaryConflicts } from '../../../shared/dietary.mjs';
+
+/**
+ * DietaryFilterBar Component
+ *
+ * Lets the customer choose a diet and the allergens to avoid, and whether the ingredients
+ * that conflict with these choices are only flagged or hidden.
+ * For logged-in users the choices are saved in their dietary profile.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.dietary - Dietary filter state from parent
+ * @param {Array} props.dietary.allergens - Names of all the allergens
+ * @param {Object} props.dietary.profile - Current profile { diet, allergens }
+ * @param {Function} props.dietary.setProfile - Function to change (and save) the profile
+ * @param {string} props.dietary.mode - 'warn' to flag conflicting ingredients, 'hide' to hide them
+ * @param {Function} props.dietary.setMode - Function to change the mode
+ * @param {boolean} props.dietary.saved - True if the profile is saved on the server
+ */
+function DietaryFilterBar(props) {
+  const { allergens = [], profile, setProfile, mode, setMode, saved } = props.dietary;
+
+  const toggleAllergen = (allergen) => {
+    const selected = profile.allergens.includes(allergen) ?
+      profile.allergens.filter(a => a !== allergen) : [...profile.allergens, allergen];
+    setProfile({ ...profile, allergens: selected });
+  };
+
+  return (
+    <div className="p-3 mb-3" style={{backgroundColor: '#f8fafc', borderRadius: '12px', border: '1px solid #e2e8f0'}}>
+      <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+        <small className="fw-semibold text-muted me-1">
+          <i className="bi bi-funnel-fill me-1"></i>Diet:
+        </small>
+        <ButtonGroup size="sm">
+          {DIETS.map(diet => (
+            <Button key={diet.value} variant={profile.diet === diet.value ? 'success' : 'outline-success'}
+                    onClick={() => setProfile({ ...profile, diet: diet.value })}>
+              {diet.label}
+            </Button>
+          ))}
+        </ButtonGroup>
+        <ButtonGroup size="sm" className="ms-auto">
+          <Button variant={mode === 'warn' ? 'secondary' : 'outline-secondary'} onClick={() => setMode('warn')}>
+            <i className="bi bi-exclamation-triangle me-1"></i>Warn
+          </Button>
+          <Button variant={mode === 'hide' ? 'secondary' : 'outline-secondary'} onClick={() => setMode('hide')}>
+            <i className="bi bi-eye-slash me-1"></i>Hide
+          </Button>
+        </ButtonGroup>
+      </div>
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <small className="fw-semibold text-muted me-1">Avoid:</small>
+        {allergens.map(allergen => (
+          <Badge key={allergen} pill bg={profile.allergens.includes(allergen) ? 'danger' : 'light'}
+                 text={profile.allergens.includes(allergen) ? undefined : 'dark'}
+                 style={{cursor: 'pointer', border: '1px solid #e2e8f0'}}
+                 onClick={() => toggleAllergen(allergen)}>
+            {allergen}
+          </Badge>
+        ))}
+      </div>
+      {saved && (
+        <small className="d-block mt-2 text-muted">
+          <i className="bi bi-person-check me-1"></i>Saved to your dietary profile
+        </small>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Dietary flags and allergens of an ingredient, with a warning when it does not fit the profile
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.ingredient - Ingredient with vegetarian, vegan and allergens
+ * @param {Object} props.profile - Dietary profile { diet, allergens }
+ */
+function IngredientDietaryInfo(props) {
+  const { ingredient, profile } = props;
+  const conflicts = getDietaryConflicts(ingredient, profile);
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-1 mt-1">
+      {ingredient.vegan ? (
+        <Badge bg="success" style={{borderRadius: '10px'}}><i className="bi bi-leaf me-1"></i>Vegan</Badge>
+      ) : ingredient.vegetarian ? (
+        <Badge bg="success" style={{borderRadius: '10px', opacity: 0.8}}>Vegetarian</Badge>
+      ) : null}
+      {(ingredient.allergens || []).map(allergen => (
+        <Badge key={allergen} bg="light" text="dark" style={{borderRadius: '10px', border: '1px solid #e2e8f0'}}>{allergen}</Badge>
+      ))}
+      {conflicts.length > 0 && (
+        <small className="text-danger fw-semibold ms-1">
+          <i className="bi bi-exclamation-octagon me-1"></i>
+          Not for you: {conflicts.join(', ')}
+        </small>
+      )}
+    </div>
+  );
+}
+
+export { DietaryFilterBar, IngredientDietaryInfo };
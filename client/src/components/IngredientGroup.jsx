@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { Collapse, Badge } from 'react-bootstrap';
+
+/**
+ * IngredientGroup Component
+ *
+ * Collapsible section grouping the ingredients of one category, open by default.
+ * The header shows the number of ingredients and, for categories with a limit,
+ * how many portions can be put on a dish.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Category name
+ * @param {number} props.count - Number of ingredients in the section
+ * @param {number|null} props.limit - Maximum portions of the category per dish, null for no limit
+ * @param {number} props.selected - Portions of the category in the dish being configured (optional)
+ * @param {string} props.color - Accent color of the header
+ * @param {React.ReactNode} props.children - Ingredients of the category
+ */
+function IngredientGroup(props) {
+  const { title, count, limit = null, selected, color = '#1e3a8a', children } = props;
+  const [open, setOpen] = useState(true);
+
+  return (
+    <div className="mb-2">
+      <button type="button" aria-expanded={open} onClick={() => setOpen(!open)}
+              className="w-100 d-flex align-items-center border-0 px-3 py-2 text-start"
+              style={{backgroundColor: '#f1f5f9', borderRadius: '10px', color: color}}>
+        <i className={`bi ${open ? 'bi-chevron-down' : 'bi-chevron-right'} me-2`}></i>
+        <span className="fw-bold me-2">{title}</span>
+        <Badge bg="light" text="dark" style={{borderRadius: '10px', border: '1px solid #e2e8f0'}}>{count}</Badge>
+        {limit !== null && (
+          <small className={`ms-auto fw-semibold ${selected !== undefined && selected >= limit ? 'text-danger' : 'text-muted'}`}>
+            {selected !== undefined ? `${selected}/${limit} per dish` : `Max ${limit} per dish`}
+          </small>
+        )}
+      </button>
+      <Collapse in={open}>
+        <div>{children}</div>
+      </Collapse>
+    </div>
+  );
+}
+
+export { IngredientGroup };
@@ -0,0 +1,181 @@
+import { useEffect, useState } from 'react';
+import { Button, Badge, Spinner, Modal } from 'react-bootstrap';
+import dayjs from 'dayjs';
+import API from '../API.js';
+
+// How often the open orders are reloaded while the kitchen display is shown.
+// New orders and status changes are also pushed by the server: polling is only a fallback.
+const REFRESH_INTERVAL_MS = 30000;
+
+// Board columns: one per open status, with the action moving an order to the next status
+// and whether the orders can still be cancelled
+const KITCHEN_COLUMNS = [
+  { status: 'placed', label: 'Incoming', color: '#4f46e5', icon: 'bi-receipt', next: 'preparing', action: 'Start preparing', cancellable: true },
+  { status: 'preparing', label: 'Preparing', color: '#f59e0b', icon: 'bi-fire', next: 'ready', action: 'Mark ready', cancellable: true },
+  { status: 'ready', label: 'Ready', color: '#0d9488', icon: 'bi-bell-fill', next: 'completed', action: 'Served', cancellable: false }
+];
+
+/**
+ * KitchenDisplay Component
+ *
+ * Board of the open orders of all customers, oldest first, split into
+ * "Incoming", "Preparing" and "Ready" columns. Each order shows its dishes with size
+ * and ingredients, and a button moving it to the next status. Orders not ready yet
+ * can also be cancelled (e.g. when an ingredient turns out to be missing), after a confirmation.
+ * The orders are reloaded periodically while the component is mounted.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.orders - Open orders of all users
+ * @param {boolean} props.loading - Loading state indicator
+ * @param {Function} props.handleErrors - Error handling function from parent
+ * @param {Function} props.setDirtyKitchen - Function to trigger open orders refresh in parent
+ */
+function KitchenDisplay(props) {
+  const { orders = [], loading = false, handleErrors, setDirtyKitchen } = props;
+  const [orderToCancel, setOrderToCancel] = useState(null);
+
+  // Reload the open orders periodically
+  useEffect(() => {
+    setDirtyKitchen(true);
+    const interval = setInterval(() => setDirtyKitchen(true), REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [setDirtyKitchen]);
+
+  /**
+   * Move an order to its next status and reload the board
+   *
+   * @param {number} orderId - ID of the order
+   * @param {string} status - New status of the order
+   */
+  const handleAdvance = (orderId, status) => {
+    API.updateOrderStatus(orderId, status)
+      .then(() => setDirtyKitchen(true))
+      .catch(err => handleErrors(err));
+  };
+
+  /**
+   * Cancel the order waiting for confirmation and reload the board
+   */
+  const handleCancel = () => {
+    const orderId = orderToCancel.id;
+    setOrderToCancel(null);
+    handleAdvance(orderId, 'cancelled');
+  };
+
+  return (
+    <div style={{backgroundColor: '#f1f5f9', minHeight: '100vh', padding: '20px'}}>
+      {/* Page Header Section */}
+      <div className="card border-0 mb-4" style={{borderRadius: '20px', boxShadow: '0 8px 30px rgba(0,0,0,0.12)'}}>
+        <div className="card-header border-0 d-flex justify-content-between align-items-center" style={{background: '#1e3a8a', borderRadius: '20px', padding: '30px'}}>
+          <div>
+            <h1 className="mb-2 fw-bold text-white" style={{fontFamily: 'serif'}}>
+              <i className="bi bi-fire me-3"></i>
+              Kitchen
+            </h1>
+            <p className="mb-0 text-white opacity-75" style={{fontSize: '1.1rem'}}>
+              Open orders, oldest first
+            </p>
+          </div>
+          {loading && <Spinner animation="border" variant="light" size="sm" />}
+        </div>
+      </div>
+
+      <div className="row g-4">
+        {KITCHEN_COLUMNS.map(column => {
+          const columnOrders = orders.filter(order => order.status === column.status);
+          return (
+            <div key={column.status} className="col-lg-4">
+              <div className="d-flex align-items-center mb-3">
+                <i className={`bi ${column.icon} me-2`} style={{color: column.color, fontSize: '1.4rem'}}></i>
+                <h4 className="mb-0 fw-bold" style={{color: '#1e3a8a'}}>{column.label}</h4>
+                <Badge className="ms-2" style={{backgroundColor: column.color, border: 'none'}}>{columnOrders.length}</Badge>
+              </div>
+
+              {columnOrders.length === 0 && (
+                <p className="text-muted fst-italic">No orders</p>
+              )}
+
+              {columnOrders.map(order => (
+                <div key={order.id} className="card border-0 mb-3" style={{borderRadius: '15px', boxShadow: '0 4px 15px rgba(0,0,0,0.08)', borderLeft: `5px solid ${column.color}`}}>
+                  <div className="card-body">
+                    <div className="d-flex justify-content-between align-items-start mb-2">
+                      <div>
+                        <h5 className="fw-bold mb-0" style={{color: '#1e3a8a'}}>Order #{order.id}</h5>
+                        <small className="text-muted">
+                          <i className="bi bi-person me-1"></i>{order.customer}
+                        </small>
+                      </div>
+                      <small className="text-muted text-end">
+                        <i className="bi bi-clock me-1"></i>
+                        {dayjs(order.createdAt).format('DD/MM HH:mm')}
+                        <br />
+                        {dayjs().diff(dayjs(order.createdAt), 'minute')} min ago
+                      </small>
+                    </div>
+
+                    {/* Dishes of the order */}
+                    {order.items.map(item => (
+                      <div key={item.id} className="py-2" style={{borderTop: '1px solid #e2e8f0'}}>
+                        <div className="fw-semibold">
+                          {item.dish} <span className="text-muted fw-normal">- {item.size}</span>
+                        </div>
+                        <small className="text-muted">
+                          {item.ingredients.length > 0 ? item.ingredients.map(ing => ing.quantity > 1 ? `${ing.quantity}× ${ing.name}` : ing.name).join(', ') : 'No extra ingredients'}
+                        </small>
+                      </div>
+                    ))}
+                    {order.allergens && order.allergens.length > 0 && (
+                      <small className="d-block fw-semibold text-danger pt-2" style={{borderTop: '1px solid #e2e8f0'}}>
+                        <i className="bi bi-exclamation-octagon me-1"></i>
+                        Allergens: {order.allergens.join(', ')}
+                      </small>
+                    )}
+
+                    <Button
+                      className="w-100 mt-2 fw-bold"
+                      style={{backgroundColor: column.color, border: 'none', borderRadius: '10px'}}
+                      onClick={() => handleAdvance(order.id, column.next)}
+                    >
+                      {column.action}
+                    </Button>
+                    {column.cancellable && (
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        className="w-100 mt-2"
+                        style={{borderRadius: '10px'}}
+                        onClick={() => setOrderToCancel(order)}
+                      >
+                        Cancel order
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Cancellation Confirmation Modal */}
+      <Modal show={orderToCancel !== null} onHide={() => setOrderToCancel(null)} centered>
+        <Modal.Header closeButton className="border-0" style={{background: '#f8fafc'}}>
+          <Modal.Title style={{color: '#1e3a8a'}}>Cancel Order</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {orderToCancel && (
+            <p className="mb-0">
+              Cancel order #{orderToCancel.id} of {orderToCancel.customer}? The customer is notified and the ingredients go back in stock.
+            </p>
+          )}
+        </Modal.Body>
+        <Modal.Footer className="border-0">
+          <Button variant="secondary" onClick={() => setOrderToCancel(null)}>Keep Order</Button>
+          <Button variant="danger" onClick={handleCancel}>Cancel Order</Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+}
+
+export { KitchenDisplay };
@@ -4,6 +4,13 @@ import { Navigation } from './Navigation';
 import { LoginForm, TotpForm } from './Auth';
 import { OrderConfigurator } from './OrderConfigurator';
 import { OrderHistory } from './OrderHistory';
+import { AdminPanel } from './Admin';
+import { DietaryFilterBar, IngredientDietaryInfo } from './DietaryFilter';
+import { getDietaryConflicts } from '../../../shared/dietary.mjs';
+import { KitchenDisplay } from './KitchenDisplay';
+import { IngredientGroup } from './IngredientGroup';
+import { groupByCategory } from '../categories.js';
+import { getIndirectRequirements } from '../constraints.js';
 
 /**
  * 404 Not Found Page Layout
@@ -74,16 +81,20 @@ function TotpLayout(props) {
  * @param {Array} props.ingredients - Available ingredients for orders
  * @param {Array} props.dishes - Available base dishes
  * @param {Array} props.sizes - Available dish sizes
+ * @param {Array} props.categories - Ingredient categories with their limit per dish
  * @param {Array} props.orderList - Current list of orders
  * @param {Function} props.setOrderList - Function to update order list
+ * @param {Array} props.cart - Configured dishes waiting to be ordered
+ * @param {Function} props.setCart - Function to update the cart
  * @param {Function} props.handleErrors - Error handling function
  * @param {boolean} props.dirty - Flag indicating data needs refresh
  * @param {Function} props.setDirty - Function to update dirty flag
  * @param {string} props.message - Error message to display
  * @param {Function} props.setMessage - Function to update message
+ * @param {Object} props.dietary - Dietary filter state (allergens, profile, mode and their setters)
  */
 function OrderLayout(props) {
-  const { ingredients = [], dishes = [], sizes = [] } = props;
+  const { ingredients = [], dishes = [], sizes = [], categories = [] } = props;
   
   return (
     <>
@@ -93,12 +104,16 @@ function OrderLayout(props) {
         ingredients={ingredients} 
         dishes={dishes}
         sizes={sizes}
+        categories={categories}
         orderList={props.orderList} 
         setOrderList={props.setOrderList} 
+        cart={props.cart}
+        setCart={props.setCart}
         handleErrors={props.handleErrors} 
         dirty={props.dirty} 
         setDirty={props.setDirty} 
         setDirtyOrders={props.setDirtyOrders}
+        dietary={props.dietary}
       />
     </>
   );
@@ -135,6 +150,70 @@ function OrderHistoryLayout(props) {
   );
 }
 
+/**
+ * Admin Page Layout
+ * 
+ * Wraps the AdminPanel component used by managers and admins to edit the menu.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Current user object
+ * @param {Array} props.dishes - All base dishes, retired ones included
+ * @param {Array} props.sizes - Available dish sizes
+ * @param {Array} props.ingredients - All ingredients, retired ones included
+ * @param {Array} props.menuIngredients - Ingredients on the menu, with the dishes they are eligible for
+ * @param {Array} props.categories - Ingredient categories with their limit per dish
+ * @param {Array} props.allergens - Names of all the allergens
+ * @param {Function} props.handleErrors - Error handling function
+ * @param {Function} props.setDirty - Function to trigger public data refresh
+ * @param {Function} props.setDirtyAdmin - Function to trigger admin data refresh
+ */
+function AdminLayout(props) {
+  return (
+    <Row>
+      <Col>
+        <AdminPanel
+          user={props.user}
+          dishes={props.dishes}
+          sizes={props.sizes}
+          ingredients={props.ingredients}
+          menuIngredients={props.menuIngredients}
+          categories={props.categories}
+          allergens={props.allergens}
+          handleErrors={props.handleErrors}
+          setDirty={props.setDirty}
+          setDirtyAdmin={props.setDirtyAdmin}
+        />
+      </Col>
+    </Row>
+  );
+}
+
+/**
+ * Kitchen Page Layout
+ * 
+ * Wraps the KitchenDisplay component used by the kitchen staff.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.orders - Open orders of all users
+ * @param {boolean} props.loading - Loading state indicator
+ * @param {Function} props.handleErrors - Error handling function
+ * @param {Function} props.setDirtyKitchen - Function to trigger open orders refresh
+ */
+function KitchenLayout(props) {
+  return (
+    <Row>
+      <Col>
+        <KitchenDisplay
+          orders={props.orders}
+          loading={props.loading}
+          handleErrors={props.handleErrors}
+          setDirtyKitchen={props.setDirtyKitchen}
+        />
+      </Col>
+    </Row>
+  );
+}
+
 /**
  * Menu and Ingredients Display Layout (Home Page)
  * 
@@ -145,10 +224,16 @@ function OrderHistoryLayout(props) {
  * @param {Array} props.ingredients - Available ingredients with availability info
  * @param {Array} props.dishes - Available base dishes with descriptions
  * @param {Array} props.sizes - Available dish sizes with pricing
+ * @param {Array} props.categories - Ingredient categories, used to group the ingredients
  * @param {boolean} props.loading - Loading state indicator
+ * @param {Object} props.dietary - Dietary filter state (allergens, profile, mode and their setters)
  */
 function MenuLayout(props) {
-  const { ingredients = [], dishes = [], sizes = [], loading = false } = props;
+  const { ingredients = [], dishes = [], sizes = [], categories = [], loading = false, dietary } = props;
+
+  // In 'hide' mode the ingredients that do not fit the dietary profile are left out
+  const shownIngredients = dietary && dietary.mode === 'hide' ?
+    ingredients.filter(ing => getDietaryConflicts(ing, dietary.profile).length === 0) : ingredients;
   
   return (
     <div style={{backgroundColor: '#f1f5f9', minHeight: '100vh'}}>
@@ -220,9 +305,9 @@ function MenuLayout(props) {
                             </div>
                             <div className="flex-grow-1">
                               <h4 className="fw-bold mb-2" style={{color: '#1e3a8a', fontFamily: 'serif'}}>{dish.name}</h4>
-                              {/* Size options with pricing */}
+                              {/* Size options with the pricing of this dish */}
                               <div className="d-flex flex-column align-items-start gap-1">
-                                {sizes && sizes.length > 0 && sizes.map(size => (
+                                {(dish.sizes || sizes).map(size => (
                                   <span key={size.id} className="badge px-3 py-2 fs-6 fw-bold text-white" 
                                         style={{
                                           backgroundColor: '#4f46e5', 
@@ -264,127 +349,141 @@ function MenuLayout(props) {
                     <p className="mt-3 text-muted fs-5">Gathering fresh ingredients...</p>
                   </div>
                 ) : (
-                  /* Ingredients list with availability status and pricing */
+                  /* Ingredients list grouped by category, with availability status, dietary information and pricing */
                   <div className="d-grid gap-3">
-                    {ingredients.map(ing => {
-                      // Determine ingredient availability status
-                      const isAvailable = ing.availability === null || ing.availability > 0;
-                      const isLowStock = ing.availability !== null && ing.availability <= 5 && ing.availability > 0;
+                    {dietary && <DietaryFilterBar dietary={dietary} />}
+                    {groupByCategory(shownIngredients, categories).map(group => (
+                      <IngredientGroup key={group.key} title={group.name} count={group.ingredients.length}
+                                       limit={group.category ? group.category.max_per_dish : null} color="#0d9488">
+                        <div className="d-grid gap-3 pt-2">
+                          {group.ingredients.map(ing => {
+                            // Determine ingredient availability status
+                            const isAvailable = ing.availability === null || ing.availability > 0;
+                            const isLowStock = ing.availability !== null && ing.availability <= 5 && ing.availability > 0;
                       
-                      return (
-                        <div key={ing.id}>
-                          <div className="p-3 border-0 h-100" 
-                               style={{
-                                 backgroundColor: isAvailable ? '#ecfdf5' : '#f8fafc',
-                                 borderRadius: '12px',
-                                 borderLeft: `4px solid ${isAvailable ? '#14b8a6' : '#9e9e9e'}`,
-                                 opacity: isAvailable ? 1 : 0.7,
-                                 transition: 'all 0.3s ease'
-                               }}
-                               onMouseEnter={(e) => {
-                                 if (isAvailable) {
-                                   e.target.style.backgroundColor = '#d1fae5';
-                                   e.target.style.transform = 'translateX(3px)';
-                                 }
-                               }}
-                               onMouseLeave={(e) => {
-                                 if (isAvailable) {
-                                   e.target.style.backgroundColor = '#ecfdf5';
-                                   e.target.style.transform = 'translateX(0)';
-                                 }
-                               }}>
-                            <div className="d-flex justify-content-between align-items-start">
-                              <div className="flex-grow-1 me-3">
-                                {/* Ingredient name and status icon */}
-                                <div className="d-flex align-items-center mb-2">
-                                  <div className="rounded-circle me-3 d-flex align-items-center justify-content-center" 
-                                       style={{
-                                         width: '40px', 
-                                         height: '40px', 
-                                         background: isAvailable 
-                                           ? '#0d9488' 
-                                           : '#9e9e9e'
-                                       }}>
-                                    <i className="bi bi-check2-circle text-white"></i>
-                                  </div>
-                                  <div>
-                                    <h6 className="mb-0 fw-bold" style={{color: '#0d9488', fontSize: '1.1rem'}}>{ing.name}</h6>
-                                    <small className="text-muted">Fresh • Locally sourced</small>
-                                  </div>
-                                </div>
+                            return (
+                              <div key={ing.id}>
+                                <div className="p-3 border-0 h-100" 
+                                     style={{
+                                       backgroundColor: isAvailable ? '#ecfdf5' : '#f8fafc',
+                                       borderRadius: '12px',
+                                       borderLeft: `4px solid ${isAvailable ? '#14b8a6' : '#9e9e9e'}`,
+                                       opacity: isAvailable ? 1 : 0.7,
+                                       transition: 'all 0.3s ease'
+                                     }}
+                                     onMouseEnter={(e) => {
+                                       if (isAvailable) {
+                                         e.target.style.backgroundColor = '#d1fae5';
+                                         e.target.style.transform = 'translateX(3px)';
+                                       }
+                                     }}
+                                     onMouseLeave={(e) => {
+                                       if (isAvailable) {
+                                         e.target.style.backgroundColor = '#ecfdf5';
+                                         e.target.style.transform = 'translateX(0)';
+                                       }
+                                     }}>
+                                  <div className="d-flex justify-content-between align-items-start">
+                                    <div className="flex-grow-1 me-3">
+                                      {/* Ingredient name and status icon */}
+                                      <div className="d-flex align-items-center mb-2">
+                                        <div className="rounded-circle me-3 d-flex align-items-center justify-content-center" 
+                                             style={{
+                                               width: '40px', 
+                                               height: '40px', 
+                                               background: isAvailable 
+                                                 ? '#0d9488' 
+                                                 : '#9e9e9e'
+                                             }}>
+                                          <i className="bi bi-check2-circle text-white"></i>
+                                        </div>
+                                        <div>
+                                          <h6 className="mb-0 fw-bold" style={{color: '#0d9488', fontSize: '1.1rem'}}>{ing.name}</h6>
+                                          <small className="text-muted">Fresh • Locally sourced</small>
+                                          <IngredientDietaryInfo ingredient={ing} profile={dietary ? dietary.profile : null} />
+                                        </div>
+                                      </div>
                                 
-                                {/* Dependencies information */}
-                                {(ing.dependencies && ing.dependencies.length > 0) && (
-                                  <div className="mb-2 p-2" style={{backgroundColor: '#dbeafe', borderRadius: '8px'}}>
-                                    <small className="fw-semibold" style={{color: '#1e3a8a'}}>
-                                      <i className="bi bi-link-45deg me-1"></i>
-                                      Best paired with: {ing.dependencies.join(', ')}
-                                    </small>
-                                  </div>
-                                )}
+                                      {/* Dependencies information */}
+                                      {(ing.dependencies && ing.dependencies.length > 0) && (
+                                        <div className="mb-2 p-2" style={{backgroundColor: '#dbeafe', borderRadius: '8px'}}>
+                                          <small className="fw-semibold" style={{color: '#1e3a8a'}}>
+                                            <i className="bi bi-link-45deg me-1"></i>
+                                            Best paired with: {ing.dependencies.join(', ')}
+                                          </small>
+                                          {getIndirectRequirements(ing).length > 0 && (
+                                            <small className="d-block" style={{color: '#1e3a8a'}}>
+                                              Which also bring: {getIndirectRequirements(ing).join(', ')}
+                                            </small>
+                                          )}
+                                        </div>
+                                      )}
                                 
-                                {/* Incompatibilities information */}
-                                {(ing.incompatibilities && ing.incompatibilities.length > 0) && (
-                                  <div className="mb-2 p-2" style={{backgroundColor: '#fef3c7', borderRadius: '8px'}}>
-                                    <small className="fw-semibold" style={{color: '#92400e'}}>
-                                      <i className="bi bi-exclamation-triangle-fill me-1"></i>
-                                      Not recommended with: {ing.incompatibilities.join(', ')}
-                                    </small>
-                                  </div>
-                                )}
-                              </div>
+                                      {/* Incompatibilities information */}
+                                      {(ing.incompatibilities && ing.incompatibilities.length > 0) && (
+                                        <div className="mb-2 p-2" style={{backgroundColor: '#fef3c7', borderRadius: '8px'}}>
+                                          <small className="fw-semibold" style={{color: '#92400e'}}>
+                                            <i className="bi bi-exclamation-triangle-fill me-1"></i>
+                                            Not recommended with: {ing.incompatibilities.join(', ')}
+                                          </small>
+                                        </div>
+                                      )}
+                                    </div>
                               
-                              {/* Price and availability information */}
-                              <div className="text-end">
-                                <div className="mb-2">
-                                  <span className="badge px-3 py-2 fw-bold fs-6 text-white" 
-                                        style={{
-                                          backgroundColor: '#4f46e5', 
-                                          borderRadius: '20px'
-                                        }}>
-                                    €{ing.price?.toFixed(2)}
-                                  </span>
-                                </div>
+                                    {/* Price and availability information */}
+                                    <div className="text-end">
+                                      <div className="mb-2">
+                                        <span className="badge px-3 py-2 fw-bold fs-6 text-white" 
+                                              style={{
+                                                backgroundColor: '#4f46e5', 
+                                                borderRadius: '20px'
+                                              }}>
+                                          €{ing.price?.toFixed(2)}
+                                        </span>
+                                      </div>
                                 
-                                <div>
-                                  {/* Availability status badge */}
-                                  {ing.availability !== null ? (
-                                    <span className="badge px-3 py-1 fw-bold" 
-                                          style={{
-                                            background: ing.availability > 5 
-                                              ? '#0d9488' 
-                                              : ing.availability > 0
-                                              ? '#f59e0b'
-                                              : '#dc2626',
-                                            color: 'white',
-                                            borderRadius: '15px'
-                                          }}>
-                                      {ing.availability > 0 ? (
-                                        <>
-                                          {isLowStock && <i className="bi bi-exclamation-circle me-1"></i>}
-                                          {ing.availability} left
-                                        </>
-                                      ) : (
-                                        <>
-                                          <i className="bi bi-x-circle me-1"></i>
-                                          Out of stock
-                                        </>
-                                      )}
-                                    </span>
-                                  ) : (
-                                    <span className="badge px-3 py-1 fw-bold text-white" 
-                                          style={{backgroundColor: '#0d9488', borderRadius: '15px'}}>
-                                      <i className="bi bi-infinity me-1"></i>
-                                      Always fresh
-                                    </span>
-                                  )}
+                                      <div>
+                                        {/* Availability status badge */}
+                                        {ing.availability !== null ? (
+                                          <span className="badge px-3 py-1 fw-bold" 
+                                                style={{
+                                                  background: ing.availability > 5 
+                                                    ? '#0d9488' 
+                                                    : ing.availability > 0
+                                                    ? '#f59e0b'
+                                                    : '#dc2626',
+                                                  color: 'white',
+                                                  borderRadius: '15px'
+                                                }}>
+                                            {ing.availability > 0 ? (
+                                              <>
+                                                {isLowStock && <i className="bi bi-exclamation-circle me-1"></i>}
+                                                {ing.availability} left
+                                              </>
+                                            ) : (
+                                              <>
+                                                <i className="bi bi-x-circle me-1"></i>
+                                                Out of stock
+                                              </>
+                                            )}
+                                          </span>
+                                        ) : (
+                                          <span className="badge px-3 py-1 fw-bold text-white" 
+                                                style={{backgroundColor: '#0d9488', borderRadius: '15px'}}>
+                                            <i className="bi bi-infinity me-1"></i>
+                                            Always fresh
+                                          </span>
+                                        )}
+                                      </div>
+                                    </div>
+                                  </div>
                                 </div>
                               </div>
-                            </div>
-                          </div>
+                            );
+                          })}
                         </div>
-                      );
-                    })}
+                      </IngredientGroup>
+                    ))}
                   </div>
                 )}
               </div>
@@ -431,12 +530,16 @@ function GenericLayout(props) {
  * @param {Array} props.ingredients - Available ingredients
  * @param {Array} props.dishes - Available base dishes
  * @param {Array} props.sizes - Available dish sizes
+ * @param {Array} props.categories - Ingredient categories with their limit per dish
  * @param {Array} props.orderList - Current list of orders
  * @param {Function} props.setOrderList - Function to update order list
+ * @param {Array} props.cart - Configured dishes waiting to be ordered
+ * @param {Function} props.setCart - Function to update the cart
  * @param {Function} props.handleErrors - Error handling function
  * @param {boolean} props.dirty - Flag indicating data needs refresh
  * @param {Function} props.setDirty - Function to update dirty flag
  * @param {boolean} props.loading - Loading state indicator
+ * @param {Object} props.dietary - Dietary filter state (allergens, profile, mode and their setters)
  */
 function OrderPageLayout(props) {
   return (
@@ -447,7 +550,9 @@ function OrderPageLayout(props) {
           ingredients={props.ingredients}
           dishes={props.dishes}
           sizes={props.sizes}
+          categories={props.categories}
           loading={props.loading}
+          dietary={props.dietary}
         />
       </Col>
       {/* Right column: Order configuration */}
@@ -456,12 +561,16 @@ function OrderPageLayout(props) {
           ingredients={props.ingredients}
           dishes={props.dishes}
           sizes={props.sizes}
+          categories={props.categories}
           orderList={props.orderList} 
           setOrderList={props.setOrderList} 
+          cart={props.cart}
+          setCart={props.setCart}
           handleErrors={props.handleErrors} 
           dirty={props.dirty} 
           setDirty={props.setDirty} 
           setDirtyOrders={props.setDirtyOrders}
+          dietary={props.dietary}
         />
       </Col>
     </Row>
@@ -605,4 +714,4 @@ function ChooseTotpLayout(props) {
   );
 }
 
-export { GenericLayout, OrderPageLayout, NotFoundLayout, OrderLayout, OrderHistoryLayout, LoginLayout, TotpLayout, MenuLayout, OrderConfigurator, ChooseTotpLayout };
\ No newline at end of file
+export { GenericLayout, OrderPageLayout, NotFoundLayout, OrderLayout, OrderHistoryLayout, LoginLayout, TotpLayout, MenuLayout, OrderConfigurator, ChooseTotpLayout, AdminLayout, KitchenLayout };
\ No newline at end of file
@@ -1,5 +1,6 @@
 import 'bootstrap-icons/font/bootstrap-icons.css';
 import { Navbar, Nav, Container, Badge } from 'react-bootstrap';
+import { Link } from 'react-router';
 import { LoginButton, LogoutButton } from './Auth';
 
 /**
@@ -47,6 +48,15 @@ const Navigation = (props) => {
                     {props.user.name}
                   </span>
                 </small>
+                {/* Staff role badge (customers have no badge) */}
+                {props.user.role && props.user.role !== 'customer' && (
+                  <Badge 
+                    className="ms-2 fw-bold text-capitalize" 
+                    style={{backgroundColor: '#fbbf24', color: '#1e3a8a', border: 'none'}}
+                  >
+                    {props.user.role}
+                  </Badge>
+                )}
                 {/* 2FA authentication status badge */}
                 {props.loggedInTotp && (
                   <div>
@@ -67,6 +77,26 @@ const Navigation = (props) => {
             </Nav.Item>
           )}
           
+          {/* Kitchen display link for the staff */}
+          {props.user && ['kitchen', 'manager', 'admin'].includes(props.user.role) && (
+            <Nav.Item className="me-3">
+              <Nav.Link as={Link} to="/kitchen" className="fw-bold" style={{color: '#fbbf24'}}>
+                <i className="bi bi-fire me-1"></i>
+                Kitchen
+              </Nav.Link>
+            </Nav.Item>
+          )}
+
+          {/* Menu management link for managers and admins */}
+          {props.user && ['manager', 'admin'].includes(props.user.role) && (
+            <Nav.Item className="me-3">
+              <Nav.Link as={Link} to="/admin" className="fw-bold" style={{color: '#fbbf24'}}>
+                <i className="bi bi-gear-fill me-1"></i>
+                Admin
+              </Nav.Link>
+            </Nav.Item>
+          )}
+
           {/* Authentication button (Login/Logout) */}
           <Nav.Item>
             {props.loggedIn ? (
@@ -0,0 +1,30 @@
+import { NUTRIENTS } from '../../../shared/nutrition.mjs';
+
+/**
+ * NutritionPanel Component
+ *
+ * Shows calories, protein, fat and carbs of a dish or of a whole order.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.nutrition - Nutrition values { calories, protein, fat, carbs }
+ * @param {boolean} props.dark - True when shown on a dark background
+ */
+function NutritionPanel(props) {
+  const { nutrition, dark } = props;
+  if (!nutrition) return null;
+
+  return (
+    <div className="d-flex flex-wrap gap-3">
+      {NUTRIENTS.map(nutrient => (
+        <div key={nutrient.key} className="text-center">
+          <div className={`fw-bold ${dark ? 'text-white' : ''}`} style={dark ? undefined : {color: '#1e3a8a'}}>
+            {nutrition[nutrient.key]}<small className="ms-1 fw-normal">{nutrient.unit}</small>
+          </div>
+          <small className={dark ? 'text-white opacity-75' : 'text-muted'}>{nutrient.label}</small>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export { NutritionPanel };
@@ -1,25 +1,42 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Row, Col, Card, Button, ListGroup, Form, Alert, Modal, Badge, ProgressBar } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import API from '../API.js';
+import { getDietaryConflicts, getDishDietary } from '../../../shared/dietary.mjs';
+import { DietaryFilterBar, IngredientDietaryInfo } from './DietaryFilter';
+import { getDishNutrition } from '../../../shared/nutrition.mjs';
+import { NutritionPanel } from './NutritionPanel';
+import { groupByCategory, getCategoryPortions } from '../categories.js';
+import { IngredientGroup } from './IngredientGroup';
+import { getRequirementChains } from '../constraints.js';
+import {
+  checkDependencies as findMissingDependencies, checkIncompatibilities as findIncompatibilities,
+  checkRequiredByOthers, checkCategoryLimits, validateDish
+} from '../../../shared/validation.mjs';
 
 /**
  * OrderConfigurator Component
  * 
  * Main component for configuring restaurant orders. Allows users to select dishes,
- * sizes, and ingredients with validation for dependencies, incompatibilities, and availability.
- * Handles the complete order creation process with real-time price calculation.
+ * sizes, and ingredients (grouped by category) with validation for dependencies, incompatibilities,
+ * category limits and availability.
+ * Configured dishes are collected in a cart and submitted together as a single order,
+ * with real-time price and nutrition calculation.
  * 
  * @param {Object} props - Component props
  * @param {Array} props.ingredients - Available ingredients with availability and constraints
  * @param {Array} props.dishes - Available base dishes
- * @param {Array} props.sizes - Available dish sizes with ingredient limits
+ * @param {Array} props.sizes - Available dish sizes with ingredient limits (used when a dish does not list its own sizes)
+ * @param {Array} props.categories - Ingredient categories with their limit of portions per dish
+ * @param {Array} props.cart - Configured dishes waiting to be submitted as one order
+ * @param {Function} props.setCart - Function to update the cart
  * @param {Function} props.handleErrors - Error handling function from parent
  * @param {Function} props.setDirty - Function to trigger data refresh in parent
  * @param {Function} props.setDirtyOrders - Function to trigger orders refresh in parent
+ * @param {Object} props.dietary - Dietary filter state (allergens, profile, mode and their setters)
  */
 function OrderConfigurator(props) {
-  const { ingredients, dishes, sizes, handleErrors, setDirty, setDirtyOrders } = props;
+  const { ingredients, dishes, sizes, categories = [], cart = [], setCart, handleErrors, setDirty, setDirtyOrders, dietary } = props;
   
   // State for order configuration
   const [selectedDish, setSelectedDish] = useState(null);
@@ -31,9 +48,34 @@ function OrderConfigurator(props) {
   // State for modal feedback
   const [showModal, setShowModal] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
+  // Ingredient blocked by missing requirements, which the modal offers to add automatically
+  const [pendingIngredient, setPendingIngredient] = useState(null);
+  // Optional maximum price of the "Surprise me" dish (empty for no limit)
+  const [surpriseMaxPrice, setSurpriseMaxPrice] = useState('');
+
+  // Violations { code, message, ingredientIds } of the dish being configured, found when adding it to the cart,
+  // and of the cart, reported by the server when the order is refused (item is the index of the dish in the cart)
+  const [dishViolations, setDishViolations] = useState([]);
+  const [cartViolations, setCartViolations] = useState([]);
   
   const navigate = useNavigate();
 
+  // Once a dish is chosen, only the ingredients that can be put on it are offered.
+  // In 'hide' mode the ingredients that do not fit the dietary profile are left out too, unless already selected.
+  const dishIngredients = selectedDish && ingredients ?
+    ingredients.filter(ing => (!ing.eligibleDishes || ing.eligibleDishes.includes(selectedDish.id)) &&
+      (!dietary || dietary.mode !== 'hide' || selectedIngredients.some(sel => sel.id === ing.id) ||
+        getDietaryConflicts(ing, dietary.profile).length === 0)) : ingredients;
+
+  // Dietary flags and allergens of the dish being configured
+  const dishDietary = getDishDietary(selectedIngredients);
+
+  // Sizes with the price and ingredient limit of the chosen dish
+  const dishSizes = selectedDish && selectedDish.sizes ? selectedDish.sizes : sizes;
+
+  // Calories and macronutrients of the dish being configured
+  const dishNutrition = getDishNutrition(selectedDish, selectedSize, selectedIngredients);
+
   /**
    * Calculate total price whenever size or ingredients change
    * Updates price based on selected size base price plus ingredient costs
@@ -43,10 +85,107 @@ function OrderConfigurator(props) {
     if(selectedSize) {
       basePrice = selectedSize.price;
     }
-    let ingredientsPrice = selectedIngredients.reduce((sum, ing) => sum + ing.price, 0);
+    let ingredientsPrice = selectedIngredients.reduce((sum, ing) => sum + ing.price * ing.quantity, 0);
     setPrice(basePrice + ingredientsPrice);
   }, [selectedSize, selectedIngredients]);
 
+  // Total price of all the dishes in the cart
+  const cartTotal = cart.reduce((sum, item) => sum + item.total, 0);
+
+  // Number of ingredient portions of the dish being configured: each portion counts against the size limit
+  const selectedPortions = selectedIngredients.reduce((sum, ing) => sum + ing.quantity, 0);
+
+  /**
+   * Count the portions of an ingredient used by the dishes in the cart
+   * 
+   * @param {Object} ingredient - Ingredient to count
+   * @returns {number} Units of the ingredient used by the cart
+   */
+  const getUsedInCart = (ingredient) => {
+    return cart.reduce((sum, item) => {
+      const used = item.ingredients.find(ing => ing.id === ingredient.id);
+      return sum + (used ? used.quantity : 0);
+    }, 0);
+  };
+
+  /**
+   * Get the portions of an ingredient in the dish being configured
+   * 
+   * @param {Object} ingredient - Ingredient to count
+   * @returns {number} Selected portions (0 if not selected)
+   */
+  const getSelectedQuantity = (ingredient) => {
+    const selected = selectedIngredients.find(i => i.id === ingredient.id);
+    return selected ? selected.quantity : 0;
+  };
+
+  /**
+   * Get the stock of an ingredient still available for the dish being configured,
+   * i.e. its availability minus the units reserved by other customers and the units
+   * already used by the dishes in the cart
+   * 
+   * @param {Object} ingredient - Ingredient to check
+   * @returns {number|null} Remaining units, or null for unlimited stock
+   */
+  const getRemainingAvailability = (ingredient) => {
+    if (ingredient.availability === null) return null;
+    return ingredient.availability - (ingredient.reserved || 0) - getUsedInCart(ingredient);
+  };
+
+  // Violations are outdated as soon as the dish or the cart they refer to changes
+  useEffect(() => {
+    setDishViolations([]);
+  }, [selectedDish, selectedSize, selectedIngredients]);
+
+  useEffect(() => {
+    setCartViolations([]);
+  }, [cart]);
+
+  /**
+   * Get the violations involving an ingredient of the dish being configured
+   * 
+   * @param {Object} ingredient - Ingredient to check
+   * @returns {Array} Violations whose ingredientIds include the ingredient
+   */
+  const getIngredientViolations = (ingredient) => {
+    return dishViolations.filter(v => v.ingredientIds.includes(ingredient.id));
+  };
+
+  /**
+   * Get the violations reported by the server for a dish of the cart, including the ones
+   * about the whole cart (e.g. stock) that involve its ingredients
+   * 
+   * @param {Object} item - Dish of the cart
+   * @param {number} index - Position of the dish in the cart
+   * @returns {Array} Violations of the dish
+   */
+  const getCartItemViolations = (item, index) => {
+    return cartViolations.filter(v => v.item === index ||
+      (v.item === undefined && item.ingredients.some(ing => v.ingredientIds.includes(ing.id))));
+  };
+
+  // Units of each limited ingredient currently held on the server for this customer
+  const heldUnits = useRef(new Map());
+
+  /**
+   * Keep the reservations on the server in sync with the limited ingredients used by
+   * the cart and by the dish being configured, so that other customers cannot take them.
+   * Only the ingredients whose held quantity changed are sent.
+   */
+  useEffect(() => {
+    const wanted = new Map();
+    for (const ing of [...cart.flatMap(item => item.ingredients), ...selectedIngredients]) {
+      if (ing.availability !== null) wanted.set(ing.id, (wanted.get(ing.id) || 0) + ing.quantity);
+    }
+    const ids = new Set([...wanted.keys(), ...heldUnits.current.keys()]);
+    const changed = [...ids].filter(id => (wanted.get(id) || 0) !== (heldUnits.current.get(id) || 0));
+    heldUnits.current = wanted;
+    for (const id of changed) {
+      API.reserveIngredient(id, wanted.get(id) || 0)
+        .catch(err => handleErrors(err));
+    }
+  }, [cart, selectedIngredients, handleErrors]);
+
   /**
    * Handle dish selection
    * Resets size and ingredients when a new dish is selected
@@ -68,8 +207,8 @@ function OrderConfigurator(props) {
    */
   const handleSizeSelect = (size) => {
     const limit = size.max_ingredients;
-    if (selectedIngredients.length > limit) {
-      setModalMessage(`${size.name} dishes can only have up to ${limit} ingredients. Please remove ${selectedIngredients.length - limit} ingredient(s) first.`);
+    if (selectedPortions > limit) {
+      setModalMessage(`${size.name} dishes can only have up to ${limit} ingredients. Please remove ${selectedPortions - limit} ingredient(s) first.`);
       setShowModal(true);
       return;
     }
@@ -77,25 +216,37 @@ function OrderConfigurator(props) {
     setError('');
   };
 
+  /**
+   * Get the name of an ingredient given its id
+   * 
+   * @param {number} id - Ingredient id
+   * @returns {string} Name of the ingredient
+   */
+  const getIngredientName = (id) => {
+    const ingredient = ingredients.find(ing => ing.id === id);
+    return ingredient ? ingredient.name : `ingredient ID ${id}`;
+  };
+
   /**
    * Check if an ingredient's dependencies are satisfied
-   * Validates that all required ingredients are already selected
+   * Validates that all required ingredients are already selected; the message explains
+   * the full chains of requirements that are still missing
    * 
    * @param {Object} ingredient - Ingredient to check dependencies for
    * @param {Array} currentIngredients - Currently selected ingredients
    * @returns {Object} Validation result with valid flag and optional message
    */
   const checkDependencies = (ingredient, currentIngredients) => {
-    if (!ingredient.dependencies || ingredient.dependencies.length === 0) return { valid: true };
-    
-    const missingDeps = ingredient.dependencies.filter(dep => 
-      !currentIngredients.some(ing => ing.name === dep)
-    );
+    const violations = findMissingDependencies(ingredient, currentIngredients.map(ing => ing.id), ingredients);
     
-    if (missingDeps.length > 0) {
+    if (violations.length > 0) {
+      const missingDeps = violations.map(v => getIngredientName(v.ingredientIds[1]));
+      const chains = getRequirementChains(ingredient, currentIngredients.map(ing => ing.id))
+        .filter(chain => chain.length > 2);
       return { 
         valid: false, 
-        message: `${ingredient.name} requires: ${missingDeps.join(', ')}` 
+        message: `${ingredient.name} requires: ${missingDeps.join(', ')}` +
+          (chains.length > 0 ? ` (${chains.map(chain => chain.join(' → ')).join('; ')})` : '')
       };
     }
     return { valid: true };
@@ -110,16 +261,34 @@ function OrderConfigurator(props) {
    * @returns {Object} Validation result with valid flag and optional message
    */
   const checkIncompatibilities = (ingredient, currentIngredients) => {
-    if (!ingredient.incompatibilities || ingredient.incompatibilities.length === 0) return { valid: true };
-    
-    const conflicts = ingredient.incompatibilities.filter(incomp => 
-      currentIngredients.some(ing => ing.name === incomp)
-    );
+    const violations = findIncompatibilities(ingredient, currentIngredients.map(ing => ing.id), ingredients);
     
-    if (conflicts.length > 0) {
+    if (violations.length > 0) {
       return { 
         valid: false, 
-        message: `${ingredient.name} is incompatible with: ${conflicts.join(', ')}` 
+        message: `${ingredient.name} is incompatible with: ${violations.map(v => getIngredientName(v.ingredientIds[1])).join(', ')}` 
+      };
+    }
+    return { valid: true };
+  };
+
+  /**
+   * Check if one more portion of an ingredient fits the limit of its category (e.g. at most 1 sauce)
+   * 
+   * @param {Object} ingredient - Ingredient to check
+   * @param {Array} currentIngredients - Currently selected ingredients
+   * @returns {Object} Validation result with valid flag and optional message
+   */
+  const checkCategoryLimit = (ingredient, currentIngredients) => {
+    const selection = [...currentIngredients, { id: ingredient.id, quantity: 1 }];
+    const violations = checkCategoryLimits(selection, ingredients, categories)
+      .filter(v => v.ingredientIds.includes(ingredient.id));
+
+    if (violations.length > 0) {
+      const category = categories.find(c => c.id === ingredient.category_id);
+      return {
+        valid: false,
+        message: `A dish can only have up to ${category.max_per_dish} from ${category.name}`
       };
     }
     return { valid: true };
@@ -134,107 +303,181 @@ function OrderConfigurator(props) {
    * @returns {Object} Removal validation with canRemove flag and optional message
    */
   const checkIfRequiredByOthers = (ingredient, currentIngredients) => {
-    const dependentIngredients = currentIngredients.filter(ing => 
-      ing.dependencies && ing.dependencies.includes(ingredient.name)
-    );
+    const violations = checkRequiredByOthers(ingredient, currentIngredients);
     
-    if (dependentIngredients.length > 0) {
-      return {
-        canRemove: false,
-        message: `Cannot remove ${ingredient.name} because it's required by: ${dependentIngredients.map(ing => ing.name).join(', ')}`
-      };
+    if (violations.length > 0) {
+      return { canRemove: false, message: violations[0].message };
     }
     return { canRemove: true };
   };
 
   /**
-   * Handle ingredient selection/deselection with comprehensive validation
-   * Manages all constraints including availability, size limits, dependencies, and incompatibilities
+   * Add one portion of an ingredient with comprehensive validation
+   * Manages all constraints including availability, size and category limits, dependencies, and incompatibilities;
+   * dependencies and incompatibilities are checked only for the first portion
    * 
-   * @param {Object} ingredient - Ingredient to toggle selection for
+   * @param {Object} ingredient - Ingredient to add a portion of
    */
-  const handleIngredientToggle = (ingredient) => {
-    const isSelected = selectedIngredients.find(i => i.id === ingredient.id);
-    
-    if (isSelected) {
-      // Removing ingredient - check if it's required by others
-      const requiredCheck = checkIfRequiredByOthers(ingredient, selectedIngredients);
-      if (!requiredCheck.canRemove) {
-        setModalMessage(requiredCheck.message);
-        setShowModal(true);
-        return;
-      }
-      setSelectedIngredients(selectedIngredients.filter(i => i.id !== ingredient.id));
-    } else {
-      // Adding ingredient - check all constraints
-      
-      // Check availability
-      if (ingredient.availability !== null && ingredient.availability <= 0) {
-        setModalMessage(`${ingredient.name} is not available (out of stock)`);
-        setShowModal(true);
-        return;
-      }
-      
-      // Check size limit
-      const limit = selectedSize.max_ingredients;
-      if (selectedIngredients.length >= limit) {
-        setModalMessage(`${selectedSize.name} dishes can only have up to ${limit} ingredients`);
-        setShowModal(true);
-        return;
-      }
-      
-      // Check dependencies
-      const depCheck = checkDependencies(ingredient, selectedIngredients);
-      if (!depCheck.valid) {
-        setModalMessage(depCheck.message);
-        setShowModal(true);
-        return;
-      }
-      
-      // Check incompatibilities
-      const incompCheck = checkIncompatibilities(ingredient, selectedIngredients);
-      if (!incompCheck.valid) {
-        setModalMessage(incompCheck.message);
-        setShowModal(true);
-        return;
-      }
-      
-      setSelectedIngredients([...selectedIngredients, ingredient]);
+  const handleIngredientAdd = (ingredient) => {
+    const quantity = getSelectedQuantity(ingredient);
+
+    // Check availability: the portions already selected are taken from the remaining stock too
+    const remaining = getRemainingAvailability(ingredient);
+    if (remaining !== null && remaining - quantity <= 0) {
+      setModalMessage(quantity > 0 ?
+        `No more ${ingredient.name} available (${quantity} portion(s) already selected)` :
+        `${ingredient.name} is not available (out of stock)`);
+      setShowModal(true);
+      return;
+    }
+
+    // Check size limit
+    const limit = selectedSize.max_ingredients;
+    if (selectedPortions >= limit) {
+      setModalMessage(`${selectedSize.name} dishes can only have up to ${limit} ingredients`);
+      setShowModal(true);
+      return;
     }
+
+    // Check category limit: every portion counts
+    const categoryCheck = checkCategoryLimit(ingredient, selectedIngredients);
+    if (!categoryCheck.valid) {
+      setModalMessage(categoryCheck.message);
+      setShowModal(true);
+      return;
+    }
+
+    if (quantity > 0) {
+      setSelectedIngredients(selectedIngredients.map(i => i.id === ingredient.id ? { ...i, quantity: i.quantity + 1 } : i));
+      setError('');
+      return;
+    }
+
+    // Check dependencies: the modal offers to add the missing ones
+    const depCheck = checkDependencies(ingredient, selectedIngredients);
+    if (!depCheck.valid) {
+      setModalMessage(depCheck.message);
+      setPendingIngredient(ingredient);
+      setShowModal(true);
+      return;
+    }
+
+    // Check incompatibilities
+    const incompCheck = checkIncompatibilities(ingredient, selectedIngredients);
+    if (!incompCheck.valid) {
+      setModalMessage(incompCheck.message);
+      setShowModal(true);
+      return;
+    }
+
+    setSelectedIngredients([...selectedIngredients, { ...ingredient, quantity: 1 }]);
     setError('');
   };
 
   /**
-   * Submit the configured order to the backend
-   * Performs final validation and sends order data to API
+   * Add an ingredient together with everything it requires, directly or through other ingredients
+   * The server computes the minimal completion, checking incompatibilities, availability and limits;
+   * if no completion exists its explanation replaces the modal message
    */
-  const handleSubmitOrder = () => {
+  const handleCompleteDish = () => {
+    const ingredient = pendingIngredient;
+    setPendingIngredient(null);
+    const selection = [...selectedIngredients, { ...ingredient, quantity: 1 }].map(ing => ({ id: ing.id, quantity: ing.quantity }));
+    const inCart = cart.flatMap(item => item.ingredients).map(ing => ({ id: ing.id, quantity: ing.quantity }));
+    API.completeDish(selectedDish.id, selectedSize.id, selection, inCart)
+      .then(completion => {
+        setSelectedIngredients(completion.ingredients.map(ing => ({
+          ...ingredients.find(i => i.id === ing.id),
+          quantity: ing.quantity
+        })));
+        setShowModal(false);
+        setError('');
+      })
+      .catch(err => setModalMessage(err.error ? `Cannot add ${ingredient.name}: ${err.error}` : `Cannot add ${ingredient.name}`));
+  };
+
+  /**
+   * Replace the dish being configured with a random valid one generated by the server ("Surprise me")
+   * The surprise fits the dietary profile, the optional maximum price and the stock left by the cart
+   */
+  const handleSurprise = () => {
+    const options = {
+      inCart: cart.flatMap(item => item.ingredients).map(ing => ({ id: ing.id, quantity: ing.quantity }))
+    };
+    if (surpriseMaxPrice !== '') options.maxPrice = Number(surpriseMaxPrice);
+    if (dietary) {
+      options.diet = dietary.profile.diet;
+      options.allergens = dietary.profile.allergens;
+    }
+    API.getSurprise(options)
+      .then(surprise => {
+        const dish = dishes.find(d => d.id === surprise.dishId);
+        const size = (dish && dish.sizes ? dish.sizes : sizes).find(s => s.id === surprise.sizeId);
+        setSelectedDish(dish);
+        setSelectedSize(size);
+        setSelectedIngredients(surprise.ingredients.map(ing => ({
+          ...ingredients.find(i => i.id === ing.id),
+          quantity: ing.quantity
+        })));
+        setError('');
+      })
+      .catch(err => setError(err.error || 'Cannot generate a surprise dish'));
+  };
+
+  /**
+   * Remove one portion of an ingredient, or all of them
+   * Prevents removal of ingredients that are required by other selected ingredients
+   * 
+   * @param {Object} ingredient - Ingredient to remove a portion of
+   * @param {boolean} all - Whether to remove every portion of the ingredient
+   */
+  const handleIngredientRemove = (ingredient, all = false) => {
+    const quantity = getSelectedQuantity(ingredient);
+    if (quantity === 0) return;
+
+    if (quantity > 1 && !all) {
+      setSelectedIngredients(selectedIngredients.map(i => i.id === ingredient.id ? { ...i, quantity: i.quantity - 1 } : i));
+      setError('');
+      return;
+    }
+
+    // Removing the ingredient - check if it's required by others
+    const requiredCheck = checkIfRequiredByOthers(ingredient, selectedIngredients);
+    if (!requiredCheck.canRemove) {
+      setModalMessage(requiredCheck.message);
+      setShowModal(true);
+      return;
+    }
+    setSelectedIngredients(selectedIngredients.filter(i => i.id !== ingredient.id));
+    setError('');
+  };
+
+  /**
+   * Add the configured dish to the cart
+   * Performs final validation of the dish and resets the configurator for the next one
+   */
+  const handleAddToCart = () => {
     if (!selectedDish || !selectedSize) {
       setError('Please select a dish and size');
       return;
     }
 
-    // Final validation before submission
-    for (const ingredient of selectedIngredients) {
-      if (ingredient.availability !== null && ingredient.availability <= 0) {
-        setError(`${ingredient.name} is no longer available`);
-        return;
-      }
-      
-      const depCheck = checkDependencies(ingredient, selectedIngredients);
-      if (!depCheck.valid) {
-        setError(depCheck.message);
-        return;
-      }
-      
-      const incompCheck = checkIncompatibilities(ingredient, selectedIngredients);
-      if (!incompCheck.valid) {
-        setError(incompCheck.message);
-        return;
-      }
+    // Final validation before adding the dish, with the same rules as the server
+    const violations = validateDish({
+      dish: selectedDish,
+      size: selectedSize,
+      selection: selectedIngredients,
+      ingredients: ingredients,
+      categories: categories,
+      remaining: getRemainingAvailability
+    });
+    if (violations.length > 0) {
+      setError(violations[0].message);
+      setDishViolations(violations);
+      return;
     }
 
-    const order = {
+    const item = {
       dishId: selectedDish.id,
       dish: selectedDish.name,
       sizeId: selectedSize.id,
@@ -243,19 +486,55 @@ function OrderConfigurator(props) {
       total: price
     };
 
+    setCart([...cart, item]);
+    setSelectedDish(null);
+    setSelectedSize(null);
+    setSelectedIngredients([]);
+    setPrice(0);
+    setError('');
+  };
+
+  /**
+   * Remove a dish from the cart
+   * 
+   * @param {number} index - Position of the dish in the cart
+   */
+  const handleRemoveFromCart = (index) => {
+    setCart(cart.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Submit the whole cart to the backend as a single order
+   * The server validates every dish and computes the final total
+   */
+  const handlePlaceOrder = () => {
+    if (cart.length === 0) {
+      setError('Your cart is empty');
+      return;
+    }
+
+    const order = {
+      items: cart.map(item => ({
+        dishId: item.dishId,
+        sizeId: item.sizeId,
+        ingredients: item.ingredients.map(ing => ({ id: ing.id, quantity: ing.quantity }))
+      })),
+      total: cartTotal
+    };
+
     API.addOrder(order)
       .then(() => {
         setDirtyOrders(true);
         setDirty(true);
-        setSelectedDish(null);
-        setSelectedSize(null);
-        setSelectedIngredients([]);
-        setPrice(0);
+        setCart([]);
         setError('');
       })
       .catch(err => {
-        if (err.error && err.error.includes('not enough')) {
-          setError(err.error + '. Please adjust your order.');
+        if (err.violations) {
+          setCartViolations(err.violations);
+          setError(err.violations.length > 1 ?
+            `${err.error} (and ${err.violations.length - 1} more problems). Please adjust your order.` :
+            `${err.error}. Please adjust your order.`);
         } else {
           handleErrors(err);
         }
@@ -264,21 +543,28 @@ function OrderConfigurator(props) {
 
   /**
    * Get the status of an ingredient for display purposes
-   * Determines if ingredient is selected, unavailable, or available
+   * Determines if ingredient is selected, unavailable, reserved by other customers, or available
    * 
    * @param {Object} ingredient - Ingredient to get status for
-   * @returns {string} Status string: 'selected', 'unavailable', or 'available'
+   * @returns {string} Status string: 'selected', 'unavailable', 'reserved', 'disabled', 'category-full',
+   * 'missing-deps', 'incompatible' or 'available'
    */
   const getIngredientStatus = (ingredient) => {
     const isSelected = selectedIngredients.find(i => i.id === ingredient.id);
-    const unavailable = ingredient.availability !== null && ingredient.availability <= 0;
+    const remaining = getRemainingAvailability(ingredient);
     
-    if (unavailable) return 'unavailable';
+    if (remaining !== null && remaining <= 0) {
+      // Still in stock, but every free unit is held by other customers configuring their dishes
+      if (ingredient.availability - getUsedInCart(ingredient) > 0) return isSelected ? 'selected' : 'reserved';
+      return 'unavailable';
+    }
     if (isSelected) return 'selected';
     
     if (!isSelected && selectedSize) {
       const limit = selectedSize.max_ingredients;
-      if (selectedIngredients.length >= limit) return 'disabled';
+      if (selectedPortions >= limit) return 'disabled';
+
+      if (!checkCategoryLimit(ingredient, selectedIngredients).valid) return 'category-full';
       
       const depCheck = checkDependencies(ingredient, selectedIngredients);
       if (!depCheck.valid) return 'missing-deps';
@@ -300,9 +586,11 @@ function OrderConfigurator(props) {
     switch(status) {
       case 'selected': return '✓';
       case 'unavailable': return '✗';
+      case 'reserved': return '⏳';
       case 'missing-deps': return '⚠';
       case 'incompatible': return '⚡';
       case 'disabled': return '🚫';
+      case 'category-full': return '🚫';
       default: return '○';
     }
   };
@@ -317,9 +605,11 @@ function OrderConfigurator(props) {
     switch(status) {
       case 'selected': return 'success';
       case 'unavailable': return 'danger';
+      case 'reserved': return 'info';
       case 'missing-deps': return 'warning';
       case 'incompatible': return 'danger';
       case 'disabled': return 'secondary';
+      case 'category-full': return 'secondary';
       default: return 'light';
     }
   };
@@ -332,7 +622,7 @@ function OrderConfigurator(props) {
   const getCurrentProgress = () => {
     if (!selectedSize) return 0;
     const limit = selectedSize.max_ingredients;
-    return (selectedIngredients.length / limit) * 100;
+    return (selectedPortions / limit) * 100;
   };
 
   return (
@@ -348,7 +638,7 @@ function OrderConfigurator(props) {
               </h4>
               <Badge className="px-3 py-2 fw-bold" 
                      style={{background: 'rgba(255,255,255,0.2)', color: 'white', borderRadius: '15px', fontSize: '1rem'}}>
-                {selectedSize ? `${selectedIngredients.length}/${selectedSize.max_ingredients}` : '0/0'}
+                {selectedSize ? `${selectedPortions}/${selectedSize.max_ingredients}` : '0/0'}
               </Badge>
             </Card.Header>
             
@@ -356,7 +646,7 @@ function OrderConfigurator(props) {
               <div style={{background: 'linear-gradient(135deg, #eff6ff, #dbeafe)', padding: '20px', borderBottom: '1px solid #e0e0e0'}}>
                 <div className="d-flex justify-content-between align-items-center mb-2">
                   <small className="text-muted fw-semibold">Ingredients Progress</small>
-                  <small className="text-muted fw-semibold">{selectedIngredients.length}/{selectedSize.max_ingredients}</small>
+                  <small className="text-muted fw-semibold">{selectedPortions}/{selectedSize.max_ingredients}</small>
                 </div>
                 <ProgressBar 
                   now={getCurrentProgress()} 
@@ -367,6 +657,12 @@ function OrderConfigurator(props) {
             )}
             
             <Card.Body style={{backgroundColor: '#ffffff', padding: '0', maxHeight: '500px', overflowY: 'auto'}}>
+              {/* Dietary filter bar */}
+              {selectedSize && dietary && (
+                <div className="px-4 pt-3">
+                  <DietaryFilterBar dietary={dietary} />
+                </div>
+              )}
               {!selectedSize ? (
                 <div className="text-center py-5">
                   <div style={{fontSize: '4rem', marginBottom: '1rem'}}>🍽️</div>
@@ -374,119 +670,164 @@ function OrderConfigurator(props) {
                   <p className="text-muted">Choose your base dish and size to see available ingredients</p>
                 </div>
               ) : (
-                ingredients && ingredients.map(ing => {
-                  const status = getIngredientStatus(ing);
-                  const isSelected = status === 'selected';
-                  const isDisabled = status === 'unavailable' || 
-                                   (status === 'disabled' && !isSelected) ||
-                                   (status === 'missing-deps' && !isSelected) ||
-                                   (status === 'incompatible' && !isSelected);
+                dishIngredients && groupByCategory(dishIngredients, categories).map(group => (
+                  <IngredientGroup key={group.key} title={group.name} count={group.ingredients.length}
+                                   limit={group.category ? group.category.max_per_dish : null}
+                                   selected={group.category ? getCategoryPortions(group.category.id, selectedIngredients) : undefined}>
+                    {group.ingredients.map(ing => {
+                      const status = getIngredientStatus(ing);
+                      const isSelected = status === 'selected';
+                      const ingredientViolations = getIngredientViolations(ing);
+                      const quantity = getSelectedQuantity(ing);
+                      const isDisabled = status === 'unavailable' || status === 'reserved' ||
+                                       (status === 'disabled' && !isSelected) ||
+                                       (status === 'category-full' && !isSelected) ||
+                                       (status === 'missing-deps' && !isSelected) ||
+                                       (status === 'incompatible' && !isSelected);
                   
-                  return (
-                    <div 
-                      key={ing.id} 
-                      className={`p-4 border-bottom cursor-pointer ${isDisabled ? 'disabled' : ''}`}
-                      style={{
-                        backgroundColor: isSelected ? '#dbeafe' : '#ffffff',
-                        borderLeft: isSelected ? '4px solid #3b82f6' : '4px solid transparent',
-                        cursor: isDisabled ? 'not-allowed' : 'pointer',
-                        opacity: isDisabled ? 0.6 : 1,
-                        transition: 'all 0.3s ease'
-                      }}
-                      onClick={() => !isDisabled && handleIngredientToggle(ing)}
-                      onMouseEnter={(e) => {
-                        if (!isDisabled && !isSelected) {
-                          e.currentTarget.style.backgroundColor = '#f0f9ff';
-                        }
-                      }}
-                      onMouseLeave={(e) => {
-                        if (!isDisabled && !isSelected) {
-                          e.currentTarget.style.backgroundColor = '#ffffff';
-                        }
-                      }}>
+                      return (
+                        <div 
+                          key={ing.id} 
+                          className={`p-4 border-bottom ${isDisabled ? 'disabled' : ''}`}
+                          style={{
+                            backgroundColor: isSelected ? '#dbeafe' : '#ffffff',
+                            borderLeft: ingredientViolations.length > 0 ? '4px solid #dc2626' : isSelected ? '4px solid #3b82f6' : '4px solid transparent',
+                            cursor: isDisabled ? 'not-allowed' : 'default',
+                            opacity: isDisabled ? 0.6 : 1,
+                            transition: 'all 0.3s ease'
+                          }}
+                          onMouseEnter={(e) => {
+                            if (!isDisabled && !isSelected) {
+                              e.currentTarget.style.backgroundColor = '#f0f9ff';
+                            }
+                          }}
+                          onMouseLeave={(e) => {
+                            if (!isDisabled && !isSelected) {
+                              e.currentTarget.style.backgroundColor = '#ffffff';
+                            }
+                          }}>
                       
-                      <div className="d-flex align-items-center justify-content-between">
-                        <div className="d-flex align-items-center">
-                          <div className="me-3">
-                            <div className="rounded-circle d-flex align-items-center justify-content-center" 
-                                 style={{
-                                   width: '45px', 
-                                   height: '45px', 
-                                   background: isSelected 
-                                     ? 'linear-gradient(135deg, #1e3a8a, #3b82f6)' 
-                                     : isDisabled 
-                                       ? 'linear-gradient(135deg, #ccc, #999)'
-                                       : 'linear-gradient(135deg, #e0e0e0, #bdbdbd)'
-                                 }}>
-                              <span className="text-white fw-bold">
-                                {getIngredientIcon(status)}
-                              </span>
-                            </div>
-                          </div>
-                          <div>
-                            <h6 className="mb-1 fw-bold" style={{color: isSelected ? '#1e3a8a' : '#374151'}}>
-                              {ing.name}
-                            </h6>
-                            <div className="d-flex align-items-center gap-2">
-                              <small className="text-muted">
-                                {ing.availability !== null ? 
-                                  `${ing.availability} available` : 
-                                  'Unlimited stock'
-                                }
-                              </small>
-                              {status === 'unavailable' && (
-                                <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Out of Stock</Badge>
-                              )}
-                              {status === 'selected' && (
-                                <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Selected</Badge>
-                              )}
-                              {status === 'missing-deps' && (
-                                <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Missing Dependencies</Badge>
-                              )}
-                              {status === 'incompatible' && (
-                                <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Incompatible</Badge>
-                              )}
-                              {status === 'disabled' && (
-                                <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Limit Reached</Badge>
-                              )}
-                            </div>
-                            
-                            {status === 'missing-deps' && (
-                              <div className="mt-2">
-                                <small className="text-warning fw-semibold">
-                                  <i className="bi bi-exclamation-triangle me-1"></i>
-                                  Requires: {ing.dependencies.join(', ')}
-                                </small>
+                          <div className="d-flex align-items-center justify-content-between">
+                            <div className="d-flex align-items-center">
+                              <div className="me-3">
+                                <div className="rounded-circle d-flex align-items-center justify-content-center" 
+                                     style={{
+                                       width: '45px', 
+                                       height: '45px', 
+                                       background: isSelected 
+                                         ? 'linear-gradient(135deg, #1e3a8a, #3b82f6)' 
+                                         : isDisabled 
+                                           ? 'linear-gradient(135deg, #ccc, #999)'
+                                           : 'linear-gradient(135deg, #e0e0e0, #bdbdbd)'
+                                     }}>
+                                  <span className="text-white fw-bold">
+                                    {isSelected && quantity > 1 ? `${quantity}×` : getIngredientIcon(status)}
+                                  </span>
+                                </div>
                               </div>
-                            )}
+                              <div>
+                                <h6 className="mb-1 fw-bold" style={{color: isSelected ? '#1e3a8a' : '#374151'}}>
+                                  {ing.name}
+                                </h6>
+                                <div className="d-flex align-items-center gap-2">
+                                  <small className="text-muted">
+                                    {ing.availability !== null ? 
+                                      `${Math.max(getRemainingAvailability(ing), 0)} available` + (ing.reserved > 0 ? ` (${ing.reserved} reserved)` : '') : 
+                                      'Unlimited stock'
+                                    }
+                                  </small>
+                                  {status === 'unavailable' && (
+                                    <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Out of Stock</Badge>
+                                  )}
+                                  {status === 'reserved' && (
+                                    <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Reserved</Badge>
+                                  )}
+                                  {status === 'selected' && (
+                                    <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Selected</Badge>
+                                  )}
+                                  {status === 'missing-deps' && (
+                                    <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Missing Dependencies</Badge>
+                                  )}
+                                  {status === 'incompatible' && (
+                                    <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Incompatible</Badge>
+                                  )}
+                                  {status === 'disabled' && (
+                                    <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Limit Reached</Badge>
+                                  )}
+                                  {status === 'category-full' && (
+                                    <Badge bg={getIngredientBadgeVariant(status)} style={{borderRadius: '10px'}}>Category Limit Reached</Badge>
+                                  )}
+                                </div>
+                                <IngredientDietaryInfo ingredient={ing} profile={dietary ? dietary.profile : null} />
+                            
+                                {status === 'missing-deps' && (
+                                  <div className="mt-2">
+                                    <small className="text-warning fw-semibold">
+                                      <i className="bi bi-exclamation-triangle me-1"></i>
+                                      Requires: {ing.dependencies.join(', ')}
+                                    </small>
+                                    {getRequirementChains(ing).filter(chain => chain.length > 2).map(chain => (
+                                      <small key={chain.join()} className="text-muted d-block">{chain.join(' → ')}</small>
+                                    ))}
+                                  </div>
+                                )}
                             
-                            {status === 'incompatible' && (
-                              <div className="mt-2">
-                                <small className="text-danger fw-semibold">
-                                  <i className="bi bi-x-circle me-1"></i>
-                                  Incompatible with selected ingredients
-                                </small>
+                                {status === 'incompatible' && (
+                                  <div className="mt-2">
+                                    <small className="text-danger fw-semibold">
+                                      <i className="bi bi-x-circle me-1"></i>
+                                      Incompatible with selected ingredients
+                                    </small>
+                                  </div>
+                                )}
+
+                                {ingredientViolations.map(v => (
+                                  <small key={v.code + v.message} className="text-danger fw-semibold d-block mt-1">
+                                    <i className="bi bi-exclamation-octagon me-1"></i>
+                                    {v.message}
+                                  </small>
+                                ))}
                               </div>
-                            )}
-                          </div>
-                        </div>
+                            </div>
                         
-                        <div className="text-end">
-                          <span className="badge px-3 py-2 fw-bold text-white" 
-                                style={{
-                                  background: isSelected 
-                                    ? 'linear-gradient(135deg, #1e3a8a, #3b82f6)' 
-                                    : 'linear-gradient(135deg, #6b7280, #9ca3af)',
-                                  borderRadius: '15px',
-                                  fontSize: '0.9rem'
-                                }}>
-                            €{ing.price.toFixed(2)}
-                          </span>
+                            <div className="text-end">
+                              <span className="badge px-3 py-2 fw-bold text-white" 
+                                    style={{
+                                      background: isSelected 
+                                        ? 'linear-gradient(135deg, #1e3a8a, #3b82f6)' 
+                                        : 'linear-gradient(135deg, #6b7280, #9ca3af)',
+                                      borderRadius: '15px',
+                                      fontSize: '0.9rem'
+                                    }}>
+                                €{ing.price.toFixed(2)}
+                              </span>
+                              {/* Portion stepper */}
+                              <div className="d-flex align-items-center justify-content-end gap-2 mt-2">
+                                <Button 
+                                  size="sm" 
+                                  variant="outline-primary"
+                                  disabled={quantity === 0}
+                                  onClick={() => handleIngredientRemove(ing)}
+                                  style={{borderRadius: '50%', width: '32px', height: '32px', padding: 0}}>
+                                  <i className="bi bi-dash-lg"></i>
+                                </Button>
+                                <span className="fw-bold text-center" style={{minWidth: '20px', color: '#1e3a8a'}}>{quantity}</span>
+                                <Button 
+                                  size="sm" 
+                                  variant="outline-primary"
+                                  disabled={isDisabled}
+                                  onClick={() => handleIngredientAdd(ing)}
+                                  style={{borderRadius: '50%', width: '32px', height: '32px', padding: 0}}>
+                                  <i className="bi bi-plus-lg"></i>
+                                </Button>
+                              </div>
+                            </div>
+                          </div>
                         </div>
-                      </div>
-                    </div>
-                  );
-                })
+                      );
+                    })}
+                  </IngredientGroup>
+                ))
               )}
             </Card.Body>
             
@@ -521,7 +862,24 @@ function OrderConfigurator(props) {
                 </div>
               )}
             </Card.Header>
+            {selectedSize && (
+              <div className="px-4 pb-3" style={{background: '#1e3a8a'}}>
+                <NutritionPanel nutrition={dishNutrition} dark />
+              </div>
+            )}
             <Card.Body style={{backgroundColor: '#ffffff', padding: '25px'}}>
+              {/* Surprise me: random valid dish, within the optional maximum price */}
+              <div className="d-flex gap-2 mb-4 p-3" style={{background: '#eff6ff', borderRadius: '12px'}}>
+                <Form.Control type="number" min="0" step="0.5" size="sm" placeholder="Max price (€)"
+                              value={surpriseMaxPrice} onChange={(ev) => setSurpriseMaxPrice(ev.target.value)}
+                              style={{maxWidth: '140px', borderRadius: '8px'}} />
+                <Button size="sm" className="fw-bold border-0 flex-grow-1" onClick={handleSurprise}
+                        style={{background: 'linear-gradient(135deg, #1e3a8a, #3b82f6)', borderRadius: '8px'}}>
+                  <i className="bi bi-shuffle me-2"></i>
+                  Surprise me
+                </Button>
+              </div>
+
               {/* Dish Selection */}
               <div className="mb-4">
                 <h5 className="mb-3 fw-bold" style={{color: '#1e3a8a', fontFamily: 'serif'}}>
@@ -580,7 +938,7 @@ function OrderConfigurator(props) {
                     Choose Size & Price
                   </h5>
                   <div className="d-grid gap-2">
-                    {sizes.map(size => (
+                    {dishSizes.map(size => (
                       <div 
                         key={size.id}
                         className={`p-3 border-0 rounded-3 cursor-pointer ${selectedSize?.id === size.id ? 'selected' : ''}`}
@@ -625,7 +983,7 @@ function OrderConfigurator(props) {
                   <div className="d-flex justify-content-between align-items-center mb-2">
                     <h6 className="mb-0" style={{color: '#1e3a8a'}}>
                       <i className="bi bi-3-circle-fill me-2" style={{color: '#d2691e'}}></i>
-                      Ingredients ({selectedIngredients.length}/{selectedSize.max_ingredients})
+                      Ingredients ({selectedPortions}/{selectedSize.max_ingredients})
                     </h6>
                   </div>
                   <ProgressBar 
@@ -640,16 +998,26 @@ function OrderConfigurator(props) {
               {selectedIngredients.length > 0 && (
                 <div className="mb-4">
                   <h6 className="mb-3 fw-bold" style={{color: '#374151'}}>Your Selection:</h6>
+                  <div className="d-flex flex-wrap align-items-center gap-1 mb-2">
+                    {dishDietary.vegan ? (
+                      <Badge bg="success" style={{borderRadius: '10px'}}><i className="bi bi-leaf me-1"></i>Vegan</Badge>
+                    ) : dishDietary.vegetarian ? (
+                      <Badge bg="success" style={{borderRadius: '10px', opacity: 0.8}}>Vegetarian</Badge>
+                    ) : null}
+                    <small className="text-muted">
+                      {dishDietary.allergens.length > 0 ? `Contains: ${dishDietary.allergens.join(', ')}` : 'No listed allergens'}
+                    </small>
+                  </div>
                   <div className="d-flex flex-wrap gap-2">
                     {selectedIngredients.map(ing => (
                       <span 
                         key={ing.id} 
                         className="badge px-3 py-2 fw-bold text-white d-flex align-items-center"
                         style={{background: 'linear-gradient(135deg, #1e3a8a, #3b82f6)', borderRadius: '20px', fontSize: '0.85rem'}}>
-                        {ing.name}
+                        {ing.quantity > 1 ? `${ing.quantity}× ${ing.name}` : ing.name}
                         <button 
                           className="btn btn-sm ms-2 p-0 border-0 bg-transparent text-white"
-                          onClick={() => handleIngredientToggle(ing)}
+                          onClick={() => handleIngredientRemove(ing, true)}
                           style={{fontSize: '0.8rem', lineHeight: '1'}}>
                           <i className="bi bi-x-circle"></i>
                         </button>
@@ -667,10 +1035,10 @@ function OrderConfigurator(props) {
                 </Alert>
               )}
 
-              {/* Submit Button */}
+              {/* Add to Cart Button */}
               <div className="d-grid">
                 <Button 
-                  onClick={handleSubmitOrder}
+                  onClick={handleAddToCart}
                   disabled={!selectedDish || !selectedSize}
                   className="py-3 fw-bold border-0"
                   style={{
@@ -682,15 +1050,83 @@ function OrderConfigurator(props) {
                     boxShadow: selectedDish && selectedSize ? '0 4px 15px rgba(30, 58, 138, 0.3)' : 'none'
                   }}>
                   <i className="bi bi-cart-plus me-2"></i>
-                  Add to Order - €{price.toFixed(2)}
+                  Add to Cart - €{price.toFixed(2)}
                 </Button>
               </div>
+
+              {/* Cart Summary */}
+              <div className="mt-4 pt-4" style={{borderTop: '1px solid #e0e0e0'}}>
+                <div className="d-flex justify-content-between align-items-center mb-3">
+                  <h5 className="mb-0 fw-bold" style={{color: '#1e3a8a', fontFamily: 'serif'}}>
+                    <i className="bi bi-cart3 me-2" style={{color: '#3b82f6'}}></i>
+                    Your Cart
+                  </h5>
+                  <Badge className="px-3 py-2" style={{background: '#4f46e5', borderRadius: '15px'}}>
+                    {cart.length} {cart.length === 1 ? 'dish' : 'dishes'}
+                  </Badge>
+                </div>
+                {cart.length === 0 ? (
+                  <p className="text-muted mb-0">Add one or more dishes to your cart, then place the order for the whole table.</p>
+                ) : (
+                  <>
+                    <ListGroup className="mb-3">
+                      {cart.map((item, index) => {
+                        const itemViolations = getCartItemViolations(item, index);
+                        const offendingIds = itemViolations.flatMap(v => v.ingredientIds);
+                        return (
+                        <ListGroup.Item key={index} className="d-flex justify-content-between align-items-start"
+                                        style={{backgroundColor: itemViolations.length > 0 ? '#fef2f2' : '#f8fafc'}}>
+                          <div>
+                            <h6 className="mb-1 fw-bold" style={{color: '#1e3a8a'}}>{item.dish} <small className="text-muted">({item.size})</small></h6>
+                            <small className="text-muted">
+                              {item.ingredients.length > 0 ? item.ingredients.map((ing, i) => (
+                                <span key={ing.id} className={offendingIds.includes(ing.id) ? 'text-danger fw-bold' : ''}>
+                                  {i > 0 && ', '}{ing.quantity > 1 ? `${ing.quantity}× ${ing.name}` : ing.name}
+                                </span>
+                              )) : 'No additional ingredients'}
+                            </small>
+                            {itemViolations.map(v => (
+                              <small key={v.code + v.message} className="text-danger d-block">
+                                <i className="bi bi-exclamation-octagon me-1"></i>
+                                {v.message}
+                              </small>
+                            ))}
+                          </div>
+                          <div className="d-flex align-items-center gap-2">
+                            <span className="fw-bold" style={{color: '#059669'}}>€{item.total.toFixed(2)}</span>
+                            <button 
+                              className="btn btn-sm p-0 border-0 bg-transparent text-danger"
+                              onClick={() => handleRemoveFromCart(index)}>
+                              <i className="bi bi-trash"></i>
+                            </button>
+                          </div>
+                        </ListGroup.Item>
+                        );
+                      })}
+                    </ListGroup>
+                    <div className="d-grid">
+                      <Button 
+                        onClick={handlePlaceOrder}
+                        className="py-3 fw-bold border-0"
+                        style={{
+                          background: 'linear-gradient(135deg, #059669, #10b981)',
+                          borderRadius: '15px',
+                          fontSize: '1.1rem',
+                          boxShadow: '0 4px 15px rgba(5, 150, 105, 0.3)'
+                        }}>
+                        <i className="bi bi-bag-check me-2"></i>
+                        Place Order - €{cartTotal.toFixed(2)}
+                      </Button>
+                    </div>
+                  </>
+                )}
+              </div>
             </Card.Body>
           </Card>
         </Col>
       </Row>
 
-      <Modal show={showModal} onHide={() => setShowModal(false)} centered>
+      <Modal show={showModal} onHide={() => { setShowModal(false); setPendingIngredient(null); }} centered>
         <Modal.Header closeButton className="border-0" style={{background: 'linear-gradient(135deg, #1e3a8a, #3b82f6)'}}>
           <Modal.Title className="d-flex align-items-center gap-2 text-white fw-bold">
             <i className="bi bi-exclamation-triangle"></i>
@@ -702,8 +1138,18 @@ function OrderConfigurator(props) {
           <p className="mb-0 fw-semibold" style={{color: '#374151'}}>{modalMessage}</p>
         </Modal.Body>
         <Modal.Footer className="border-0 justify-content-center" style={{backgroundColor: 'linear-gradient(135deg, #eff6ff, #dbeafe)'}}>
+          {pendingIngredient && (
+            <Button
+              variant="outline-primary"
+              onClick={handleCompleteDish}
+              className="px-4 py-2 fw-bold"
+              style={{borderRadius: '10px'}}>
+              <i className="bi bi-magic me-2"></i>
+              Add required ingredients automatically
+            </Button>
+          )}
           <Button 
-            onClick={() => setShowModal(false)}
+            onClick={() => { setShowModal(false); setPendingIngredient(null); }}
             className="px-4 py-2 fw-bold border-0"
             style={{
               background: 'linear-gradient(135deg, #1e3a8a, #3b82f6)',
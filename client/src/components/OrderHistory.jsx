@@ -1,13 +1,42 @@
-import { Table, Button, Alert, Spinner, Container, Row, Col, Card, ListGroup, Badge, Modal } from 'react-bootstrap';
+import { Table, Button, Alert, Spinner, Container, Row, Col, Card, ListGroup, Badge, Modal, Form } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { useState } from 'react';
+import dayjs from 'dayjs';
 import API from '../API.js';
+import { NutritionPanel } from './NutritionPanel';
+
+// Display label, badge color and icon for each order status
+const STATUS_INFO = {
+  placed: { label: 'Placed', color: '#4f46e5', icon: 'bi-receipt' },
+  preparing: { label: 'Preparing', color: '#f59e0b', icon: 'bi-fire' },
+  ready: { label: 'Ready', color: '#0d9488', icon: 'bi-bell-fill' },
+  completed: { label: 'Completed', color: '#059669', icon: 'bi-check2-all' },
+  cancelled: { label: 'Cancelled', color: '#dc2626', icon: 'bi-x-circle-fill' }
+};
+
+/**
+ * Get the label of the date group an order belongs to, relative to today
+ * 
+ * @param {string} date - Order creation timestamp (ISO string)
+ * @returns {string} Group label: 'Today', 'Yesterday', 'Last week', 'Last month' or 'Earlier'
+ */
+const getDateGroup = (date) => {
+  const days = dayjs().startOf('day').diff(dayjs(date).startOf('day'), 'day');
+  if (days <= 0) return 'Today';
+  if (days === 1) return 'Yesterday';
+  if (days < 7) return 'Last week';
+  if (days < 30) return 'Last month';
+  return 'Earlier';
+};
 
 /**
  * OrderHistory Component
  * 
- * Displays a user's order history with the ability to view order details and cancel orders.
- * Requires 2FA authentication for cancellation functionality.
+ * Displays a user's order history as grouped tickets (one card per order, one row per dish),
+ * grouped by date ("Today", "Last week", ...) and filterable by a date range,
+ * with their current status and status timeline, and the ability to cancel orders.
+ * Requires 2FA authentication for cancellation functionality; only orders that are
+ * still 'placed' (not yet being prepared) can be cancelled.
  * 
  * @param {Object} props - Component props
  * @param {Array} props.orderList - Array of order objects to display
@@ -27,6 +56,28 @@ function OrderHistory(props) {
   // State for cancel order confirmation modal
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [orderToCancel, setOrderToCancel] = useState(null);
+
+  // State for the date filter (YYYY-MM-DD strings, empty when not set)
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  // Orders created within the selected dates (both ends included)
+  const filteredOrders = orderList.filter(order => {
+    const created = dayjs(order.createdAt);
+    if (fromDate && created.isBefore(dayjs(fromDate).startOf('day'))) return false;
+    if (toDate && created.isAfter(dayjs(toDate).endOf('day'))) return false;
+    return true;
+  });
+
+  // Orders are already sorted most recent first: group consecutive orders by date label
+  const groupedOrders = filteredOrders.reduce((groups, order) => {
+    const label = getDateGroup(order.createdAt);
+    if (groups.length === 0 || groups[groups.length - 1].label !== label) {
+      groups.push({ label: label, orders: [] });
+    }
+    groups[groups.length - 1].orders.push(order);
+    return groups;
+  }, []);
   
   /**
    * Handles the cancellation of an order
@@ -153,144 +204,242 @@ function OrderHistory(props) {
             </div>
           </div>
         ) : (
-          /* Orders List - Display all orders */
-          <div className="d-flex flex-column gap-4">
-            {orderList.map((order, index) => (
-              <div key={order.id} className="card border-0" style={{borderRadius: '20px', boxShadow: '0 8px 30px rgba(0,0,0,0.12)'}}>
-                {/* Order Header with Order ID */}
-                <div className="card-header border-0" 
-                     style={{background: '#f8fafc', padding: '25px 30px', borderRadius: '20px 20px 0 0'}}>
-                  <h4 className="mb-0 fw-bold" style={{color: '#1e3a8a'}}>Order #{order.id}</h4>
+          /* Orders List - Display the orders grouped by date */
+          <>
+            {/* Date Filter */}
+            <div className="card border-0 mb-4" style={{borderRadius: '20px', boxShadow: '0 8px 30px rgba(0,0,0,0.12)'}}>
+              <div className="card-body d-flex flex-wrap align-items-end gap-3" style={{padding: '20px 30px'}}>
+                <Form.Group controlId="history-from">
+                  <Form.Label className="fw-semibold mb-1" style={{color: '#1e3a8a'}}>From</Form.Label>
+                  <Form.Control type="date" value={fromDate} max={toDate || undefined} onChange={(ev) => setFromDate(ev.target.value)} />
+                </Form.Group>
+                <Form.Group controlId="history-to">
+                  <Form.Label className="fw-semibold mb-1" style={{color: '#1e3a8a'}}>To</Form.Label>
+                  <Form.Control type="date" value={toDate} min={fromDate || undefined} onChange={(ev) => setToDate(ev.target.value)} />
+                </Form.Group>
+                <Button variant="outline-secondary" disabled={!fromDate && !toDate} onClick={() => { setFromDate(''); setToDate(''); }} style={{borderRadius: '10px'}}>
+                  <i className="bi bi-x-lg me-1"></i>
+                  Clear filter
+                </Button>
+                <small className="text-muted ms-auto">{filteredOrders.length} of {orderList.length} orders</small>
+              </div>
+            </div>
+
+            {groupedOrders.length === 0 ? (
+              <div className="card border-0 text-center py-5" style={{borderRadius: '20px', boxShadow: '0 8px 30px rgba(0,0,0,0.12)'}}>
+                <div className="card-body">
+                  <h5 className="mb-0 text-muted">No orders in the selected period</h5>
                 </div>
-                
-                {/* Order Details Body */}
-                <div className="card-body" style={{padding: '25px'}}>
-                  <div className="row g-4 align-items-start">
-                    {/* Left Column - Dish Information */}
-                    <div className="col-md-3">
-                      <div className="text-center p-3 rounded" style={{
-                        background: '#f0f7ff',
-                        border: '2px solid #bfdbfe'
-                      }}>
-                        <div className="mb-2">
-                          <i className="bi bi-fork-knife" style={{fontSize: '2rem', color: '#1e3a8a'}}></i>
+              </div>
+            ) : groupedOrders.map(group => (
+              <div key={group.label} className="mb-4">
+                <h5 className="fw-bold mb-3" style={{color: '#1e3a8a', fontFamily: 'serif'}}>
+                  <i className="bi bi-calendar3 me-2"></i>
+                  {group.label}
+                </h5>
+                <div className="d-flex flex-column gap-4">
+                  {group.orders.map(order => (
+                    <div key={order.id} className="card border-0" style={{borderRadius: '20px', boxShadow: '0 8px 30px rgba(0,0,0,0.12)'}}>
+                      {/* Ticket Header with Order ID and number of dishes */}
+                      <div className="card-header border-0 d-flex justify-content-between align-items-center" 
+                           style={{background: '#f8fafc', padding: '25px 30px', borderRadius: '20px 20px 0 0'}}>
+                        <div>
+                          <h4 className="mb-0 fw-bold" style={{color: '#1e3a8a'}}>Order #{order.id}</h4>
+                          <small className="text-muted">
+                            <i className="bi bi-clock me-1"></i>
+                            {dayjs(order.createdAt).format('DD/MM/YYYY HH:mm')}
+                          </small>
                         </div>
-                        <h4 className="fw-bold mb-1 d-flex align-items-center justify-content-center" style={{color: '#1e3a8a', fontSize: '1.1rem'}}>
-                          <i className="bi bi-utensils me-2" style={{fontSize: '1rem'}}></i>
-                          {order.dish}
-                        </h4>
-                        <div className="d-flex flex-column align-items-center gap-1">
-                          <span className="badge px-2 py-1" style={{
-                            background: '#1e3a8a', 
-                            color: 'white', 
-                            borderRadius: '8px', 
-                            fontSize: '0.8rem'
-                          }}>
-                            {order.size}
+                        <div className="d-flex align-items-center gap-2">
+                          <span className="badge px-3 py-2" style={{background: '#4f46e5', borderRadius: '15px', fontSize: '0.85rem'}}>
+                            {order.items.length} {order.items.length === 1 ? 'dish' : 'dishes'}
+                          </span>
+                          {/* Current status of the order */}
+                          <span className="badge px-3 py-2" style={{background: STATUS_INFO[order.status]?.color || '#6b7280', borderRadius: '15px', fontSize: '0.85rem'}}>
+                            <i className={`bi ${STATUS_INFO[order.status]?.icon || 'bi-question-circle'} me-1`}></i>
+                            {STATUS_INFO[order.status]?.label || order.status}
                           </span>
-                          <small className="text-success fw-bold" style={{fontSize: '0.75rem'}}>
-                            €{(order.sizePrice || 0).toFixed(2)}
-                          </small>
                         </div>
                       </div>
-                    </div>
-                    
-                    {/* Middle Column - Ingredients List */}
-                    <div className="col-md-6">
-                      <div className="card border-0 h-100" style={{
-                        background: '#f8fafc',
-                        borderRadius: '12px',
-                        border: '1px solid #e2e8f0'
-                      }}>
-                        <div className="card-body" style={{padding: '20px'}}>
-                          <h5 className="mb-3 fw-bold d-flex align-items-center" style={{color: '#1e3a8a', fontSize: '1rem'}}>
-                            <i className="bi bi-egg-fill me-2" style={{fontSize: '1.1rem'}}></i>
-                            Ingredients
-                          </h5>
-                          {/* Display ingredients if available */}
-                          {order.ingredients && order.ingredients.length > 0 ? (
-                            <div className="d-flex flex-wrap gap-2">
-                              {order.ingredients.map((ingredient, idx) => (
-                                <div key={idx} className="badge px-3 py-2 d-flex align-items-center justify-content-between" 
-                                     style={{
-                                       background: '#ffffff', 
-                                       color: '#1e3a8a',
-                                       border: '1px solid #3b82f6',
-                                       borderRadius: '20px',
-                                       fontSize: '0.85rem',
-                                       fontWeight: '500',
-                                       minWidth: '120px'
-                                     }}>
-                                  <div className="d-flex align-items-center">
-                                    <i className="bi bi-check-circle-fill me-2" style={{fontSize: '0.7rem', color: '#3b82f6'}}></i>
-                                    <span>{ingredient.name}</span>
+                
+                      {/* Ticket Body */}
+                      <div className="card-body" style={{padding: '25px'}}>
+                        <div className="row g-4 align-items-start">
+                          {/* Left Column - One row per dish of the order */}
+                          <div className="col-md-9 d-flex flex-column gap-3">
+                            {order.items.map(item => (
+                              <div key={item.id} className="row g-3 align-items-stretch">
+                                {/* Dish Information */}
+                                <div className="col-md-4">
+                                  <div className="text-center p-3 rounded h-100" style={{
+                                    background: '#f0f7ff',
+                                    border: '2px solid #bfdbfe'
+                                  }}>
+                                    <div className="mb-2">
+                                      <i className="bi bi-fork-knife" style={{fontSize: '2rem', color: '#1e3a8a'}}></i>
+                                    </div>
+                                    <h4 className="fw-bold mb-1 d-flex align-items-center justify-content-center" style={{color: '#1e3a8a', fontSize: '1.1rem'}}>
+                                      <i className="bi bi-utensils me-2" style={{fontSize: '1rem'}}></i>
+                                      {item.dish}
+                                    </h4>
+                                    <div className="d-flex flex-column align-items-center gap-1">
+                                      <span className="badge px-2 py-1" style={{
+                                        background: '#1e3a8a', 
+                                        color: 'white', 
+                                        borderRadius: '8px', 
+                                        fontSize: '0.8rem'
+                                      }}>
+                                        {item.size}
+                                      </span>
+                                      <small className="text-success fw-bold" style={{fontSize: '0.75rem'}}>
+                                        €{(item.sizePrice || 0).toFixed(2)}
+                                      </small>
+                                    </div>
                                   </div>
-                                  <span className="ms-2 fw-bold" style={{color: '#059669', fontSize: '0.8rem'}}>
-                                    €{ingredient.price ? ingredient.price.toFixed(2) : '0.00'}
-                                  </span>
                                 </div>
-                              ))}
-                            </div>
-                          ) : (
-                            /* Empty ingredients state */
-                            <div className="text-center py-3" style={{
-                              background: '#ffffff', 
-                              border: '1px dashed #cbd5e1', 
-                              borderRadius: '8px'
-                            }}>
-                              <i className="bi bi-dash-lg text-muted mb-1" style={{fontSize: '1.2rem'}}></i>
-                              <p className="text-muted mb-0" style={{fontSize: '0.85rem'}}>
-                                No additional ingredients
-                              </p>
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    </div>
-                    
-                    {/* Right Column - Price and Actions */}
-                    <div className="col-md-3">
-                      <div className="card border-0 h-100" style={{
-                        background: 'linear-gradient(135deg, #f1f5f9 0%, #e5e7eb 100%)',
-                        borderRadius: '12px',
-                        border: '1px solid #d1d5db'
-                      }}>
-                        <div className="card-body text-center" style={{padding: '20px'}}>
-                          {/* Total Price Display */}
-                          <div className="mb-3">
-                            <div className="mb-2">
-                              <i className="bi bi-currency-euro" style={{fontSize: '1.8rem', color: '#1e3a8a'}}></i>
-                            </div>
-                            <h3 className="fw-bold mb-0" style={{color: '#1e3a8a', fontSize: '1.4rem'}}>
-                              €{order.total.toFixed(2)}
-                            </h3>
-                            <small className="text-muted">Total</small>
+
+                                {/* Ingredients List */}
+                                <div className="col-md-8">
+                                  <div className="card border-0 h-100" style={{
+                                    background: '#f8fafc',
+                                    borderRadius: '12px',
+                                    border: '1px solid #e2e8f0'
+                                  }}>
+                                    <div className="card-body" style={{padding: '20px'}}>
+                                      <div className="d-flex justify-content-between align-items-center mb-3">
+                                        <h5 className="mb-0 fw-bold d-flex align-items-center" style={{color: '#1e3a8a', fontSize: '1rem'}}>
+                                          <i className="bi bi-egg-fill me-2" style={{fontSize: '1.1rem'}}></i>
+                                          Ingredients
+                                        </h5>
+                                        <span className="fw-bold" style={{color: '#059669'}}>€{item.total.toFixed(2)}</span>
+                                      </div>
+                                      {/* Display ingredients if available */}
+                                      {item.ingredients && item.ingredients.length > 0 ? (
+                                        <div className="d-flex flex-wrap gap-2">
+                                          {item.ingredients.map((ingredient, idx) => (
+                                            <div key={idx} className="badge px-3 py-2 d-flex align-items-center justify-content-between" 
+                                                 style={{
+                                                   background: '#ffffff', 
+                                                   color: '#1e3a8a',
+                                                   border: '1px solid #3b82f6',
+                                                   borderRadius: '20px',
+                                                   fontSize: '0.85rem',
+                                                   fontWeight: '500',
+                                                   minWidth: '120px'
+                                                 }}>
+                                              <div className="d-flex align-items-center">
+                                                <i className="bi bi-check-circle-fill me-2" style={{fontSize: '0.7rem', color: '#3b82f6'}}></i>
+                                                <span>{ingredient.quantity > 1 ? `${ingredient.quantity}× ${ingredient.name}` : ingredient.name}</span>
+                                              </div>
+                                              <span className="ms-2 fw-bold" style={{color: '#059669', fontSize: '0.8rem'}}>
+                                                €{ingredient.price ? (ingredient.price * (ingredient.quantity || 1)).toFixed(2) : '0.00'}
+                                              </span>
+                                            </div>
+                                          ))}
+                                        </div>
+                                      ) : (
+                                        /* Empty ingredients state */
+                                        <div className="text-center py-3" style={{
+                                          background: '#ffffff', 
+                                          border: '1px dashed #cbd5e1', 
+                                          borderRadius: '8px'
+                                        }}>
+                                          <i className="bi bi-dash-lg text-muted mb-1" style={{fontSize: '1.2rem'}}></i>
+                                          <p className="text-muted mb-0" style={{fontSize: '0.85rem'}}>
+                                            No additional ingredients
+                                          </p>
+                                        </div>
+                                      )}
+                                      {/* Dietary information derived from the ingredients */}
+                                      <div className="d-flex flex-wrap align-items-center gap-1 mt-3">
+                                        {item.vegan ? (
+                                          <span className="badge bg-success" style={{borderRadius: '10px'}}><i className="bi bi-leaf me-1"></i>Vegan</span>
+                                        ) : item.vegetarian ? (
+                                          <span className="badge bg-success" style={{borderRadius: '10px', opacity: 0.8}}>Vegetarian</span>
+                                        ) : null}
+                                        {item.allergens && item.allergens.length > 0 && (
+                                          <small className="text-muted">Contains: {item.allergens.join(', ')}</small>
+                                        )}
+                                      </div>
+                                      {item.nutrition && (
+                                        <small className="d-block text-muted mt-1">
+                                          <i className="bi bi-fire me-1"></i>
+                                          {item.nutrition.calories} kcal · {item.nutrition.protein} g protein · {item.nutrition.fat} g fat · {item.nutrition.carbs} g carbs
+                                        </small>
+                                      )}
+                                    </div>
+                                  </div>
+                                </div>
+                              </div>
+                            ))}
                           </div>
+                    
+                          {/* Right Column - Price and Actions */}
+                          <div className="col-md-3">
+                            <div className="card border-0 h-100" style={{
+                              background: 'linear-gradient(135deg, #f1f5f9 0%, #e5e7eb 100%)',
+                              borderRadius: '12px',
+                              border: '1px solid #d1d5db'
+                            }}>
+                              <div className="card-body text-center" style={{padding: '20px'}}>
+                                {/* Total Price Display */}
+                                <div className="mb-3">
+                                  <div className="mb-2">
+                                    <i className="bi bi-currency-euro" style={{fontSize: '1.8rem', color: '#1e3a8a'}}></i>
+                                  </div>
+                                  <h3 className="fw-bold mb-0" style={{color: '#1e3a8a', fontSize: '1.4rem'}}>
+                                    €{order.total.toFixed(2)}
+                                  </h3>
+                                  <small className="text-muted">Total</small>
+                                </div>
+
+                                {/* Nutrition of the whole order */}
+                                {order.nutrition && (
+                                  <div className="d-flex justify-content-center mb-3" style={{fontSize: '0.85rem'}}>
+                                    <NutritionPanel nutrition={order.nutrition} />
+                                  </div>
+                                )}
                           
-                          {/* Cancel Button or 2FA Requirement Notice */}
-                          {loggedInTotp ? (
-                            <button 
-                              className="btn btn-outline-danger px-3 py-2 fw-bold w-100"
-                              onClick={() => openCancelModal(order)}
-                              style={{borderRadius: '8px', fontSize: '0.85rem'}}
-                            >
-                              <i className="bi bi-x-circle me-1"></i>
-                              Cancel
-                            </button>
-                          ) : (
-                            <div className="text-center p-2 rounded" style={{background: 'rgba(107, 114, 128, 0.1)', fontSize: '0.8rem'}}>
-                              <div className="text-muted mb-1"><i className="bi bi-lock-fill" style={{fontSize: '1.2rem'}}></i></div>
-                              <small className="text-muted">2FA required to cancel orders</small>
+                                {/* Status Timeline */}
+                                {order.timeline && order.timeline.length > 0 && (
+                                  <ul className="list-unstyled text-start mb-3" style={{fontSize: '0.8rem'}}>
+                                    {order.timeline.map((step, idx) => (
+                                      <li key={idx} className="d-flex align-items-center mb-1">
+                                        <i className={`bi ${STATUS_INFO[step.status]?.icon || 'bi-dot'} me-2`} style={{color: STATUS_INFO[step.status]?.color || '#6b7280'}}></i>
+                                        <span className="fw-semibold me-auto">{STATUS_INFO[step.status]?.label || step.status}</span>
+                                        <small className="text-muted">{dayjs(step.changedAt).format('DD/MM HH:mm')}</small>
+                                      </li>
+                                    ))}
+                                  </ul>
+                                )}
+
+                                {/* Cancel Button (only before the kitchen starts preparing) or 2FA Requirement Notice */}
+                                {order.status !== 'placed' ? null : loggedInTotp ? (
+                                  <button 
+                                    className="btn btn-outline-danger px-3 py-2 fw-bold w-100"
+                                    onClick={() => openCancelModal(order)}
+                                    style={{borderRadius: '8px', fontSize: '0.85rem'}}
+                                  >
+                                    <i className="bi bi-x-circle me-1"></i>
+                                    Cancel
+                                  </button>
+                                ) : (
+                                  <div className="text-center p-2 rounded" style={{background: 'rgba(107, 114, 128, 0.1)', fontSize: '0.8rem'}}>
+                                    <div className="text-muted mb-1"><i className="bi bi-lock-fill" style={{fontSize: '1.2rem'}}></i></div>
+                                    <small className="text-muted">2FA required to cancel orders</small>
+                                  </div>
+                                )}
+                              </div>
                             </div>
-                          )}
+                          </div>
                         </div>
                       </div>
                     </div>
-                  </div>
+                  ))}
                 </div>
               </div>
             ))}
-          </div>
+          </>
         )}
 
         {/* Cancel Order Confirmation Modal */}
@@ -305,12 +454,16 @@ function OrderHistory(props) {
             {/* Order details in modal */}
             {orderToCancel && (
               <div className="p-4 mb-4" style={{background: '#f8fafc', borderRadius: '15px', border: '2px solid #e2e8f0'}}>
-                <h5 className="fw-bold mb-2" style={{color: '#1e3a8a'}}>{orderToCancel.dish}</h5>
-                <p className="text-muted mb-2">{orderToCancel.size} Size</p>
+                {orderToCancel.items.map(item => (
+                  <p key={item.id} className="mb-2">
+                    <span className="fw-bold" style={{color: '#1e3a8a'}}>{item.dish}</span>
+                    <span className="text-muted"> - {item.size} Size</span>
+                  </p>
+                ))}
                 <h4 className="fw-bold" style={{color: '#1e3a8a'}}>€{orderToCancel.total.toFixed(2)}</h4>
               </div>
             )}
-            <p className="text-muted">This action cannot be undone.</p>
+            <p className="text-muted">This action cannot be undone. The order will stay in your history as cancelled.</p>
           </Modal.Body>
           <Modal.Footer className="border-0 justify-content-center gap-3" style={{padding: '20px 30px 30px'}}>
             {/* Modal Action Buttons */}
@@ -0,0 +1,34 @@
+/**
+ * Ingredient constraint helpers shared by the menu, the order configurator and the admin panel
+ */
+
+/**
+ * Get the full chains of requirements of an ingredient: one chain of names for each ingredient
+ * it needs at the end of a chain of dependencies (e.g. Parmesan → Mozzarella → Tomatoes → Olives).
+ * Chains contained in a longer one (Parmesan → Mozzarella) are left out.
+ * Chains are compared by id, names are only used for display.
+ *
+ * @param {Object} ingredient - Ingredient with allDependencies [{ id, name, chainIds, chain }]
+ * @param {Array} excludedIds - Ids of the ingredients to stop at (e.g. the ones already selected)
+ * @returns {Array} Chains of names, each one starting with the ingredient itself
+ */
+const getRequirementChains = (ingredient, excludedIds = []) => {
+  const deps = (ingredient.allDependencies || [])
+    .filter(dep => !dep.chainIds.some(id => excludedIds.includes(id)));
+  return deps
+    .filter(dep => !deps.some(other => other.chainIds.length > dep.chainIds.length &&
+      dep.chainIds.every((id, i) => other.chainIds[i] === id)))
+    .map(dep => [ingredient.name, ...dep.chain]);
+};
+
+/**
+ * Get the names of the ingredients required only indirectly, through other ingredients
+ *
+ * @param {Object} ingredient - Ingredient with allDependencies [{ id, name, chainIds, chain }]
+ * @returns {Array} Names of the indirect requirements
+ */
+const getIndirectRequirements = (ingredient) => {
+  return (ingredient.allDependencies || []).filter(dep => dep.chainIds.length > 1).map(dep => dep.name);
+};
+
+export { getRequirementChains, getIndirectRequirements };
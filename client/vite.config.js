@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The ingredient rules in ../shared are imported by both the client and the server
+  server: {
+    fs: {
+      allow: ['..']
+    }
+  }
 })
@@ -0,0 +1,115 @@
+'use strict';
+
+/** Constraint graph module: dependencies and incompatibilities between ingredients as a graph **/
+
+// This function builds the constraint graph from the rows of ingredient_dependencies
+// ({ ingredient_id, depends_on_id }) and ingredient_incompatibilities ({ ingredient1_id, ingredient2_id }).
+// Returns { requires, incompatible }: Maps from an ingredient id to the Set of the ids it requires
+// (directly) or is incompatible with. Incompatibilities are made symmetric.
+exports.createGraph = (dependencies, incompatibilities = []) => {
+  const requires = new Map();
+  const incompatible = new Map();
+  const addEdge = (map, from, to) => {
+    if (!map.has(from)) map.set(from, new Set());
+    map.get(from).add(to);
+  };
+  for (const dep of dependencies) {
+    addEdge(requires, dep.ingredient_id, dep.depends_on_id);
+  }
+  for (const inc of incompatibilities) {
+    addEdge(incompatible, inc.ingredient1_id, inc.ingredient2_id);
+    addEdge(incompatible, inc.ingredient2_id, inc.ingredient1_id);
+  }
+  return { requires, incompatible };
+};
+
+// This function returns the ingredients required, directly or through other ingredients, by an ingredient:
+// a Map from each required id to the chain of ids leading to it, from the ingredient itself to the required one
+// (e.g. Parmesan -> [Mozzarella], [Mozzarella, Tomatoes], [Mozzarella, Tomatoes, Olives] without the first id).
+// The search is breadth first, so each chain is one of the shortest; cycles are not followed twice.
+exports.requirementChains = (graph, id) => {
+  const chains = new Map();
+  const queue = [[id, []]];
+  while (queue.length > 0) {
+    const [current, chain] = queue.shift();
+    for (const next of graph.requires.get(current) || []) {
+      if (next !== id && !chains.has(next)) {
+        chains.set(next, [...chain, next]);
+        queue.push([next, [...chain, next]]);
+      }
+    }
+  }
+  return chains;
+};
+
+// This function looks for a cycle of dependencies (an ingredient that requires itself, directly or not).
+// Returns the ids along the cycle, first and last being the same ingredient, or null if there is none.
+// The search starts from the ingredient start, if given, so that a cycle through it is reported from it.
+exports.findCycle = (graph, start = undefined) => {
+  const visiting = new Set();
+  const done = new Set();
+  const path = [];
+  const visit = (id) => {
+    visiting.add(id);
+    path.push(id);
+    for (const next of graph.requires.get(id) || []) {
+      if (visiting.has(next)) {
+        return [...path.slice(path.indexOf(next)), next];
+      }
+      if (!done.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    visiting.delete(id);
+    done.add(id);
+    path.pop();
+    return null;
+  };
+  const ids = start !== undefined ? [start, ...graph.requires.keys()] : graph.requires.keys();
+  for (const id of ids) {
+    if (!done.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+// This function looks for a contradiction: an ingredient that cannot be selected because, together with
+// the ingredients it requires (directly or not), it would bring two incompatible ingredients in the same dish.
+// Returns { id, pair: [a, b], chains } with the chains (see requirementChains) of the ingredient, where a is the
+// ingredient itself when it requires something it is incompatible with; null if there is no contradiction.
+exports.findContradiction = (graph) => {
+  for (const id of graph.requires.keys()) {
+    const chains = exports.requirementChains(graph, id);
+    const selected = [id, ...chains.keys()];
+    for (const a of selected) {
+      for (const b of graph.incompatible.get(a) || []) {
+        if (selected.includes(b)) {
+          return { id, pair: [a, b], chains };
+        }
+      }
+    }
+  }
+  return null;
+};
+
+// This function checks the whole graph, returning a message describing the first cycle or contradiction found,
+// or null if the constraints are consistent. nameOf maps an ingredient id to its name; start is passed to findCycle.
+exports.describeProblem = (graph, nameOf, start = undefined) => {
+  const cycle = exports.findCycle(graph, start);
+  if (cycle) {
+    return `Dependency cycle: ${cycle.map(nameOf).join(' → ')}`;
+  }
+  const contradiction = exports.findContradiction(graph);
+  if (contradiction) {
+    const { id, pair: [a, b], chains } = contradiction;
+    const chainOf = (target) => [id, ...chains.get(target)].map(nameOf).join(' → ');
+    if (a === id) {
+      return `${nameOf(id)} requires ${nameOf(b)} (${chainOf(b)}), but they are incompatible`;
+    }
+    return `${nameOf(id)} requires both ${nameOf(a)} (${chainOf(a)}) and ${nameOf(b)} (${chainOf(b)}), which are incompatible`;
+  }
+  return null;
+};
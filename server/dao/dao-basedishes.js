@@ -3,11 +3,17 @@
 /* Data Access Object (DAO) module for accessing basedishes data */
 
 const db = require('../db');
+const { runInTransaction, runWrite } = require('../transaction');
 
-// This function returns all base dishes from the database
-exports.listBaseDishes = () => {
+// Nutrition of the base dish, before scaling it by the size and adding the ingredients
+const nutritionColumns = 'calories, protein, fat, carbs';
+
+// This function returns all base dishes from the database, with their nutrition.
+// Retired dishes are left out unless includeRetired is true.
+exports.listBaseDishes = (includeRetired = false) => {
   return new Promise((resolve, reject) => {
-    const sql = 'SELECT id, name FROM basedishes';
+    const sql = includeRetired ? `SELECT id, name, active, ${nutritionColumns} FROM basedishes` :
+      `SELECT id, name, ${nutritionColumns} FROM basedishes WHERE active = 1`;
     db.all(sql, [], (err, rows) => {
       if (err) {
         reject(err);
@@ -18,10 +24,10 @@ exports.listBaseDishes = () => {
   });
 };
 
-// This function returns a specific dish by ID
+// This function returns a specific dish by ID (retired ones included), with its nutrition
 exports.getDishById = (dishId) => {
   return new Promise((resolve, reject) => {
-    const sql = 'SELECT id, name FROM basedishes WHERE id = ?';
+    const sql = `SELECT id, name, active, ${nutritionColumns} FROM basedishes WHERE id = ?`;
     db.get(sql, [dishId], (err, row) => {
       if (err) {
         reject(err);
@@ -30,4 +36,48 @@ exports.getDishById = (dishId) => {
       }
     });
   });
-};
\ No newline at end of file
+};
+
+// This function returns the dish with the given name, if any (case insensitive)
+exports.getDishByName = (name) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT id, name, active FROM basedishes WHERE name = ? COLLATE NOCASE';
+    db.get(sql, [name], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+};
+
+// This function creates a new base dish and returns its id.
+// Every existing ingredient is eligible for the new dish.
+exports.createDish = (name) => {
+  return runInTransaction(async (tx) => {
+    const result = await tx.run('INSERT INTO basedishes (name, active) VALUES (?, 1)', [name]);
+    await tx.run('INSERT INTO dish_ingredients (dish_id, ingredient_id) SELECT ?, id FROM ingredients', [result.lastID]);
+    return result.lastID;
+  });
+};
+
+// This function renames a base dish, returning the number of updated rows
+exports.updateDish = (id, name) => {
+  const sql = 'UPDATE basedishes SET name = ? WHERE id = ?';
+  return runWrite(sql, [name, id]).then(result => result.changes);
+};
+
+// This function sets the nutrition of a base dish: nutrition = { calories, protein, fat, carbs }.
+// Returns the number of updated rows.
+exports.setDishNutrition = (id, nutrition) => {
+  const sql = 'UPDATE basedishes SET calories = ?, protein = ?, fat = ?, carbs = ? WHERE id = ?';
+  return runWrite(sql, [nutrition.calories, nutrition.protein, nutrition.fat, nutrition.carbs, id]).then(result => result.changes);
+};
+
+// This function retires (active = false) or restores (active = true) a base dish.
+// Retired dishes cannot be ordered anymore but remain in the historical orders.
+exports.setDishActive = (id, active) => {
+  const sql = 'UPDATE basedishes SET active = ? WHERE id = ?';
+  return runWrite(sql, [active ? 1 : 0, id]).then(result => result.changes);
+};
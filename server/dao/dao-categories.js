@@ -0,0 +1,81 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the ingredient categories */
+
+const db = require('../db');
+const { runWrite } = require('../transaction');
+
+// This function returns all ingredient categories ordered by id: [{ id, name, max_per_dish }]
+// max_per_dish is the maximum number of portions of the category in one dish, null for no limit.
+exports.listCategories = () => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT id, name, max_per_dish FROM ingredient_categories ORDER BY id';
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+};
+
+// This function returns a category given its id, undefined if it does not exist
+exports.getCategoryById = (id) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT id, name, max_per_dish FROM ingredient_categories WHERE id = ?';
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+};
+
+// This function returns the category with the given name, if any (case insensitive)
+exports.getCategoryByName = (name) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT id, name, max_per_dish FROM ingredient_categories WHERE name = ? COLLATE NOCASE';
+    db.get(sql, [name], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+};
+
+// This function returns the names of the ingredients (retired ones included) in a category
+exports.getCategoryIngredients = (id) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT name FROM ingredients WHERE category_id = ? ORDER BY name';
+    db.all(sql, [id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(r => r.name));
+      }
+    });
+  });
+};
+
+// This function creates a new category and returns its id
+exports.createCategory = (category) => {
+  const sql = 'INSERT INTO ingredient_categories (name, max_per_dish) VALUES (?, ?)';
+  return runWrite(sql, [category.name, category.max_per_dish]).then(result => result.lastID);
+};
+
+// This function updates name and limit of a category, returning the number of updated rows
+exports.updateCategory = (id, category) => {
+  const sql = 'UPDATE ingredient_categories SET name = ?, max_per_dish = ? WHERE id = ?';
+  return runWrite(sql, [category.name, category.max_per_dish, id]).then(result => result.changes);
+};
+
+// This function deletes a category, returning the number of deleted rows
+exports.deleteCategory = (id) => {
+  const sql = 'DELETE FROM ingredient_categories WHERE id = ?';
+  return runWrite(sql, [id]).then(result => result.changes);
+};
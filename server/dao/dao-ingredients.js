@@ -3,34 +3,86 @@
 /* Data Access Object (DAO) module for accessing ingredients data */
 
 const db = require('../db');
+const { runInTransaction, runWrite } = require('../transaction');
+const constraintGraph = require('../constraint-graph');
 
-// This function returns all ingredients with their dependencies and incompatibilities
-exports.listIngredients = () => {
+// This function returns all ingredients with their dependencies, incompatibilities (names, and ids in dependencyIds and
+// incompatibilityIds), allergens and the ids of the dishes they can be put on (eligibleDishes).
+// allDependencies lists every ingredient required directly or through other ingredients, each one with the chain
+// of ids and names leading to it: [{ id, name, chainIds, chain }] (e.g. for Parmesan, Olives comes with
+// ['Mozzarella', 'Tomatoes', 'Olives']).
+// Retired ingredients are left out unless includeRetired is true; if dishId is given,
+// only the ingredients eligible for that dish are returned.
+exports.listIngredients = (includeRetired = false, dishId = undefined) => {
   return new Promise((resolve, reject) => {
-    const sql = `SELECT * FROM ingredients`;
-    db.all(sql, [], async (err, rows) => {
+    const conditions = [];
+    const params = [];
+    if (!includeRetired) conditions.push('active = 1');
+    if (dishId !== undefined) {
+      conditions.push('id IN (SELECT ingredient_id FROM dish_ingredients WHERE dish_id = ?)');
+      params.push(dishId);
+    }
+    const sql = `SELECT * FROM ingredients` + (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '');
+    db.all(sql, params, async (err, rows) => {
       if (err) {
         reject(err);
       } else {
+        // The transitive dependencies need the whole graph, retired and non eligible ingredients included
+        let constraints;
+        try {
+          constraints = await exports.listConstraints();
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        const graph = constraintGraph.createGraph(constraints.dependencies);
         // For each ingredient, get dependencies and incompatibilities
         const ingredients = await Promise.all(rows.map(async (ing) => {
-          // Dependencies - get names of required ingredients
-          const depSql = `SELECT i.name FROM ingredient_dependencies d JOIN ingredients i ON d.depends_on_id = i.id WHERE d.ingredient_id = ?`;
-          const dependencies = await new Promise((res, rej) => {
-            db.all(depSql, [ing.id], (e, depRows) => {
+          // Dependencies - get ids and names of required ingredients
+          const depSql = `SELECT i.id, i.name FROM ingredient_dependencies d JOIN ingredients i ON d.depends_on_id = i.id WHERE d.ingredient_id = ?`;
+          const depRows = await new Promise((res, rej) => {
+            db.all(depSql, [ing.id], (e, rows) => {
               if (e) rej(e);
-              else res(depRows.map(r => r.name));
+              else res(rows);
             });
           });
-          // Incompatibilities - get names of incompatible ingredients
-          const incSql = `SELECT i.name FROM ingredient_incompatibilities inc JOIN ingredients i ON inc.ingredient2_id = i.id WHERE inc.ingredient1_id = ?`;
-          const incompatibilities = await new Promise((res, rej) => {
-            db.all(incSql, [ing.id], (e, incRows) => {
+          // Incompatibilities - get ids and names of incompatible ingredients
+          const incSql = `SELECT i.id, i.name FROM ingredient_incompatibilities inc JOIN ingredients i ON inc.ingredient2_id = i.id WHERE inc.ingredient1_id = ?`;
+          const incRows = await new Promise((res, rej) => {
+            db.all(incSql, [ing.id], (e, rows) => {
               if (e) rej(e);
-              else res(incRows.map(r => r.name));
+              else res(rows);
             });
           });
-          return { ...ing, dependencies, incompatibilities };
+          const dependencies = depRows.map(r => r.name);
+          const incompatibilities = incRows.map(r => r.name);
+          // Allergens - get names of the allergens contained in the ingredient
+          const allergenSql = `SELECT allergen FROM ingredient_allergens WHERE ingredient_id = ? ORDER BY allergen`;
+          const allergens = await new Promise((res, rej) => {
+            db.all(allergenSql, [ing.id], (e, allergenRows) => {
+              if (e) rej(e);
+              else res(allergenRows.map(r => r.allergen));
+            });
+          });
+          // Eligibility - get ids of the dishes the ingredient can be put on
+          const eligSql = `SELECT dish_id FROM dish_ingredients WHERE ingredient_id = ?`;
+          const eligibleDishes = await new Promise((res, rej) => {
+            db.all(eligSql, [ing.id], (e, eligRows) => {
+              if (e) rej(e);
+              else res(eligRows.map(r => r.dish_id));
+            });
+          });
+          const allDependencies = [...constraintGraph.requirementChains(graph, ing.id).entries()].map(([depId, chain]) => ({
+            id: depId,
+            name: constraints.names.get(depId),
+            chainIds: chain,
+            chain: chain.map(id => constraints.names.get(id))
+          }));
+          return {
+            ...ing, dependencies, incompatibilities, allDependencies, allergens, eligibleDishes,
+            dependencyIds: depRows.map(r => r.id),
+            incompatibilityIds: incRows.map(r => r.id)
+          };
         }));
         resolve(ingredients);
       }
@@ -38,7 +90,8 @@ exports.listIngredients = () => {
   });
 };
 
-// This function returns specific ingredients by their IDs
+// This function returns specific ingredients by their IDs, each one with the names of its allergens, the ids of the
+// ingredients it requires (dependencyIds) and is incompatible with (incompatibilityIds) and of the dishes it can be put on
 exports.getIngredientsByIds = (ingredientIds) => {
   return new Promise((resolve, reject) => {
     if (!ingredientIds || ingredientIds.length === 0) {
@@ -48,8 +101,51 @@ exports.getIngredientsByIds = (ingredientIds) => {
     
     const placeholders = ingredientIds.map(() => '?').join(',');
     const sql = `SELECT * FROM ingredients WHERE id IN (${placeholders})`;
-    
-    db.all(sql, ingredientIds, (err, rows) => {
+    const allergenSql = `SELECT ingredient_id, allergen FROM ingredient_allergens WHERE ingredient_id IN (${placeholders}) ORDER BY allergen`;
+    const depSql = `SELECT ingredient_id, depends_on_id FROM ingredient_dependencies WHERE ingredient_id IN (${placeholders})`;
+    const incSql = `SELECT ingredient1_id, ingredient2_id FROM ingredient_incompatibilities WHERE ingredient1_id IN (${placeholders})`;
+    const eligSql = `SELECT ingredient_id, dish_id FROM dish_ingredients WHERE ingredient_id IN (${placeholders})`;
+    const all = (query) => new Promise((res, rej) => {
+      db.all(query, ingredientIds, (e, rows) => {
+        if (e) rej(e);
+        else res(rows);
+      });
+    });
+
+    Promise.all([all(sql), all(allergenSql), all(depSql), all(incSql), all(eligSql)])
+      .then(([rows, allergenRows, depRows, incRows, eligRows]) => {
+        resolve(rows.map(ing => ({
+          ...ing,
+          allergens: allergenRows.filter(r => r.ingredient_id === ing.id).map(r => r.allergen),
+          dependencyIds: depRows.filter(r => r.ingredient_id === ing.id).map(r => r.depends_on_id),
+          incompatibilityIds: incRows.filter(r => r.ingredient1_id === ing.id).map(r => r.ingredient2_id),
+          eligibleDishes: eligRows.filter(r => r.ingredient_id === ing.id).map(r => r.dish_id)
+        })));
+      })
+      .catch(reject);
+  });
+};
+
+// This function returns the names of all the allergens ingredients can be tagged with
+exports.listAllergens = () => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT name FROM allergens ORDER BY name';
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows.map(r => r.name));
+      }
+    });
+  });
+};
+
+// This function returns all the constraints between ingredients (retired ones included):
+// { names, dependencies, incompatibilities } where names maps each ingredient id to its name and the other two
+// are the rows of ingredient_dependencies and ingredient_incompatibilities
+exports.listConstraints = () => {
+  const all = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, [], (err, rows) => {
       if (err) {
         reject(err);
       } else {
@@ -57,32 +153,200 @@ exports.getIngredientsByIds = (ingredientIds) => {
       }
     });
   });
+  return readConstraints(all);
 };
 
-// This function returns the dependencies for a given ingredient ID
-exports.getIngredientDependencies = (ingredientId) => {
+// Reads the constraints (see listConstraints) with the given query function: sql => Promise of the rows
+const readConstraints = (all) => {
+  return Promise.all([
+    all('SELECT id, name FROM ingredients'),
+    all('SELECT ingredient_id, depends_on_id FROM ingredient_dependencies'),
+    all('SELECT ingredient1_id, ingredient2_id FROM ingredient_incompatibilities')
+  ]).then(([ingredients, dependencies, incompatibilities]) => ({
+    names: new Map(ingredients.map(i => [i.id, i.name])),
+    dependencies,
+    incompatibilities
+  }));
+};
+
+// Checks, inside a transaction, the whole constraint graph as it would be after adding a dependency
+// ({ ingredient_id, depends_on_id }) or an incompatibility ({ ingredient1_id, ingredient2_id }), so that a cycle
+// or a contradiction through a chain of dependencies is refused like a direct one.
+// Throws { error } describing the problem, which rolls the transaction back.
+const checkConstraints = async (tx, { dependency, incompatibility }) => {
+  const constraints = await readConstraints((sql) => tx.all(sql));
+  const graph = constraintGraph.createGraph(
+    dependency ? [...constraints.dependencies, dependency] : constraints.dependencies,
+    incompatibility ? [...constraints.incompatibilities, incompatibility] : constraints.incompatibilities
+  );
+  const problem = constraintGraph.describeProblem(graph, id => constraints.names.get(id), dependency && dependency.ingredient_id);
+  if (problem) {
+    throw { error: problem };
+  }
+};
+
+// This function returns an ingredient given its id (retired ones included)
+exports.getIngredientById = (id) => {
   return new Promise((resolve, reject) => {
-    const sql = `SELECT depends_on_id FROM ingredient_dependencies WHERE ingredient_id = ?`;
-    db.all(sql, [ingredientId], (err, rows) => {
+    const sql = 'SELECT * FROM ingredients WHERE id = ?';
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+};
+
+// This function returns the ingredient with the given name, if any (case insensitive)
+exports.getIngredientByName = (name) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM ingredients WHERE name = ? COLLATE NOCASE';
+    db.get(sql, [name], (err, row) => {
       if (err) {
         reject(err);
       } else {
-        resolve(rows.map(r => r.depends_on_id));
+        resolve(row);
       }
     });
   });
 };
 
-// This function returns the incompatibilities for a given ingredient ID
-exports.getIngredientIncompatibilities = (ingredientId) => {
+// This function returns the active ingredients that depend on the given ingredient ID
+exports.getDependentIngredients = (ingredientId) => {
   return new Promise((resolve, reject) => {
-    const sql = `SELECT ingredient2_id FROM ingredient_incompatibilities WHERE ingredient1_id = ?`;
+    const sql = `SELECT i.id, i.name FROM ingredient_dependencies d JOIN ingredients i ON d.ingredient_id = i.id WHERE d.depends_on_id = ? AND i.active = 1`;
     db.all(sql, [ingredientId], (err, rows) => {
       if (err) {
         reject(err);
       } else {
-        resolve(rows.map(r => r.ingredient2_id));
+        resolve(rows);
       }
     });
   });
-};
\ No newline at end of file
+};
+
+// Replaces the allergens of an ingredient inside a transaction
+const replaceAllergens = async (tx, ingredientId, allergens) => {
+  await tx.run('DELETE FROM ingredient_allergens WHERE ingredient_id = ?', [ingredientId]);
+  for (const allergen of allergens) {
+    await tx.run('INSERT INTO ingredient_allergens (ingredient_id, allergen) VALUES (?, ?)', [ingredientId, allergen]);
+  }
+};
+
+// This function creates a new ingredient and returns its id
+// availability is null for unlimited stock. The new ingredient is eligible for every existing dish.
+// vegetarian and vegan default to true (a non-vegetarian ingredient is never vegan), allergens (array of names) to none,
+// category_id to no category.
+exports.createIngredient = (ingredient) => {
+  const vegetarian = ingredient.vegetarian !== false;
+  const vegan = vegetarian && ingredient.vegan !== false;
+  return runInTransaction(async (tx) => {
+    const result = await tx.run('INSERT INTO ingredients (name, price, availability, active, vegetarian, vegan, category_id) VALUES (?, ?, ?, 1, ?, ?, ?)',
+      [ingredient.name, ingredient.price, ingredient.availability, vegetarian ? 1 : 0, vegan ? 1 : 0, ingredient.category_id ?? null]);
+    await tx.run('INSERT INTO dish_ingredients (dish_id, ingredient_id) SELECT id, ? FROM basedishes', [result.lastID]);
+    await replaceAllergens(tx, result.lastID, ingredient.allergens || []);
+    return result.lastID;
+  });
+};
+
+// This function updates name, price and availability of an ingredient, returning the number of updated rows.
+// vegetarian, vegan, allergens and category_id (null for no category) are updated only when given.
+exports.updateIngredient = (id, ingredient) => {
+  return runInTransaction(async (tx) => {
+    const result = await tx.run('UPDATE ingredients SET name = ?, price = ? WHERE id = ?', [ingredient.name, ingredient.price, id]);
+    if (result.changes === 0) {
+      return 0;
+    }
+    if (ingredient.availability !== undefined) {
+      await tx.run('UPDATE ingredients SET availability = ? WHERE id = ?', [ingredient.availability, id]);
+    }
+    if (ingredient.vegetarian !== undefined || ingredient.vegan !== undefined) {
+      const current = await tx.get('SELECT vegetarian, vegan FROM ingredients WHERE id = ?', [id]);
+      const vegetarian = ingredient.vegetarian !== undefined ? ingredient.vegetarian : !!current.vegetarian;
+      const vegan = vegetarian && (ingredient.vegan !== undefined ? ingredient.vegan : !!current.vegan);
+      await tx.run('UPDATE ingredients SET vegetarian = ?, vegan = ? WHERE id = ?', [vegetarian ? 1 : 0, vegan ? 1 : 0, id]);
+    }
+    if (ingredient.allergens !== undefined) {
+      await replaceAllergens(tx, id, ingredient.allergens);
+    }
+    if (ingredient.category_id !== undefined) {
+      await tx.run('UPDATE ingredients SET category_id = ? WHERE id = ?', [ingredient.category_id, id]);
+    }
+    return result.changes;
+  });
+};
+
+// This function sets the nutrition of one portion of an ingredient: nutrition = { calories, protein, fat, carbs }.
+// Returns the number of updated rows.
+exports.setIngredientNutrition = (id, nutrition) => {
+  const sql = 'UPDATE ingredients SET calories = ?, protein = ?, fat = ?, carbs = ? WHERE id = ?';
+  return runWrite(sql, [nutrition.calories, nutrition.protein, nutrition.fat, nutrition.carbs, id]).then(result => result.changes);
+};
+
+// This function retires (active = false) or restores (active = true) an ingredient.
+// Retired ingredients are hidden from the menu but kept for the historical orders.
+exports.setIngredientActive = (id, active) => {
+  const sql = 'UPDATE ingredients SET active = ? WHERE id = ?';
+  return runWrite(sql, [active ? 1 : 0, id]).then(result => result.changes);
+};
+
+// This function restores a retired ingredient, returning the number of updated rows.
+// The restore is refused with { error } if the ingredient requires retired ingredients: it could never be selected.
+exports.restoreIngredient = (id) => {
+  return runInTransaction(async (tx) => {
+    const retired = await tx.all(`SELECT i.name FROM ingredient_dependencies d JOIN ingredients i ON d.depends_on_id = i.id
+                                  WHERE d.ingredient_id = ? AND i.active = 0 ORDER BY i.name`, [id]);
+    if (retired.length > 0) {
+      const row = await tx.get('SELECT name FROM ingredients WHERE id = ?', [id]);
+      throw { error: `${row.name} requires retired ingredients: ${retired.map(r => r.name).join(', ')}` };
+    }
+    const { changes } = await tx.run('UPDATE ingredients SET active = 1 WHERE id = ?', [id]);
+    return changes;
+  });
+};
+
+// This function adds a dependency: ingredientId requires dependsOnId.
+// The check of the constraint graph and the insert run in the same transaction, so that two concurrent changes
+// cannot together create a cycle or a contradiction; the promise rejects with { error } describing the problem.
+exports.addDependency = (ingredientId, dependsOnId) => {
+  return runInTransaction(async (tx) => {
+    await checkConstraints(tx, { dependency: { ingredient_id: ingredientId, depends_on_id: dependsOnId } });
+    const sql = 'INSERT OR IGNORE INTO ingredient_dependencies (ingredient_id, depends_on_id) VALUES (?, ?)';
+    const { changes } = await tx.run(sql, [ingredientId, dependsOnId]);
+    return changes;
+  });
+};
+
+// This function removes a dependency, returning the number of deleted rows
+exports.removeDependency = (ingredientId, dependsOnId) => {
+  const sql = 'DELETE FROM ingredient_dependencies WHERE ingredient_id = ? AND depends_on_id = ?';
+  return runWrite(sql, [ingredientId, dependsOnId]).then(result => result.changes);
+};
+
+// This function adds an incompatibility between two ingredients.
+// Incompatibilities are symmetric: both directions are stored by the same statement.
+// As for addDependency, the constraint graph is checked in the same transaction (rejects with { error }).
+exports.addIncompatibility = (id1, id2) => {
+  return runInTransaction(async (tx) => {
+    await checkConstraints(tx, { incompatibility: { ingredient1_id: id1, ingredient2_id: id2 } });
+    const sql = 'INSERT OR IGNORE INTO ingredient_incompatibilities (ingredient1_id, ingredient2_id) VALUES (?, ?), (?, ?)';
+    const { changes } = await tx.run(sql, [id1, id2, id2, id1]);
+    return changes;
+  });
+};
+
+// This function removes the incompatibility between two ingredients (both directions)
+exports.removeIncompatibility = (id1, id2) => {
+  const sql = `DELETE FROM ingredient_incompatibilities
+                 WHERE (ingredient1_id = ? AND ingredient2_id = ?) OR (ingredient1_id = ? AND ingredient2_id = ?)`;
+  return runWrite(sql, [id1, id2, id2, id1]).then(result => result.changes);
+};
+
+// This function makes an ingredient eligible (or not) for a base dish, returning the number of changed rows
+exports.setEligibility = (dishId, ingredientId, eligible) => {
+  const sql = eligible ? 'INSERT OR IGNORE INTO dish_ingredients (dish_id, ingredient_id) VALUES (?, ?)' :
+    'DELETE FROM dish_ingredients WHERE dish_id = ? AND ingredient_id = ?';
+  return runWrite(sql, [dishId, ingredientId]).then(result => result.changes);
+};
@@ -3,181 +3,279 @@
 /* Data Access Object (DAO) module for accessing orders data */
 
 const db = require('../db');
+const { runInTransaction } = require('../transaction');
+const { getDishDietary, mergeAllergens } = require('../../shared/dietary.mjs');
+const { getDishNutrition, sumNutrition } = require('../../shared/nutrition.mjs');
 
-// This function returns all orders for a specific user with their ingredients
-exports.listOrders = (userId) => {
+// Order status state machine: for each status, the statuses it can move to
+const ORDER_TRANSITIONS = {
+  placed: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['completed'],
+  completed: [],
+  cancelled: []
+};
+exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+
+// This function computes, inside the transaction of createOrder, the values of a line item that are stored with it:
+// the price of the size, and the dietary information and nutrition of the dish as configured on the current menu.
+// item: { dishId, sizeId, ingredients: [{ id, quantity }] }
+// Returns { sizePrice, vegetarian, vegan, allergens, nutrition }.
+const itemSnapshot = async (tx, item) => {
+  const base = await tx.get(`SELECT b.calories, b.protein, b.fat, b.carbs, s.nutrition_multiplier, COALESCE(ds.price, s.price) as sizePrice
+                             FROM basedishes b
+                             JOIN sizes s ON s.id = ?
+                             LEFT JOIN dish_sizes ds ON ds.dish_id = b.id AND ds.size_id = s.id
+                             WHERE b.id = ?`, [item.sizeId, item.dishId]);
+  if (!base) {
+    throw { error: `Dish with id ${item.dishId} in size with id ${item.sizeId} not found` };
+  }
+  const ingredients = [];
+  for (const sel of item.ingredients) {
+    const ing = await tx.get('SELECT id, vegetarian, vegan, calories, protein, fat, carbs FROM ingredients WHERE id = ?', [sel.id]);
+    if (!ing) {
+      throw { error: `Ingredient with id ${sel.id} not found`, ingredientId: sel.id };
+    }
+    const allergenRows = await tx.all('SELECT allergen FROM ingredient_allergens WHERE ingredient_id = ?', [sel.id]);
+    ingredients.push({ ...ing, quantity: sel.quantity, allergens: allergenRows.map(r => r.allergen) });
+  }
+  return {
+    sizePrice: base.sizePrice,
+    ...getDishDietary(ingredients),
+    nutrition: getDishNutrition(base, base, ingredients)
+  };
+};
+
+// Promise wrapper around db.all, used to load the details of the orders in sequence
+const allSql = (sql, params) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Loads the line items (with their ingredients, dietary information and nutrition) and the status timeline of an order row.
+// The size price, dietary information and nutrition of the items are the ones stored when the order was placed
+// (see createOrder), so later menu changes do not alter past orders.
+// The allergens of the order are the ones of all its dishes, its nutrition is the sum of the ones of its dishes.
+const buildOrder = async (order) => {
+  const itemSql = `SELECT oi.id, oi.dish_id, oi.size_id, oi.price, oi.size_price, oi.vegetarian, oi.vegan,
+                          oi.calories, oi.protein, oi.fat, oi.carbs, b.name as dishName, s.name as sizeName
+                   FROM order_items oi
+                   JOIN basedishes b ON oi.dish_id = b.id
+                   JOIN sizes s ON oi.size_id = s.id
+                   WHERE oi.order_id = ?
+                   ORDER BY oi.id`;
+  const itemRows = await allSql(itemSql, [order.id]);
+  // For each line item, get ingredients
+  const items = await Promise.all(itemRows.map(async (item) => {
+    const ingSql = `SELECT i.*, oi.quantity FROM order_ingredients oi JOIN ingredients i ON oi.ingredient_id = i.id WHERE oi.item_id = ?`;
+    const ingRows = await allSql(ingSql, [item.id]);
+    const allergenRows = await allSql(`SELECT a.ingredient_id, a.allergen FROM order_ingredients oi
+                                       JOIN ingredient_allergens a ON oi.ingredient_id = a.ingredient_id
+                                       WHERE oi.item_id = ? ORDER BY a.allergen`, [item.id]);
+    const ingredients = ingRows.map(ing => ({
+      ...ing,
+      allergens: allergenRows.filter(r => r.ingredient_id === ing.id).map(r => r.allergen)
+    }));
+    const itemAllergens = await allSql('SELECT allergen FROM order_item_allergens WHERE item_id = ? ORDER BY allergen', [item.id]);
+    return {
+      id: item.id,
+      dish: item.dishName,
+      dishId: item.dish_id,
+      size: item.sizeName,
+      sizeId: item.size_id,
+      sizePrice: item.size_price,
+      total: item.price,
+      ingredients: ingredients,
+      vegetarian: !!item.vegetarian,
+      vegan: !!item.vegan,
+      allergens: itemAllergens.map(r => r.allergen),
+      nutrition: { calories: item.calories, protein: item.protein, fat: item.fat, carbs: item.carbs }
+    };
+  }));
+  // Status timeline, oldest transition first
+  const historyRows = await allSql('SELECT status, changed_at FROM order_status_history WHERE order_id = ? ORDER BY changed_at, id', [order.id]);
+  const timeline = historyRows.map(h => ({ status: h.status, changedAt: h.changed_at }));
+  return {
+    id: order.id,
+    total: order.total,
+    status: order.status,
+    createdAt: order.created_at,
+    updatedAt: order.updated_at,
+    timeline: timeline,
+    items: items,
+    allergens: mergeAllergens(items.map(item => item.allergens)),
+    nutrition: sumNutrition(items.map(item => item.nutrition))
+  };
+};
+
+// This function returns all orders for a specific user, each one with its line items and their ingredients.
+// Orders are sorted by creation time, most recent first; range.from/range.to (ISO strings) optionally
+// restrict the result to the orders created in [from, to).
+exports.listOrders = (userId, range = {}) => {
   return new Promise((resolve, reject) => {
-    const sql = `SELECT o.id, o.dish_id, o.size_id, o.total, b.name as dishName, s.name as sizeName, s.price as sizePrice
-                 FROM orders o 
-                 JOIN basedishes b ON o.dish_id = b.id 
-                 JOIN sizes s ON o.size_id = s.id 
-                 WHERE o.user_id = ?`;
-    db.all(sql, [userId], async (err, rows) => {
+    let sql = `SELECT o.id, o.total, o.status, o.created_at, o.updated_at FROM orders o WHERE o.user_id = ?`;
+    const params = [userId];
+    if (range.from) {
+      sql += ' AND o.created_at >= ?';
+      params.push(range.from);
+    }
+    if (range.to) {
+      sql += ' AND o.created_at < ?';
+      params.push(range.to);
+    }
+    sql += ' ORDER BY o.created_at DESC, o.id DESC';
+    db.all(sql, params, async (err, rows) => {
       if (err) {
         reject(err);
       } else {
-        // For each order, get ingredients
-        const orders = await Promise.all(rows.map(async (order) => {
-          const ingSql = `SELECT i.* FROM order_ingredients oi JOIN ingredients i ON oi.ingredient_id = i.id WHERE oi.order_id = ?`;
-          const ingredients = await new Promise((res, rej) => {
-            db.all(ingSql, [order.id], (e, ingRows) => {
-              if (e) rej(e);
-              else res(ingRows);
-            });
-          });
-          return { 
-            id: order.id,
-            dish: order.dishName,
-            dishId: order.dish_id,
-            size: order.sizeName,
-            sizeId: order.size_id,
-            sizePrice: order.sizePrice,
-            total: order.total,
-            ingredients: ingredients
-          };
-        }));
-        // Sort orders by ID in descending order (most recent first)
-        orders.sort((a, b) => b.id - a.id);
-        resolve(orders);
+        try {
+          resolve(await Promise.all(rows.map(buildOrder)));
+        } catch (e) {
+          reject(e);
+        }
       }
     });
   });
 };
 
-// This function creates a new order 
-exports.createOrder = (order) => {
+// This function returns the open orders (placed, preparing or ready) of all users for the kitchen display.
+// Orders are sorted by creation time, oldest first, and carry the name of the customer.
+exports.listOpenOrders = () => {
   return new Promise((resolve, reject) => {
-    db.run('BEGIN TRANSACTION', (err) => {
+    const sql = `SELECT o.id, o.total, o.status, o.created_at, o.updated_at, u.name as customer
+                 FROM orders o JOIN users u ON o.user_id = u.id
+                 WHERE o.status IN ('placed', 'preparing', 'ready')
+                 ORDER BY o.created_at ASC, o.id ASC`;
+    db.all(sql, [], async (err, rows) => {
       if (err) {
-        console.error('Error beginning transaction:', err);
-        reject({ error: 'Failed to start transaction: ' + err.message });
-        return;
-      }
-      
-      const sql = `INSERT INTO orders (user_id, dish_id, size_id, total) VALUES (?, ?, ?, ?)`;
-      
-      db.run(sql, [order.user_id, order.dishId, order.sizeId, order.total], function(err) {
-        if (err) {
-          console.error('Error creating order:', err);
-          db.run('ROLLBACK');
-          reject({ error: 'Failed to create order: ' + err.message });
-          return;
-        }
-        
-        const orderId = this.lastID;
-        
-        // Handle case where there are no ingredients
-        if (!order.ingredients || order.ingredients.length === 0) {
-          db.run('COMMIT', (err) => {
-            if (err) {
-              console.error('Error committing empty order:', err);
-              db.run('ROLLBACK');
-              reject({ error: 'Failed to commit order: ' + err.message });
-              return;
-            }
-            resolve({ id: orderId });
-          });
-          return;
-        }
-        
-        // Insert ingredients and update availability sequentially 
-        let currentIndex = 0;
-        function processNextIngredient() {
-          if (currentIndex >= order.ingredients.length) {
-            db.run('COMMIT', (err) => {
-              if (err) {
-                console.error('Error committing transaction:', err);
-                db.run('ROLLBACK');
-                reject({ error: 'Failed to commit order: ' + err.message });
-                return;
-              }
-              resolve({ id: orderId });
-            });
-            return;
-          }
-          const ing = order.ingredients[currentIndex];
-          db.run('INSERT INTO order_ingredients (order_id, ingredient_id) VALUES (?, ?)', [orderId, ing.id], (err) => {
-            if (err) {
-              console.error('Error adding ingredient:', err);
-              db.run('ROLLBACK');
-              reject({ error: 'Failed to add ingredients: ' + err.message });
-              return;
-            }
-            db.run('UPDATE ingredients SET availability = availability - 1 WHERE id = ? AND availability IS NOT NULL AND availability > 0', [ing.id], (err) => {
-              if (err) {
-                console.error('Error updating availability:', err);
-                db.run('ROLLBACK');
-                reject({ error: 'Failed to update availability: ' + err.message });
-                return;
-              }
-              currentIndex++;
-              processNextIngredient();
-            });
-          });
+        reject(err);
+      } else {
+        try {
+          const orders = await Promise.all(rows.map(async (row) => ({ ...(await buildOrder(row)), customer: row.customer })));
+          resolve(orders);
+        } catch (e) {
+          reject(e);
         }
-        processNextIngredient();
-      });
+      }
     });
   });
 };
 
-// This function deletes an order and restores ingredient availability
-exports.deleteOrder = (userId, orderId) => {
+// This function returns the summary of an order (owner, status, last update), undefined if it does not exist
+exports.getOrderById = (orderId) => {
   return new Promise((resolve, reject) => {
-    db.run('BEGIN TRANSACTION', (err) => {
+    const sql = 'SELECT id, user_id, status, updated_at FROM orders WHERE id = ?';
+    db.get(sql, [orderId], (err, row) => {
       if (err) {
-        console.error('Error beginning transaction:', err);
-        reject({ error: 'Failed to start transaction: ' + err.message });
-        return;
+        reject(err);
+      } else if (row === undefined) {
+        resolve(undefined);
+      } else {
+        resolve({ id: row.id, userId: row.user_id, status: row.status, updatedAt: row.updated_at });
       }
-      // Get ingredients for the order to restore availability
-      const ingSql = 'SELECT ingredient_id FROM order_ingredients WHERE order_id = ?';
-      db.all(ingSql, [orderId], (err, ingRows) => {
-        if (err) {
-          db.run('ROLLBACK');
-          reject({ error: 'Failed to get order ingredients' });
-          return;
-        }
-        let currentIndex = 0;
-        function processNextRestore() {
-          if (currentIndex >= ingRows.length) {
-            db.run('DELETE FROM order_ingredients WHERE order_id = ?', [orderId], (err) => {
-              if (err) {
-                db.run('ROLLBACK');
-                reject({ error: 'Failed to delete order ingredients' });
-                return;
-              }
-              db.run('DELETE FROM orders WHERE id = ? AND user_id = ?', [orderId, userId], function(err) {
-                if (err) {
-                  db.run('ROLLBACK');
-                  reject({ error: 'Failed to delete order' });
-                  return;
-                }
-                db.run('COMMIT', (err) => {
-                  if (err) {
-                    db.run('ROLLBACK');
-                    reject({ error: 'Failed to commit deletion' });
-                    return;
-                  }
-                  resolve(this.changes);
-                });
-              });
-            });
-            return;
-          }
-          const row = ingRows[currentIndex];
-          db.run('UPDATE ingredients SET availability = availability + 1 WHERE id = ? AND availability IS NOT NULL', [row.ingredient_id], (err) => {
-            if (err) {
-              db.run('ROLLBACK');
-              reject({ error: 'Failed to restore ingredient availability' });
-              return;
-            }
-            currentIndex++;
-            processNextRestore();
-          });
-        }
-        processNextRestore();
-      });
     });
   });
-};
\ No newline at end of file
+};
+
+// This function creates a new order with all its line items in a single transaction
+// order: { user_id, total, items: [{ dishId, sizeId, total, ingredients: [{ id, quantity }] }] }
+// The stock of every ingredient is decremented with a conditional update: if any ingredient does not have
+// enough units left at that moment (units held by the reservations of other users do not count),
+// the whole transaction is rolled back and the promise rejects with { error: 'There is not enough X for this order', ingredientId }.
+// The reservations of the user are consumed by the order.
+exports.createOrder = (order) => {
+  return runInTransaction(async (tx) => {
+    const now = new Date().toISOString();
+    const { lastID: orderId } = await tx.run("INSERT INTO orders (user_id, total, status, created_at, updated_at) VALUES (?, ?, 'placed', ?, ?)",
+      [order.user_id, order.total, now, now]);
+    await tx.run('INSERT INTO order_status_history (order_id, status, changed_at) VALUES (?, ?, ?)', [orderId, 'placed', now]);
+
+    // Insert line items (with their size price, dietary information and nutrition) and their ingredients
+    // sequentially, counting the units needed of each ingredient
+    const itemIds = [];
+    const needed = new Map();
+    for (const item of order.items) {
+      const snapshot = await itemSnapshot(tx, item);
+      const { nutrition } = snapshot;
+      const { lastID: itemId } = await tx.run(`INSERT INTO order_items (order_id, dish_id, size_id, price, size_price, vegetarian, vegan, calories, protein, fat, carbs)
+                                               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [orderId, item.dishId, item.sizeId, item.total, snapshot.sizePrice, snapshot.vegetarian ? 1 : 0, snapshot.vegan ? 1 : 0,
+          nutrition.calories, nutrition.protein, nutrition.fat, nutrition.carbs]);
+      for (const allergen of snapshot.allergens) {
+        await tx.run('INSERT INTO order_item_allergens (item_id, allergen) VALUES (?, ?)', [itemId, allergen]);
+      }
+      itemIds.push(itemId);
+      for (const ing of item.ingredients) {
+        await tx.run('INSERT INTO order_ingredients (item_id, ingredient_id, quantity) VALUES (?, ?, ?)', [itemId, ing.id, ing.quantity]);
+        needed.set(ing.id, (needed.get(ing.id) || 0) + ing.quantity);
+      }
+    }
+
+    // Consume the stock: the update matches no row when the ingredient has fewer free units than needed
+    // (unlimited ingredients, with NULL availability, always match and stay NULL)
+    for (const [ingredientId, quantity] of needed) {
+      const { changes } = await tx.run(`UPDATE ingredients SET availability = availability - ?
+                                        WHERE id = ? AND (availability IS NULL OR availability - (
+                                          SELECT COALESCE(SUM(r.quantity), 0) FROM ingredient_reservations r
+                                          WHERE r.ingredient_id = ingredients.id AND r.user_id <> ? AND r.expires_at > ?) >= ?)`,
+        [quantity, ingredientId, order.user_id, now, quantity]);
+      if (changes === 0) {
+        const row = await tx.get('SELECT name FROM ingredients WHERE id = ?', [ingredientId]);
+        throw { error: row ? `There is not enough ${row.name} for this order` : `Ingredient with id ${ingredientId} not found`, ingredientId };
+      }
+    }
+
+    await tx.run('DELETE FROM ingredient_reservations WHERE user_id = ?', [order.user_id]);
+    return { id: orderId, itemIds: itemIds, createdAt: now };
+  }).catch((err) => {
+    if (err.error) throw err;
+    console.error('Error creating order:', err);
+    throw { error: 'Failed to create order: ' + err.message };
+  });
+};
+
+// This function moves an order to a new status, recording the transition in the status history.
+// Moving to 'cancelled' restores the availability of the ingredients used by the order.
+// options.userId restricts the change to the orders of that user, options.allowedFrom restricts the current statuses accepted.
+// Resolves to the number of orders changed (0 if the order does not exist or does not belong to the user).
+exports.updateOrderStatus = (orderId, status, options = {}) => {
+  return runInTransaction(async (tx) => {
+    const sql = options.userId !== undefined ?
+      'SELECT id, status FROM orders WHERE id = ? AND user_id = ?' :
+      'SELECT id, status FROM orders WHERE id = ?';
+    const params = options.userId !== undefined ? [orderId, options.userId] : [orderId];
+    const row = await tx.get(sql, params);
+    if (!row) {
+      return 0;
+    }
+
+    // Check the transition against the state machine
+    const current = row.status;
+    const allowed = (ORDER_TRANSITIONS[current] || []).includes(status) &&
+      (!options.allowedFrom || options.allowedFrom.includes(current));
+    if (!allowed) {
+      throw { error: `Order #${orderId} cannot move from ${current} to ${status}` };
+    }
+
+    if (status === 'cancelled') {
+      // Get ingredients of every line item to restore availability
+      const ingRows = await tx.all(`SELECT oi.ingredient_id, oi.quantity FROM order_ingredients oi JOIN order_items it ON oi.item_id = it.id WHERE it.order_id = ?`, [orderId]);
+      for (const ingRow of ingRows) {
+        await tx.run('UPDATE ingredients SET availability = availability + ? WHERE id = ? AND availability IS NOT NULL', [ingRow.quantity, ingRow.ingredient_id]);
+      }
+    }
+
+    const now = new Date().toISOString();
+    const { changes } = await tx.run('UPDATE orders SET status = ?, updated_at = ? WHERE id = ?', [status, now, orderId]);
+    await tx.run('INSERT INTO order_status_history (order_id, status, changed_at) VALUES (?, ?, ?)', [orderId, status, now]);
+    return changes;
+  }).catch((err) => {
+    // Rule errors ({ error }) are for the user; database errors are rethrown untouched (the routes answer 503)
+    if (!err.error) console.error('Error updating order status:', err);
+    throw err;
+  });
+};
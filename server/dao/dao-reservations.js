@@ -0,0 +1,75 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the temporary stock reservations */
+
+const db = require('../db');
+const { runInTransaction, runWrite } = require('../transaction');
+
+// This function returns the active (not expired) reservations: [{ ingredient_id, user_id, quantity }]
+exports.listActiveReservations = () => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT ingredient_id, user_id, quantity FROM ingredient_reservations WHERE expires_at > ?';
+    db.all(sql, [new Date().toISOString()], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+};
+
+// This function returns a Map ingredient id -> units held by the active reservations,
+// leaving out the reservations of excludeUserId (undefined to count every reservation)
+exports.getReservedCounts = async (excludeUserId) => {
+  const rows = await exports.listActiveReservations();
+  const reserved = new Map();
+  for (const row of rows) {
+    if (row.user_id !== excludeUserId) {
+      reserved.set(row.ingredient_id, (reserved.get(row.ingredient_id) || 0) + row.quantity);
+    }
+  }
+  return reserved;
+};
+
+// This function sets the number of units of an ingredient held by a user until expiresAt (ISO string).
+// A quantity of 0 releases the reservation. Ingredients with unlimited stock are never reserved.
+// Rejects with { error } if the ingredient does not exist, or if the units not held by the other users are not enough.
+exports.setReservation = (userId, ingredientId, quantity, expiresAt) => {
+  return runInTransaction(async (tx) => {
+    const ingredient = await tx.get('SELECT id, name, availability FROM ingredients WHERE id = ? AND active = 1', [ingredientId]);
+    if (!ingredient) {
+      throw { error: 'Ingredient not found', status: 404 };
+    }
+    if (quantity === 0 || ingredient.availability === null) {
+      await tx.run('DELETE FROM ingredient_reservations WHERE user_id = ? AND ingredient_id = ?', [userId, ingredientId]);
+      return { ingredientId: ingredientId, quantity: 0, expiresAt: null };
+    }
+
+    const row = await tx.get(`SELECT COALESCE(SUM(quantity), 0) AS reserved FROM ingredient_reservations
+                              WHERE ingredient_id = ? AND user_id <> ? AND expires_at > ?`,
+      [ingredientId, userId, new Date().toISOString()]);
+    const free = ingredient.availability - row.reserved;
+    if (free < quantity) {
+      throw { error: free > 0 ? `Only ${free} ${ingredient.name} left, the rest is reserved by other customers` :
+        `${ingredient.name} is reserved by other customers`, status: 409 };
+    }
+
+    await tx.run(`INSERT INTO ingredient_reservations (user_id, ingredient_id, quantity, expires_at) VALUES (?, ?, ?, ?)
+                  ON CONFLICT (user_id, ingredient_id) DO UPDATE SET quantity = excluded.quantity, expires_at = excluded.expires_at`,
+      [userId, ingredientId, quantity, expiresAt]);
+    return { ingredientId: ingredientId, quantity: quantity, expiresAt: expiresAt };
+  });
+};
+
+// This function releases all the reservations of a user, returning the number of deleted rows
+exports.releaseReservations = (userId) => {
+  const sql = 'DELETE FROM ingredient_reservations WHERE user_id = ?';
+  return runWrite(sql, [userId]).then(result => result.changes);
+};
+
+// This function deletes the expired reservations, returning the number of deleted rows
+exports.deleteExpiredReservations = () => {
+  const sql = 'DELETE FROM ingredient_reservations WHERE expires_at <= ?';
+  return runWrite(sql, [new Date().toISOString()]).then(result => result.changes);
+};
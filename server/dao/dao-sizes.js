@@ -3,6 +3,7 @@
 /* Data Access Object (DAO) module for accessing sizes data */
 
 const db = require('../db');
+const { runWrite } = require('../transaction');
 
 // This function returns all sizes from the database ordered by price
 exports.listSizes = () => {
@@ -31,3 +32,74 @@ exports.getSizeById = (id) => {
     });
   });
 };
+
+// Effective size of every dish: the per-dish override when there is one, the global size otherwise
+const dishSizesSql = `SELECT d.id AS dish_id, s.id, s.name,
+                             COALESCE(ds.price, s.price) AS price, COALESCE(ds.max_ingredients, s.max_ingredients) AS max_ingredients,
+                             s.nutrition_multiplier
+                      FROM basedishes d CROSS JOIN sizes s
+                      LEFT JOIN dish_sizes ds ON ds.dish_id = d.id AND ds.size_id = s.id`;
+
+// This function returns the effective sizes of all dishes, ordered by global size price:
+// [{ dish_id, id, name, price, max_ingredients, nutrition_multiplier }]
+exports.listDishSizes = () => {
+  return new Promise((resolve, reject) => {
+    const sql = `${dishSizesSql} ORDER BY s.price`;
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+};
+
+// This function returns the effective size (price and maximum number of ingredients) of a dish, given the ids
+exports.getDishSize = (dishId, sizeId) => {
+  return new Promise((resolve, reject) => {
+    const sql = `${dishSizesSql} WHERE d.id = ? AND s.id = ?`;
+    db.get(sql, [dishId, sizeId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+};
+
+// This function returns the per-dish overrides: [{ dish_id, size_id, price, max_ingredients }]
+// A null price or max_ingredients falls back to the global size.
+exports.listSizeOverrides = () => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM dish_sizes';
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+};
+
+// This function sets the price and/or the maximum number of ingredients of a size for one dish
+exports.setSizeOverride = (dishId, sizeId, override) => {
+  const sql = `INSERT INTO dish_sizes (dish_id, size_id, price, max_ingredients) VALUES (?, ?, ?, ?)
+               ON CONFLICT (dish_id, size_id) DO UPDATE SET price = excluded.price, max_ingredients = excluded.max_ingredients`;
+  return runWrite(sql, [dishId, sizeId, override.price, override.max_ingredients]).then(result => result.changes);
+};
+
+// This function removes the override of a size for one dish, returning the number of deleted rows
+exports.removeSizeOverride = (dishId, sizeId) => {
+  const sql = 'DELETE FROM dish_sizes WHERE dish_id = ? AND size_id = ?';
+  return runWrite(sql, [dishId, sizeId]).then(result => result.changes);
+};
+
+// This function updates price and maximum number of ingredients of a size, returning the number of updated rows.
+// The nutrition multiplier (scaling the nutrition of the base dish) is changed only when given.
+exports.updateSize = (id, size) => {
+  const sql = 'UPDATE sizes SET price = ?, max_ingredients = ?, nutrition_multiplier = COALESCE(?, nutrition_multiplier) WHERE id = ?';
+  return runWrite(sql, [size.price, size.max_ingredients, size.nutrition_multiplier ?? null, id]).then(result => result.changes);
+};
@@ -3,6 +3,7 @@
 // Data Access Object (DAO) for accessing users data
 
 const db = require('../db');
+const { runInTransaction, runWrite } = require('../transaction');
 const crypto = require('crypto');
 
 // This function returns user's information given its id.
@@ -17,7 +18,7 @@ exports.getUserById = (id) => {
       else {
         // By default, the local strategy looks for "username": 
         // for simplicity, instead of using "email", we create an object with that property.
-        const user = { id: row.id, username: row.email, name: row.name, secret: row.secret };
+        const user = { id: row.id, username: row.email, name: row.name, secret: row.secret, role: row.role };
         resolve(user);
       }
     });
@@ -35,7 +36,7 @@ exports.getUser = (username, password) => {
         resolve(false);
       }
       else {
-        const user = { id: row.id, username: row.email, name: row.name, secret: row.secret };
+        const user = { id: row.id, username: row.email, name: row.name, secret: row.secret, role: row.role };
         crypto.scrypt(password, row.salt, 32, function (err, hashedPassword) {
           if (err) reject(err);
           if (!crypto.timingSafeEqual(Buffer.from(row.hash, 'hex'), hashedPassword))
@@ -46,4 +47,56 @@ exports.getUser = (username, password) => {
       }
     });
   });
-};
\ No newline at end of file
+};
+
+// This function returns all users with their role (without credentials).
+exports.listUsers = () => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT id, email, name, role FROM users ORDER BY id';
+    db.all(sql, [], (err, rows) => {
+      if (err)
+        reject(err);
+      else
+        resolve(rows);
+    });
+  });
+};
+
+// This function changes the role of a user, returning the number of updated rows.
+exports.updateUserRole = (id, role) => {
+  const sql = 'UPDATE users SET role = ? WHERE id = ?';
+  return runWrite(sql, [role, id]).then(result => result.changes);
+};
+
+// This function returns the dietary profile of a user: { diet, allergens }
+// diet is 'none', 'vegetarian' or 'vegan', allergens the names of the allergens to avoid.
+exports.getDietaryProfile = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT diet FROM users WHERE id = ?', [userId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (row === undefined) {
+        resolve({ error: 'User not found.' });
+      } else {
+        db.all('SELECT allergen FROM user_allergens WHERE user_id = ? ORDER BY allergen', [userId], (e, rows) => {
+          if (e)
+            reject(e);
+          else
+            resolve({ diet: row.diet, allergens: rows.map(r => r.allergen) });
+        });
+      }
+    });
+  });
+};
+
+// This function saves the dietary profile of a user, replacing the previous one.
+exports.setDietaryProfile = (userId, profile) => {
+  return runInTransaction(async (tx) => {
+    await tx.run('UPDATE users SET diet = ? WHERE id = ?', [profile.diet, userId]);
+    await tx.run('DELETE FROM user_allergens WHERE user_id = ?', [userId]);
+    for (const allergen of profile.allergens) {
+      await tx.run('INSERT INTO user_allergens (user_id, allergen) VALUES (?, ?)', [userId, allergen]);
+    }
+    return { diet: profile.diet, allergens: [...profile.allergens].sort() };
+  });
+};
@@ -4,9 +4,30 @@
 
 const sqlite3 = require('sqlite3');
 
-// open the database
-const db = new sqlite3.Database('./restaurant.db', (err) => {
-  if (err) throw err;
-});
+// Path of the database file: restaurant.db in the working directory, unless DB_FILE is set (e.g. by the tests)
+const DB_FILE = process.env.DB_FILE || './restaurant.db';
 
-module.exports = db; 
\ No newline at end of file
+// This function opens a connection to the database.
+// The database is in WAL mode, so that reads never see the changes of a transaction that is not committed yet
+// and are not blocked by it; busyTimeout makes a connection wait (instead of failing) while the other one
+// checkpoints the log. The mode is set in serialized mode, so that it is done before any other statement
+// of the connection runs (it cannot be changed inside a transaction).
+const openConnection = () => {
+  const conn = new sqlite3.Database(DB_FILE, (err) => {
+    if (err) throw err;
+  });
+  conn.configure('busyTimeout', 5000);
+  conn.serialize(() => {
+    conn.run('PRAGMA journal_mode = WAL');
+  });
+  return conn;
+};
+
+// open the database: the DAOs read through this connection
+const db = openConnection();
+
+// The writes go through their own connection, used only by the transaction queue (see transaction.js):
+// the reads of the DAOs therefore see the DB as of the last commit, never halfway through a transaction.
+db.writer = openConnection();
+
+module.exports = db;
@@ -0,0 +1,97 @@
+'use strict';
+
+/** Dish completion module: completes a partial ingredient selection into a valid dish **/
+
+const { requirementChains } = require('./constraint-graph');
+
+// This function returns the minimal valid completion of a partial selection of ingredients.
+// Dependencies are all mandatory, so the minimal completion is unique: every ingredient required,
+// directly or through a chain, by the selected ones is added with one portion. The completed dish
+// must then respect eligibility, availability, incompatibilities, the size limit and the category limits.
+// - dish, size: the base dish and its size ({ name, max_ingredients })
+// - selection: [{ id, quantity }] the ingredients chosen by the customer (quantity defaults to 1)
+// - ingredients: the active ingredients eligible for the dish ({ id, name, availability, category_id })
+// - graph: the constraint graph (see constraint-graph.js), names: Map ingredient id -> name
+// - categories: the ingredient categories ({ id, name, max_per_dish })
+// - used: Map ingredient id -> units not available to this dish (held by other customers, used by other dishes)
+// Returns { ingredients: [{ id, name, quantity }], added: [{ id, name, chain }] }, where chain lists the names
+// from a selected ingredient to the added one, or { error } explaining why no completion exists.
+exports.completeDish = ({ dish, size, selection, ingredients, graph, names, categories, used }) => {
+  const nameOf = (id) => names.get(id) || `ingredient ID ${id}`;
+  const findIngredient = (id) => ingredients.find(ing => ing.id === id);
+  const unitsLeft = (ing) => ing.availability === null ? null : ing.availability - (used.get(ing.id) || 0);
+
+  // The selected ingredients must be valid on their own
+  const selected = selection.map(sel => ({ id: sel.id, quantity: sel.quantity || 1 }));
+  if (new Set(selected.map(sel => sel.id)).size !== selected.length) {
+    return { error: 'Each ingredient can be selected only once' };
+  }
+  for (const sel of selected) {
+    if (!names.has(sel.id)) {
+      return { error: `Ingredient with id ${sel.id} not found` };
+    }
+    const ing = findIngredient(sel.id);
+    if (!ing) {
+      return { error: `${nameOf(sel.id)} is not available on ${dish.name}` };
+    }
+    const left = unitsLeft(ing);
+    if (left !== null && left < sel.quantity) {
+      return { error: `There is not enough ${ing.name} for ${sel.quantity} portions (${Math.max(left, 0)} left)` };
+    }
+  }
+
+  // Add what the selection requires, remembering the chain that brings each ingredient in
+  const added = [];
+  for (const sel of selected) {
+    for (const [id, chain] of requirementChains(graph, sel.id)) {
+      if (!selected.some(s => s.id === id) && !added.some(a => a.id === id)) {
+        added.push({ id, name: nameOf(id), chain: [sel.id, ...chain].map(nameOf) });
+      }
+    }
+  }
+  for (const req of added) {
+    const ing = findIngredient(req.id);
+    const why = `${req.chain[0]} requires ${req.name} (${req.chain.join(' → ')})`;
+    if (!ing) {
+      return { error: `${why}, which is not available on ${dish.name}` };
+    }
+    const left = unitsLeft(ing);
+    if (left !== null && left < 1) {
+      return { error: `${why}, which is sold out` };
+    }
+  }
+
+  // Check the completed dish as a whole
+  const complete = [
+    ...selected.map(sel => ({ ...findIngredient(sel.id), quantity: sel.quantity })),
+    ...added.map(req => ({ ...findIngredient(req.id), quantity: 1 }))
+  ];
+  const reason = (ing) => {
+    const req = added.find(a => a.id === ing.id);
+    return req ? `${ing.name} (${req.chain.join(' → ')})` : ing.name;
+  };
+  for (const a of complete) {
+    for (const b of complete) {
+      if (a.id < b.id && graph.incompatible.has(a.id) && graph.incompatible.get(a.id).has(b.id)) {
+        return { error: `The dish would contain ${reason(a)} and ${reason(b)}, which are incompatible` };
+      }
+    }
+  }
+  const portions = complete.reduce((sum, ing) => sum + ing.quantity, 0);
+  if (portions > size.max_ingredients) {
+    return { error: `The complete dish needs ${portions} ingredients, but ${size.name} ${dish.name} dishes can only have up to ${size.max_ingredients}` };
+  }
+  for (const category of categories.filter(c => c.max_per_dish !== null)) {
+    const categoryPortions = complete
+      .filter(ing => ing.category_id === category.id)
+      .reduce((sum, ing) => sum + ing.quantity, 0);
+    if (categoryPortions > category.max_per_dish) {
+      return { error: `The complete dish needs ${categoryPortions} from ${category.name}, but a dish can only have up to ${category.max_per_dish}` };
+    }
+  }
+
+  return {
+    ingredients: complete.map(ing => ({ id: ing.id, name: ing.name, quantity: ing.quantity })),
+    added: added
+  };
+};
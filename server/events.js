@@ -0,0 +1,63 @@
+'use strict';
+
+/** Server-Sent Events module: pushes stock and order status changes to the connected clients **/
+
+// Connected clients: { res, userId, staff }
+const clients = new Set();
+
+// Comment line sent periodically so that proxies and browsers keep idle connections open
+const HEARTBEAT_MS = 25000;
+let heartbeat = null;
+
+// Writes one event in the text/event-stream format
+const send = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// This function turns the response into an event stream and keeps it open until the client disconnects.
+// options.userId is the id of the logged-in user (undefined for anonymous clients),
+// options.staff tells whether the client also receives the status changes of every order.
+exports.subscribe = (req, res, options = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  // Reconnect after 3 seconds if the connection drops
+  res.write('retry: 3000\n\n');
+
+  const client = { res: res, userId: options.userId, staff: !!options.staff };
+  clients.add(client);
+
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      for (const c of clients) c.res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+  }
+
+  req.on('close', () => {
+    clients.delete(client);
+    if (clients.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+};
+
+// This function sends the current availability of the ingredients to every client
+// availabilityFor: function (userId) => [{ id, availability, reserved }], since the units reserved
+// by the other customers depend on the user of the client
+exports.broadcastAvailability = (availabilityFor) => {
+  for (const client of clients) send(client, 'availability', availabilityFor(client.userId));
+};
+
+// This function sends an order status change to the owner of the order and to the staff
+// order: { id, userId, status, updatedAt }
+exports.notifyOrderStatus = (order) => {
+  const data = { id: order.id, status: order.status, updatedAt: order.updatedAt };
+  for (const client of clients) {
+    if (client.staff || (client.userId !== undefined && client.userId === order.userId)) {
+      send(client, 'order-status', data);
+    }
+  }
+};
@@ -3,7 +3,7 @@
 /*** Importing modules ***/
 const express = require('express');
 const morgan = require('morgan');  // logging middleware
-const { check, validationResult, param } = require('express-validator'); // validation middleware
+const { check, validationResult, param, query } = require('express-validator'); // validation middleware
 const cors = require('cors');
 
 const ordersDao = require('./dao/dao-orders'); // module for accessing the orders table in the DB
@@ -11,6 +11,15 @@ const userDao = require('./dao/dao-users'); // module for accessing the user tab
 const ingredientsDao = require('./dao/dao-ingredients'); // module for accessing the ingredients table in the DB
 const basedishesDao = require('./dao/dao-basedishes'); // module for accessing the basedishes table in the DB
 const sizesDao = require('./dao/dao-sizes'); // module for accessing the sizes table in the DB
+const categoriesDao = require('./dao/dao-categories'); // module for accessing the ingredient_categories table in the DB
+const reservationsDao = require('./dao/dao-reservations'); // module for accessing the ingredient_reservations table in the DB
+const events = require('./events'); // module pushing real-time updates to the clients (Server-Sent Events)
+const { DIETS: DIET_OPTIONS, getDishDietary, mergeAllergens } = require('../shared/dietary.mjs'); // dietary information of the dishes, shared with the client
+const { getDishNutrition, sumNutrition } = require('../shared/nutrition.mjs'); // nutrition of the dishes, shared with the client
+const constraintGraph = require('./constraint-graph'); // module checking the dependencies and incompatibilities as a graph
+const { completeDish } = require('./dish-completion'); // module completing a partial selection of ingredients
+const { generateSurprise } = require('./surprise'); // module generating random valid dishes
+const { validateDish, CODES } = require('../shared/validation.mjs'); // ingredient rules shared with the client
 
 /*** init express and set-up the middlewares ***/
 const app = express();
@@ -50,23 +59,59 @@ passport.use(new LocalStrategy(async function verify(username, password, callbac
   }
 }));
 
-// Serializing in the session the user object given from LocalStrategy(verify).
+// Serializing in the session only the id of the user given from LocalStrategy(verify):
+// the role (and the TOTP secret) are never copied into the session.
 passport.serializeUser(function (user, callback) {
-  callback(null, user);
+  callback(null, user.id);
 });
 
-// Starting from the data in the session, we extract the current (logged-in) user.
-passport.deserializeUser(function (user, callback) {
-  return callback(null, user);
+// Starting from the id in the session, we load the current (logged-in) user from the DB at every request,
+// so that a role change applies immediately to the sessions already open; a deleted user is logged out.
+passport.deserializeUser(async function (id, callback) {
+  try {
+    const user = await userDao.getUserById(id);
+    return callback(null, user.error ? false : user);
+  } catch (err) {
+    return callback(err);
+  }
 });
 
 /** Creating the session */
+// Sessions are kept in the DB (sessions table), so that logins and TOTP elevations survive a restart.
+// SESSION_SECRET signs the session cookie and is required in production (NODE_ENV=production), where the cookie
+// is only sent over HTTPS; SESSION_HOURS is the cookie lifetime (default 24).
 const session = require('express-session');
+const SqliteStore = require('./session-store');
+const PRODUCTION = process.env.NODE_ENV === 'production';
+if (PRODUCTION && !process.env.SESSION_SECRET) {
+  throw new Error('SESSION_SECRET must be set in production');
+}
+const SESSION_HOURS = parseFloat(process.env.SESSION_HOURS) || 24;
+const sessionStore = new SqliteStore();
+if (PRODUCTION) {
+  app.set('trust proxy', 1); // HTTPS is usually terminated by a reverse proxy
+}
 app.use(session({
-  secret: "restaurant exam 2025", 
+  store: sessionStore,
+  secret: process.env.SESSION_SECRET || "restaurant exam 2025",
   resave: false,
   saveUninitialized: false,
+  cookie: {
+    maxAge: SESSION_HOURS * 60 * 60 * 1000,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: PRODUCTION
+  }
 }));
+
+// Delete the expired sessions every hour; reads already ignore them, this only keeps the table small
+setInterval(async () => {
+  try {
+    await sessionStore.clearExpired();
+  } catch (err) {
+    console.error('Error deleting expired sessions:', err);
+  }
+}, 60 * 60 * 1000);
 app.use(passport.authenticate('session'));
 
 passport.use(new TotpStrategy(
@@ -93,17 +138,171 @@ function isTotp(req, res, next) {
   return res.status(401).json({ error: 'Missing TOTP authentication'});
 }
 
+/** Role-based access control **/
+const ROLES = ['customer', 'kitchen', 'manager', 'admin'];
+// Privileged roles can use their privileges only after TOTP authentication in the current session
+const TOTP_ROLES = ['manager', 'admin'];
+
+/**
+ * Builds an authorization middleware that accepts only logged-in users having one of the given roles.
+ * Managers and admins must also have completed the TOTP authentication (req.session.method === 'totp').
+ */
+const hasRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authorized' });
+    }
+    const role = req.user.role || 'customer';
+    if (!roles.includes(role)) {
+      return res.status(403).json({ error: 'Forbidden: insufficient privileges' });
+    }
+    if (TOTP_ROLES.includes(role) && req.session.method !== 'totp') {
+      return res.status(401).json({ error: 'Missing TOTP authentication' });
+    }
+    return next();
+  };
+};
+
 /*** Utility Functions ***/
+
+// Diets a customer can follow, from the least to the most restrictive
+const DIETS = DIET_OPTIONS.map(diet => diet.value);
+
 const errorFormatter = ({ location, msg, param }) => {
   return `${location}[${param}]: ${msg}`;
 };
 
+// Pushes the current stock of the active ingredients to the connected clients.
+// Failures are only logged: the change that triggered the update is already committed.
+const publishAvailability = async () => {
+  try {
+    const ingredients = await ingredientsDao.listIngredients();
+    const reservations = await reservationsDao.listActiveReservations();
+    // Each client gets the whole list of active ingredients (as GET /api/ingredients), so that created,
+    // retired and restored ingredients are added or removed, and is told how many units are held by the other customers
+    events.broadcastAvailability((userId) => ingredients.map(ing => ({
+      ...ing,
+      reserved: reservations
+        .filter(r => r.ingredient_id === ing.id && r.user_id !== userId)
+        .reduce((sum, r) => sum + r.quantity, 0)
+    })));
+  } catch (err) {
+    console.error('Error publishing availability:', err);
+  }
+};
+
+// Pushes the current status of an order to its owner and to the staff
+const publishOrderStatus = async (orderId) => {
+  try {
+    const order = await ordersDao.getOrderById(orderId);
+    if (order) events.notifyOrderStatus(order);
+  } catch (err) {
+    console.error('Error publishing order status:', err);
+  }
+};
+
+// Rounds a price to euro cents to avoid floating point drift in totals
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Computes the price of a configured dish (order line item) using only database values.
+ * Each ingredient carries the number of portions ordered (quantity) and is priced per portion.
+ * Returns the line-item breakdown (size first, then each ingredient) and the total.
+ */
+const priceOrderItem = (sizeInfo, dbIngredients) => {
+  const lines = [{ type: 'size', id: sizeInfo.id, name: sizeInfo.name, price: sizeInfo.price }];
+  for (const ing of dbIngredients) {
+    lines.push({ type: 'ingredient', id: ing.id, name: ing.name, quantity: ing.quantity, unitPrice: ing.price, price: roundPrice(ing.price * ing.quantity) });
+  }
+  const total = roundPrice(lines.reduce((sum, line) => sum + line.price, 0));
+  return { lines, total };
+};
+
+/**
+ * Validates one configured dish (order line item) against the data in the DB.
+ * Checks dish and size existence, ingredient existence, eligibility for the dish and availability, size and category limits,
+ * dependencies and incompatibilities, then prices the item.
+ * Every portion of an ingredient (item.ingredients[].quantity, default 1) counts against the size and category limits and the stock.
+ * Returns { error, violations } with all the violations (see shared/validation.mjs) and the message of the first one,
+ * otherwise the resolved dish, size, ingredients and pricing.
+ */
+const validateOrderItem = async (item) => {
+  const itemError = (code, message) => ({ error: message, violations: [{ code, message, ingredientIds: [] }] });
+
+  // Check if the selected dish exists
+  const dishInfo = await basedishesDao.getDishById(item.dishId);
+  if (!dishInfo) {
+    return itemError(CODES.INVALID_DISH, 'Invalid dish selected');
+  }
+  if (!dishInfo.active) {
+    return itemError(CODES.INVALID_DISH, `${dishInfo.name} is no longer on the menu`);
+  }
+
+  // Check if the selected size exists, with the price and limit of this dish
+  const sizeInfo = await sizesDao.getDishSize(dishInfo.id, item.sizeId);
+  if (!sizeInfo) {
+    return itemError(CODES.INVALID_SIZE, 'Invalid size selected');
+  }
+
+  // Validate ingredients if present, with the rules shared with the client
+  let currentIngredients = [];
+  const ingredientIds = item.ingredients.map(ing => ing.id);
+  if (ingredientIds.length > 0) {
+    // Get ingredient data from database for all validations, and the names of the ingredients they require
+    currentIngredients = await ingredientsDao.getIngredientsByIds([...new Set(ingredientIds)]);
+    const requiredIds = [...new Set(currentIngredients.flatMap(ing => ing.dependencyIds))].filter(id => !ingredientIds.includes(id));
+    const [requiredIngredients, categories] = await Promise.all([
+      ingredientsDao.getIngredientsByIds(requiredIds),
+      categoriesDao.listCategories()
+    ]);
+    const violations = validateDish({
+      dish: dishInfo,
+      size: sizeInfo,
+      selection: item.ingredients,
+      ingredients: [...currentIngredients, ...requiredIngredients],
+      categories: categories
+    });
+    if (violations.length > 0) {
+      return { error: violations[0].message, violations };
+    }
+  }
+
+  // Price the item from database values
+  const ingredients = item.ingredients.map(orderIng => ({
+    ...currentIngredients.find(ing => ing.id === orderIng.id),
+    quantity: orderIng.quantity || 1
+  }));
+  const { lines, total } = priceOrderItem(sizeInfo, ingredients);
+  return { dishInfo, sizeInfo, ingredients, lines, total };
+};
+
 /*** ORDERS APIs ***/
 
 // GET /api/orders
-app.get('/api/orders', isLoggedIn, async (req, res) => {
+// Optional query parameters from/to (ISO 8601 dates) restrict the orders by creation time.
+// A plain date (YYYY-MM-DD) for 'to' includes the whole day.
+app.get('/api/orders', isLoggedIn, [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+
   try {
-    const orders = await ordersDao.listOrders(req.user.id);
+    const range = {};
+    if (req.query.from) {
+      range.from = new Date(req.query.from).toISOString();
+    }
+    if (req.query.to) {
+      const to = new Date(req.query.to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+      }
+      range.to = to.toISOString();
+    }
+    const orders = await ordersDao.listOrders(req.user.id, range);
     res.json(orders);
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
@@ -111,11 +310,17 @@ app.get('/api/orders', isLoggedIn, async (req, res) => {
 });
 
 // POST /api/orders
+// An order is a cart of one or more configured dishes (line items), validated and created together.
+// A refused order reports every violation found: { error, violations: [{ code, message, ingredientIds, item }] },
+// where error is the message of the first one and item the index of the dish in the cart (absent for the whole cart).
 app.post('/api/orders', isLoggedIn, [
-  check('dishId').isInt({min:1}),
-  check('sizeId').isInt({min:1}),
-  check('ingredients').isArray(),
-  check('total').isFloat({min:0})
+  check('items').isArray({min:1}).withMessage('An order must contain at least one dish'),
+  check('items.*.dishId').isInt({min:1}),
+  check('items.*.sizeId').isInt({min:1}),
+  check('items.*.ingredients').isArray(),
+  check('items.*.ingredients.*.id').isInt({min:1}),
+  check('items.*.ingredients.*.quantity').optional().isInt({min:1}).withMessage('quantity must be a positive number of portions'),
+  check('total').optional().isFloat({min:0})
 ], async (req, res) => {
   const errors = validationResult(req).formatWith(errorFormatter);
   if (!errors.isEmpty()) {
@@ -123,124 +328,226 @@ app.post('/api/orders', isLoggedIn, [
   }
   
   try {
-    const order = req.body;
-    order.user_id = req.user.id;
-    
-    // Server-side logic validation
-    
-    // Check if the selected dish exists
-    const dishInfo = await basedishesDao.getDishById(order.dishId);
-    if (!dishInfo) {
-      return res.status(400).json({ error: 'Invalid dish selected' });
-    }
-    
-    // Check if the selected size exists
-    const sizeInfo = await sizesDao.getSizeById(order.sizeId);
-    if (!sizeInfo) {
-      return res.status(400).json({ error: 'Invalid size selected' });
-    }
-    
-    // Validate ingredients if present
-    if (order.ingredients && order.ingredients.length > 0) {
-      // Get ingredient data from database for all validations
-      const ingredientIds = order.ingredients.map(ing => ing.id);
-      const currentIngredients = await ingredientsDao.getIngredientsByIds(ingredientIds);
-
-      // Validate ingredient existence and availability using fetched data
-      for (const orderIng of order.ingredients) {
-        const dbIng = currentIngredients.find(ing => ing.id === orderIng.id);
-        if (!dbIng) {
-          return res.status(400).json({ error: `Ingredient with id ${orderIng.id} not found` });
-        }
-        if (dbIng.availability !== null && dbIng.availability === 0) {
-          return res.status(400).json({ error: `${dbIng.name} is not available` });
-        }
-      }
-
-      // Check size limits using data already retrieved
-      if (order.ingredients.length > sizeInfo.max_ingredients) {
-        return res.status(400).json({ error: `${sizeInfo.name} dishes can only have up to ${sizeInfo.max_ingredients} ingredients` });
-      }
+    const order = { user_id: req.user.id, items: [] };
 
-      // Check dependencies
-      for (const ingredient of order.ingredients) {
-        // Find ingredient info from database for name
-        const dbIngredient = currentIngredients.find(ing => ing.id === ingredient.id);
-        const ingredientName = dbIngredient ? dbIngredient.name : `ingredient ID ${ingredient.id}`;
-        
-        // Get list of ingredient IDs that this ingredient depends on
-        const dependencies = await ingredientsDao.getIngredientDependencies(ingredient.id);
-        
-        // Verify that all required dependencies are present in the order
-        for (const depId of dependencies) {
-          if (!ingredientIds.includes(depId)) {
-            // Get the name of the missing required ingredient
-            let reqName;
-            const reqIng = currentIngredients.find(ing => ing.id === depId);
-            if (reqIng) {
-              reqName = reqIng.name;
-            } else {
-              // Ingredient not in current order, need to fetch its name
-              const missingIngredients = await ingredientsDao.getIngredientsByIds([depId]);
-              reqName = missingIngredients.length > 0 ? missingIngredients[0].name : `ingredient ID ${depId}`;
-            }
-            return res.status(400).json({ error: `${ingredientName} requires ${reqName}` });
-          }
-        }
+    // Server-side logic validation of every line item, collecting all the violations
+    const violations = [];
+    for (const [index, item] of req.body.items.entries()) {
+      const result = await validateOrderItem(item);
+      if (result.error) {
+        const prefix = req.body.items.length > 1 ? `Dish ${index + 1}: ` : '';
+        violations.push(...result.violations.map(v => ({ ...v, message: prefix + v.message, item: index })));
+        continue;
       }
+      order.items.push({ ...result, dishId: result.dishInfo.id, sizeId: result.sizeInfo.id });
+    }
 
-      // Check incompatibilities
-      for (const ingredient of order.ingredients) {
-        // Find ingredient info from database for name
-        const dbIngredient = currentIngredients.find(ing => ing.id === ingredient.id);
-        const ingredientName = dbIngredient ? dbIngredient.name : `ingredient ID ${ingredient.id}`;
-        
-        // Get list of ingredient IDs that are incompatible with current ingredient
-        const incompatibilities = await ingredientsDao.getIngredientIncompatibilities(ingredient.id);
-        
-        // Check if any incompatible ingredient is present in the order
-        for (const incompId of incompatibilities) {
-          if (ingredientIds.includes(incompId)) {
-            // Find the name of the incompatible ingredient for error message
-            const incompIng = currentIngredients.find(ing => ing.id === incompId);
-            const incompName = incompIng ? incompIng.name : `ingredient ID ${incompId}`;
-            return res.status(400).json({ error: `${ingredientName} is incompatible with ${incompName}` });
-          }
-        }
+    // The same ingredient may be used by several dishes: check availability against the whole cart
+    const needed = new Map();
+    for (const item of order.items) {
+      for (const ing of item.ingredients) {
+        needed.set(ing.id, (needed.get(ing.id) || 0) + ing.quantity);
       }
     }
-    
-    // Final availability check just before order creation to prevent race conditions
-    if (order.ingredients && order.ingredients.length > 0) {
-      // Re-check ingredient existence and availability one more time
-      const finalIngredientIds = order.ingredients.map(ing => ing.id);
-      const finalIngredients = await ingredientsDao.getIngredientsByIds(finalIngredientIds);
-      
-      for (const orderIng of order.ingredients) {
-        const dbIng = finalIngredients.find(ing => ing.id === orderIng.id);
-        if (!dbIng) {
-          return res.status(400).json({ error: `Ingredient with id ${orderIng.id} not found` });
-        }
-        if (dbIng.availability !== null && dbIng.availability === 0) {
-          return res.status(400).json({ error: `${dbIng.name} is not available` });
-        }
+    // Availability check with a detailed error; createOrder consumes the stock atomically and
+    // still fails if a concurrent order takes the last units in the meantime.
+    // Units held by other customers are not available, the customer's own holds are consumed by the order.
+    const finalIngredients = await ingredientsDao.getIngredientsByIds([...needed.keys()]);
+    const reservedByOthers = await reservationsDao.getReservedCounts(req.user.id);
+    for (const [ingId, count] of needed) {
+      const dbIng = finalIngredients.find(ing => ing.id === ingId);
+      const left = dbIng.availability === null ? null : dbIng.availability - (reservedByOthers.get(ingId) || 0);
+      if (left !== null && left < count) {
+        violations.push({ code: CODES.OUT_OF_STOCK, message: `There is not enough ${dbIng.name} for this order (${Math.max(left, 0)} left)`, ingredientIds: [ingId] });
       }
     }
-    
+    if (violations.length > 0) {
+      return res.status(400).json({ error: violations[0].message, violations });
+    }
+
+    // Price the order from database values; the client total is only used as a cross-check
+    order.total = roundPrice(order.items.reduce((sum, item) => sum + item.total, 0));
+    if (req.body.total !== undefined && Math.abs(roundPrice(req.body.total) - order.total) >= 0.01) {
+      return res.status(400).json({
+        error: `Order total mismatch: expected €${order.total.toFixed(2)}`,
+        total: order.total,
+        items: order.items.map(item => ({ lines: item.lines, total: item.total }))
+      });
+    }
+
     // All validations passed, create the order
     const result = await ordersDao.createOrder(order);
-    res.json(result);
+    publishOrderStatus(result.id);
+    publishAvailability();
+    const items = order.items.map((item, index) => ({
+      id: result.itemIds[index],
+      dishId: item.dishInfo.id,
+      dish: item.dishInfo.name,
+      sizeId: item.sizeInfo.id,
+      size: item.sizeInfo.name,
+      sizePrice: item.sizeInfo.price,
+      ingredients: item.ingredients.map(ing => ({ id: ing.id, name: ing.name, price: ing.price, quantity: ing.quantity, allergens: ing.allergens })),
+      lines: item.lines,
+      total: item.total,
+      ...getDishDietary(item.ingredients),
+      nutrition: getDishNutrition(item.dishInfo, item.sizeInfo, item.ingredients)
+    }));
+    res.json({
+      id: result.id,
+      status: 'placed',
+      createdAt: result.createdAt,
+      updatedAt: result.createdAt,
+      items: items,
+      total: order.total,
+      allergens: mergeAllergens(items.map(item => item.allergens)),
+      nutrition: sumNutrition(items.map(item => item.nutrition))
+    });
   } catch (err) {
-    if (err.error) {
-      res.status(400).json({ error: err.error });
+    // Only a failed stock decrement names an ingredient; any other failure of createOrder is a database error
+    if (err.ingredientId !== undefined) {
+      res.status(400).json({ error: err.error, violations: [{ code: CODES.OUT_OF_STOCK, message: err.error, ingredientIds: [err.ingredientId] }] });
     } else {
       res.status(503).json({ error: 'Database error during order creation' });
     }
   }
 });
 
-// DELETE /api/orders/:id
-app.delete('/api/orders/:id',
+// POST /api/orders/complete
+// Completes a partial selection of ingredients for a dish and size with everything it requires (directly or through
+// a chain of dependencies), checking the result against incompatibilities, availability and the size and category limits.
+// The optional inCart lists the units already used by the other dishes of the customer's cart.
+// Nothing is reserved or ordered: the client decides whether to use the completion.
+app.post('/api/orders/complete', [
+  check('dishId').isInt({ min: 1 }),
+  check('sizeId').isInt({ min: 1 }),
+  check('ingredients').isArray(),
+  check('ingredients.*.id').isInt({ min: 1 }),
+  check('ingredients.*.quantity').optional().isInt({ min: 1 }).withMessage('quantity must be a positive number of portions'),
+  check('inCart').optional().isArray(),
+  check('inCart.*.id').isInt({ min: 1 }),
+  check('inCart.*.quantity').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const dish = await basedishesDao.getDishById(req.body.dishId);
+    if (!dish || !dish.active) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+    const size = await sizesDao.getDishSize(dish.id, req.body.sizeId);
+    if (!size) {
+      return res.status(404).json({ error: 'Size not found' });
+    }
+    const [ingredients, constraints, categories] = await Promise.all([
+      ingredientsDao.listIngredients(false, dish.id),
+      ingredientsDao.listConstraints(),
+      categoriesDao.listCategories()
+    ]);
+    // Units held by other customers and used by the other dishes of the cart are not available
+    const used = await reservationsDao.getReservedCounts(req.isAuthenticated() ? req.user.id : undefined);
+    for (const ing of req.body.inCart || []) {
+      used.set(ing.id, (used.get(ing.id) || 0) + ing.quantity);
+    }
+    const result = completeDish({
+      dish, size, categories, used,
+      selection: req.body.ingredients,
+      ingredients: ingredients,
+      graph: constraintGraph.createGraph(constraints.dependencies, constraints.incompatibilities),
+      names: constraints.names
+    });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/orders/surprise
+// Generates a random dish configuration that would be accepted by POST /api/orders, optionally within a maximum price,
+// fitting a diet, free of some allergens and including a given ingredient. inCart works as in POST /api/orders/complete.
+// The configuration only depends on the seed and on the current menu and stock: the seed is returned (a random one
+// is drawn when it is not given) so that the same surprise can be generated again.
+app.post('/api/orders/surprise', [
+  check('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed must be an integer between 0 and 4294967295'),
+  check('maxPrice').optional().isFloat({ min: 0 }),
+  check('diet').optional().isIn(DIETS).withMessage(`diet must be one of: ${DIETS.join(', ')}`),
+  check('allergens').optional().isArray(),
+  check('allergens.*').isString(),
+  check('includeIngredientId').optional().isInt({ min: 1 }),
+  check('inCart').optional().isArray(),
+  check('inCart.*.id').isInt({ min: 1 }),
+  check('inCart.*.quantity').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const allergens = req.body.allergens || [];
+    const unknown = await findUnknownAllergens(allergens);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown allergens: ${unknown.join(', ')}` });
+    }
+    const [dishes, dishSizes, ingredients, constraints, categories] = await Promise.all([
+      basedishesDao.listBaseDishes(),
+      sizesDao.listDishSizes(),
+      ingredientsDao.listIngredients(false),
+      ingredientsDao.listConstraints(),
+      categoriesDao.listCategories()
+    ]);
+    const includeId = req.body.includeIngredientId;
+    if (includeId !== undefined && !ingredients.some(ing => ing.id === includeId)) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+    const used = await reservationsDao.getReservedCounts(req.isAuthenticated() ? req.user.id : undefined);
+    for (const ing of req.body.inCart || []) {
+      used.set(ing.id, (used.get(ing.id) || 0) + ing.quantity);
+    }
+    const seed = req.body.seed !== undefined ? req.body.seed : Math.floor(Math.random() * 4294967296);
+    const surprise = generateSurprise({
+      menu: dishes.map(dish => ({
+        dish,
+        sizes: dishSizes.filter(s => s.dish_id === dish.id),
+        ingredients: ingredients.filter(ing => ing.eligibleDishes.includes(dish.id))
+      })),
+      graph: constraintGraph.createGraph(constraints.dependencies, constraints.incompatibilities),
+      names: constraints.names,
+      categories, used, seed,
+      options: { maxPrice: req.body.maxPrice, diet: req.body.diet, allergens, includeId }
+    });
+    if (!surprise) {
+      return res.status(409).json({ error: 'No dish matches these constraints', seed });
+    }
+    // Same validation and pricing as an order line
+    const item = await validateOrderItem({ dishId: surprise.dish.id, sizeId: surprise.size.id, ingredients: surprise.ingredients });
+    if (item.error) {
+      return res.status(409).json({ error: item.error, seed });
+    }
+    res.json({
+      seed,
+      dishId: item.dishInfo.id,
+      dish: item.dishInfo.name,
+      sizeId: item.sizeInfo.id,
+      size: item.sizeInfo.name,
+      ingredients: item.ingredients.map(ing => ({ id: ing.id, name: ing.name, price: ing.price, quantity: ing.quantity })),
+      lines: item.lines,
+      total: item.total,
+      ...getDishDietary(item.ingredients),
+      nutrition: getDishNutrition(item.dishInfo, item.sizeInfo, item.ingredients)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/orders/:id/cancel
+// Cancelling is a status change (the order and its history are kept) and restores the ingredients availability.
+// Customers can only cancel orders the kitchen has not started preparing yet.
+app.post('/api/orders/:id/cancel',
   isLoggedIn,
   isTotp,
   param('id').isInt({ min: 1 }).withMessage('Invalid order ID'),
@@ -251,11 +558,13 @@ app.delete('/api/orders/:id',
     }
     try {
       const orderId = parseInt(req.params.id);
-      const numChanges = await ordersDao.deleteOrder(req.user.id, orderId);
+      const numChanges = await ordersDao.updateOrderStatus(orderId, 'cancelled', { userId: req.user.id, allowedFrom: ['placed'] });
       if (numChanges === 0) {
         res.status(404).json({ error: 'Order not found or unauthorized' });
       } else {
-        res.status(200).json({ message: 'Order cancelled successfully', changes: numChanges });
+        publishOrderStatus(orderId);
+        publishAvailability();
+        res.status(200).json({ message: 'Order cancelled successfully', status: 'cancelled' });
       }
     } catch (err) {
       if (err.error) {
@@ -267,25 +576,161 @@ app.delete('/api/orders/:id',
   }
 );
 
+/*** EVENTS API ***/
+
+// GET /api/events
+// Server-Sent Events stream. Every client receives the ingredient availability changes ('availability' events);
+// logged-in users also receive the status changes of their own orders, the staff those of every order ('order-status' events).
+app.get('/api/events', (req, res) => {
+  const user = req.isAuthenticated() ? req.user : undefined;
+  const role = user ? user.role : undefined;
+  const staff = role === 'kitchen' || (TOTP_ROLES.includes(role) && req.session.method === 'totp');
+  events.subscribe(req, res, { userId: user ? user.id : undefined, staff: staff });
+});
+
+/*** KITCHEN APIs ***/
+
+// Statuses the kitchen staff can move an order to; unlike customers, the staff can cancel an order being prepared
+const KITCHEN_STATUSES = ['preparing', 'ready', 'completed', 'cancelled'];
+
+// GET /api/kitchen/orders
+// Open orders (placed, preparing, ready) of all users, oldest first.
+app.get('/api/kitchen/orders', hasRole('kitchen', 'manager', 'admin'), async (req, res) => {
+  try {
+    const orders = await ordersDao.listOpenOrders();
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/kitchen/orders/:id/status
+// Move an order forward in its lifecycle: placed -> preparing -> ready -> completed,
+// or cancel it while placed or preparing (restoring the ingredients availability).
+app.put('/api/kitchen/orders/:id/status', hasRole('kitchen', 'manager', 'admin'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid order ID'),
+  check('status').isIn(KITCHEN_STATUSES).withMessage(`status must be one of ${KITCHEN_STATUSES.join(', ')}`)
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const orderId = parseInt(req.params.id);
+    const numChanges = await ordersDao.updateOrderStatus(orderId, req.body.status);
+    if (numChanges === 0) {
+      res.status(404).json({ error: 'Order not found' });
+    } else {
+      publishOrderStatus(orderId);
+      if (req.body.status === 'cancelled') publishAvailability();
+      res.json({ id: orderId, status: req.body.status });
+    }
+  } catch (err) {
+    if (err.error) {
+      res.status(400).json({ error: err.error });
+    } else {
+      res.status(503).json({ error: 'Database error during order status update' });
+    }
+  }
+});
+
 /*** INGREDIENTS APIs ***/
 
 // GET /api/ingredients
-app.get('/api/ingredients', async (req, res) => {
+// Each ingredient reports in 'reserved' the units temporarily held by other customers.
+// The optional query parameter dishId restricts the list to the ingredients eligible for that dish.
+app.get('/api/ingredients', query('dishId').optional().isInt({ min: 1 }), async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
   try {
-    const ingredients = await ingredientsDao.listIngredients();
-    res.json(ingredients);
+    const dishId = req.query.dishId !== undefined ? parseInt(req.query.dishId) : undefined;
+    const ingredients = await ingredientsDao.listIngredients(false, dishId);
+    const reserved = await reservationsDao.getReservedCounts(req.isAuthenticated() ? req.user.id : undefined);
+    res.json(ingredients.map(ing => ({ ...ing, reserved: reserved.get(ing.id) || 0 })));
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
+// GET /api/allergens
+// Names of the allergens ingredients can be tagged with.
+app.get('/api/allergens', async (req, res) => {
+  try {
+    const allergens = await ingredientsDao.listAllergens();
+    res.json(allergens);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/*** RESERVATIONS APIs ***/
+
+// How long a reservation holds the stock, in minutes (RESERVATION_MINUTES environment variable, default 10)
+const RESERVATION_MINUTES = parseInt(process.env.RESERVATION_MINUTES) || 10;
+
+// PUT /api/reservations/:ingredientId
+// Hold units of a limited ingredient while the customer configures dishes: quantity is the total number of units
+// needed by the customer's cart and current dish (0 releases the hold). Every update renews the expiration.
+app.put('/api/reservations/:ingredientId', isLoggedIn, [
+  param('ingredientId').isInt({ min: 1 }),
+  check('quantity').isInt({ min: 0, max: 50 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const expiresAt = new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000).toISOString();
+    const reservation = await reservationsDao.setReservation(req.user.id, parseInt(req.params.ingredientId), req.body.quantity, expiresAt);
+    publishAvailability();
+    res.json(reservation);
+  } catch (err) {
+    if (err.error) {
+      res.status(err.status || 400).json({ error: err.error });
+    } else {
+      res.status(503).json({ error: 'Database error during reservation' });
+    }
+  }
+});
+
+// Release the expired reservations every minute; reads already ignore them, this only keeps the table small
+// and tells the clients that the units are available again
+setInterval(async () => {
+  try {
+    const released = await reservationsDao.deleteExpiredReservations();
+    if (released > 0) publishAvailability();
+  } catch (err) {
+    console.error('Error releasing expired reservations:', err);
+  }
+}, 60 * 1000);
+
 /*** BASEDISHES APIs ***/
 
 // GET /api/basedishes
+// Each dish lists its sizes with the price and ingredient limit that apply to it, and the multiplier of its nutrition.
 app.get('/api/basedishes', async (req, res) => {
   try {
-    const dishes = await basedishesDao.listBaseDishes();
-    res.json(dishes);
+    const [dishes, dishSizes] = await Promise.all([basedishesDao.listBaseDishes(), sizesDao.listDishSizes()]);
+    res.json(dishes.map(dish => ({
+      ...dish,
+      sizes: dishSizes.filter(s => s.dish_id === dish.id)
+        .map(s => ({ id: s.id, name: s.name, price: s.price, max_ingredients: s.max_ingredients, nutrition_multiplier: s.nutrition_multiplier }))
+    })));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/*** INGREDIENT CATEGORIES APIs ***/
+
+// GET /api/ingredient-categories
+// Categories used to group the ingredients; max_per_dish is the limit of portions per dish (null for no limit).
+app.get('/api/ingredient-categories', async (req, res) => {
+  try {
+    const categories = await categoriesDao.listCategories();
+    res.json(categories);
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
@@ -303,13 +748,672 @@ app.get('/api/sizes', async (req, res) => {
   }
 });
 
+/*** ADMIN APIs: INGREDIENTS AND CONSTRAINTS ***/
+
+// Validation chain shared by ingredient creation and update
+const ingredientValidators = [
+  check('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('name must be a non-empty string'),
+  check('price').isFloat({ min: 0 }),
+  check('availability').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('availability must be a non-negative integer or null (unlimited)'),
+  check('vegetarian').optional().isBoolean({ strict: true }),
+  check('vegan').optional().isBoolean({ strict: true }),
+  check('allergens').optional().isArray(),
+  check('allergens.*').isString(),
+  check('categoryId').optional({ values: 'null' }).isInt({ min: 1 })
+];
+
+// Validation chain of the nutrition of a base dish or of an ingredient portion
+const nutritionValidators = [
+  check('calories').isFloat({ min: 0 }),
+  check('protein').isFloat({ min: 0 }),
+  check('fat').isFloat({ min: 0 }),
+  check('carbs').isFloat({ min: 0 })
+];
+
+// Returns the names in the list that are not known allergens
+const findUnknownAllergens = async (allergens) => {
+  const known = await ingredientsDao.listAllergens();
+  return allergens.filter(a => !known.includes(a));
+};
+
+// GET /api/admin/ingredients
+// All ingredients, retired ones included.
+app.get('/api/admin/ingredients', hasRole('admin'), async (req, res) => {
+  try {
+    const ingredients = await ingredientsDao.listIngredients(true);
+    res.json(ingredients);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/admin/ingredients
+app.post('/api/admin/ingredients', hasRole('admin'), ingredientValidators, async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const allergens = [...new Set(req.body.allergens || [])];
+    const vegetarian = req.body.vegetarian !== false;
+    const ingredient = {
+      name: req.body.name, price: req.body.price, availability: req.body.availability ?? null,
+      vegetarian: vegetarian, vegan: vegetarian && req.body.vegan !== false, allergens: allergens,
+      category_id: req.body.categoryId ?? null
+    };
+    if (await ingredientsDao.getIngredientByName(ingredient.name)) {
+      return res.status(409).json({ error: `An ingredient named ${ingredient.name} already exists` });
+    }
+    const unknown = await findUnknownAllergens(allergens);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown allergens: ${unknown.join(', ')}` });
+    }
+    if (ingredient.category_id !== null && !(await categoriesDao.getCategoryById(ingredient.category_id))) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+    const id = await ingredientsDao.createIngredient(ingredient);
+    publishAvailability();
+    res.status(201).json({ id: id, ...ingredient, active: 1 });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during ingredient creation' });
+  }
+});
+
+// PUT /api/admin/ingredients/:id
+// Update name and price of an ingredient; { active: true } restores a retired ingredient, unless it requires retired ingredients.
+// availability (stock, null for unlimited), vegetarian, vegan, allergens and categoryId (null for no category)
+// are changed only when present in the body.
+app.put('/api/admin/ingredients/:id', hasRole('admin'), [
+  param('id').isInt({ min: 1 }),
+  ...ingredientValidators,
+  check('active').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const ingredient = {
+      name: req.body.name, price: req.body.price, availability: req.body.availability,
+      vegetarian: req.body.vegetarian, vegan: req.body.vegan,
+      allergens: req.body.allergens !== undefined ? [...new Set(req.body.allergens)] : undefined,
+      category_id: req.body.categoryId
+    };
+    const sameName = await ingredientsDao.getIngredientByName(ingredient.name);
+    if (sameName && sameName.id !== id) {
+      return res.status(409).json({ error: `An ingredient named ${ingredient.name} already exists` });
+    }
+    const unknown = await findUnknownAllergens(ingredient.allergens || []);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown allergens: ${unknown.join(', ')}` });
+    }
+    if (ingredient.category_id !== undefined && ingredient.category_id !== null && !(await categoriesDao.getCategoryById(ingredient.category_id))) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+    if (req.body.active === true) {
+      await ingredientsDao.restoreIngredient(id);
+    }
+    const numChanges = await ingredientsDao.updateIngredient(id, ingredient);
+    if (numChanges === 0) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+    publishAvailability();
+    res.json(await ingredientsDao.getIngredientById(id));
+  } catch (err) {
+    if (err.error) {
+      res.status(409).json({ error: err.error });
+    } else {
+      res.status(503).json({ error: 'Database error during ingredient update' });
+    }
+  }
+});
+
+// DELETE /api/admin/ingredients/:id
+// Retire an ingredient: it disappears from the menu but stays in the historical orders.
+// Refused while other active ingredients still require it.
+app.delete('/api/admin/ingredients/:id', hasRole('admin'), param('id').isInt({ min: 1 }), async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const ingredient = await ingredientsDao.getIngredientById(id);
+    if (!ingredient) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+    const dependents = await ingredientsDao.getDependentIngredients(id);
+    if (dependents.length > 0) {
+      return res.status(409).json({ error: `${ingredient.name} is required by: ${dependents.map(d => d.name).join(', ')}` });
+    }
+    await ingredientsDao.setIngredientActive(id, false);
+    publishAvailability();
+    res.json({ message: `${ingredient.name} retired`, id: id });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during ingredient retirement' });
+  }
+});
+
+// PUT /api/admin/ingredients/:id/nutrition
+// Set calories, protein, fat and carbs (grams) of one portion of an ingredient.
+app.put('/api/admin/ingredients/:id/nutrition', hasRole('admin'), [
+  param('id').isInt({ min: 1 }),
+  ...nutritionValidators
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const { calories, protein, fat, carbs } = req.body;
+    const numChanges = await ingredientsDao.setIngredientNutrition(id, { calories, protein, fat, carbs });
+    if (numChanges === 0) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+    res.json(await ingredientsDao.getIngredientById(id));
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during ingredient update' });
+  }
+});
+
+// POST /api/admin/ingredients/:id/dependencies
+// Add a dependency: ingredient :id requires dependsOnId.
+app.post('/api/admin/ingredients/:id/dependencies', hasRole('admin'), [
+  param('id').isInt({ min: 1 }),
+  check('dependsOnId').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const dependsOnId = req.body.dependsOnId;
+    const [ingredient, required] = await Promise.all([ingredientsDao.getIngredientById(id), ingredientsDao.getIngredientById(dependsOnId)]);
+    if (!ingredient || !required) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+    // Refuse changes that would make the constraints contradictory
+    if (id === dependsOnId) {
+      return res.status(409).json({ error: 'An ingredient cannot require itself' });
+    }
+    if (!required.active) {
+      return res.status(409).json({ error: `${required.name} is retired and cannot be required` });
+    }
+    // The whole constraint graph is checked by addDependency, in the same transaction as the insert
+    try {
+      await ingredientsDao.addDependency(id, dependsOnId);
+    } catch (err) {
+      if (!err.error) throw err;
+      return res.status(409).json({ error: `${ingredient.name} cannot require ${required.name}. ${err.error}` });
+    }
+    res.status(201).json({ ingredientId: id, dependsOnId: dependsOnId });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error while adding the dependency' });
+  }
+});
+
+// DELETE /api/admin/ingredients/:id/dependencies/:dependsOnId
+app.delete('/api/admin/ingredients/:id/dependencies/:dependsOnId', hasRole('admin'), [
+  param('id').isInt({ min: 1 }),
+  param('dependsOnId').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const numChanges = await ingredientsDao.removeDependency(parseInt(req.params.id), parseInt(req.params.dependsOnId));
+    if (numChanges === 0) {
+      res.status(404).json({ error: 'Dependency not found' });
+    } else {
+      res.json({ message: 'Dependency removed' });
+    }
+  } catch (err) {
+    res.status(503).json({ error: 'Database error while removing the dependency' });
+  }
+});
+
+// POST /api/admin/incompatibilities
+// Add a (symmetric) incompatibility between two ingredients.
+app.post('/api/admin/incompatibilities', hasRole('admin'), [
+  check('ingredientIds').isArray({ min: 2, max: 2 }).withMessage('ingredientIds must contain exactly two ingredient ids'),
+  check('ingredientIds.*').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const [id1, id2] = req.body.ingredientIds;
+    const [ing1, ing2] = await Promise.all([ingredientsDao.getIngredientById(id1), ingredientsDao.getIngredientById(id2)]);
+    if (!ing1 || !ing2) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+    // Refuse changes that would make the constraints contradictory
+    if (id1 === id2) {
+      return res.status(409).json({ error: 'An ingredient cannot be incompatible with itself' });
+    }
+    // The whole constraint graph is checked by addIncompatibility, in the same transaction as the insert
+    try {
+      await ingredientsDao.addIncompatibility(id1, id2);
+    } catch (err) {
+      if (!err.error) throw err;
+      return res.status(409).json({ error: `${ing1.name} and ${ing2.name} cannot be incompatible. ${err.error}` });
+    }
+    res.status(201).json({ ingredientIds: [id1, id2] });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error while adding the incompatibility' });
+  }
+});
+
+// DELETE /api/admin/incompatibilities/:id1/:id2
+app.delete('/api/admin/incompatibilities/:id1/:id2', hasRole('admin'), [
+  param('id1').isInt({ min: 1 }),
+  param('id2').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const numChanges = await ingredientsDao.removeIncompatibility(parseInt(req.params.id1), parseInt(req.params.id2));
+    if (numChanges === 0) {
+      res.status(404).json({ error: 'Incompatibility not found' });
+    } else {
+      res.json({ message: 'Incompatibility removed' });
+    }
+  } catch (err) {
+    res.status(503).json({ error: 'Database error while removing the incompatibility' });
+  }
+});
+
+/*** ADMIN APIs: INGREDIENT CATEGORIES ***/
+
+// Validation chain shared by category creation and update
+const categoryValidators = [
+  check('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('name must be a non-empty string'),
+  check('maxPerDish').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxPerDish must be a positive integer or null (no limit)')
+];
+
+// POST /api/admin/ingredient-categories
+app.post('/api/admin/ingredient-categories', hasRole('admin'), categoryValidators, async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const category = { name: req.body.name, max_per_dish: req.body.maxPerDish ?? null };
+    if (await categoriesDao.getCategoryByName(category.name)) {
+      return res.status(409).json({ error: `A category named ${category.name} already exists` });
+    }
+    const id = await categoriesDao.createCategory(category);
+    res.status(201).json({ id: id, ...category });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during category creation' });
+  }
+});
+
+// PUT /api/admin/ingredient-categories/:id
+// Rename a category and change its limit of portions per dish (null for no limit).
+app.put('/api/admin/ingredient-categories/:id', hasRole('admin'), [
+  param('id').isInt({ min: 1 }),
+  ...categoryValidators
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const category = { name: req.body.name, max_per_dish: req.body.maxPerDish ?? null };
+    const sameName = await categoriesDao.getCategoryByName(category.name);
+    if (sameName && sameName.id !== id) {
+      return res.status(409).json({ error: `A category named ${category.name} already exists` });
+    }
+    const numChanges = await categoriesDao.updateCategory(id, category);
+    if (numChanges === 0) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    res.json({ id: id, ...category });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during category update' });
+  }
+});
+
+// DELETE /api/admin/ingredient-categories/:id
+// Refused while some ingredients (retired ones included) still belong to the category.
+app.delete('/api/admin/ingredient-categories/:id', hasRole('admin'), param('id').isInt({ min: 1 }), async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const category = await categoriesDao.getCategoryById(id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    const ingredients = await categoriesDao.getCategoryIngredients(id);
+    if (ingredients.length > 0) {
+      return res.status(409).json({ error: `${category.name} still contains: ${ingredients.join(', ')}` });
+    }
+    await categoriesDao.deleteCategory(id);
+    res.json({ message: `${category.name} deleted`, id: id });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during category deletion' });
+  }
+});
+
+/*** ADMIN APIs: BASE DISHES AND SIZES ***/
+
+// GET /api/admin/basedishes
+// All base dishes, retired ones included, with their per-dish size overrides.
+app.get('/api/admin/basedishes', hasRole('manager', 'admin'), async (req, res) => {
+  try {
+    const [dishes, overrides] = await Promise.all([basedishesDao.listBaseDishes(true), sizesDao.listSizeOverrides()]);
+    res.json(dishes.map(dish => ({
+      ...dish,
+      sizeOverrides: overrides.filter(o => o.dish_id === dish.id)
+        .map(o => ({ size_id: o.size_id, price: o.price, max_ingredients: o.max_ingredients }))
+    })));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/admin/basedishes
+app.post('/api/admin/basedishes', hasRole('manager', 'admin'), [
+  check('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('name must be a non-empty string')
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    if (await basedishesDao.getDishByName(req.body.name)) {
+      return res.status(409).json({ error: `A dish named ${req.body.name} already exists` });
+    }
+    const id = await basedishesDao.createDish(req.body.name);
+    res.status(201).json({ id: id, name: req.body.name, active: 1 });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during dish creation' });
+  }
+});
+
+// PUT /api/admin/basedishes/:id
+// Rename a dish; { active: true } restores a retired dish.
+app.put('/api/admin/basedishes/:id', hasRole('manager', 'admin'), [
+  param('id').isInt({ min: 1 }),
+  check('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('name must be a non-empty string'),
+  check('active').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const sameName = await basedishesDao.getDishByName(req.body.name);
+    if (sameName && sameName.id !== id) {
+      return res.status(409).json({ error: `A dish named ${req.body.name} already exists` });
+    }
+    const numChanges = await basedishesDao.updateDish(id, req.body.name);
+    if (numChanges === 0) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+    if (req.body.active === true) {
+      await basedishesDao.setDishActive(id, true);
+    }
+    res.json(await basedishesDao.getDishById(id));
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during dish update' });
+  }
+});
+
+// DELETE /api/admin/basedishes/:id
+// Retire a dish: it cannot be ordered anymore, but historical orders keep referring to it.
+app.delete('/api/admin/basedishes/:id', hasRole('manager', 'admin'), param('id').isInt({ min: 1 }), async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const dish = await basedishesDao.getDishById(id);
+    if (!dish) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+    await basedishesDao.setDishActive(id, false);
+    res.json({ message: `${dish.name} retired`, id: id });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during dish retirement' });
+  }
+});
+
+// PUT /api/admin/basedishes/:id/nutrition
+// Set calories, protein, fat and carbs (grams) of a base dish, before the size multiplier and the ingredients.
+app.put('/api/admin/basedishes/:id/nutrition', hasRole('manager', 'admin'), [
+  param('id').isInt({ min: 1 }),
+  ...nutritionValidators
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const { calories, protein, fat, carbs } = req.body;
+    const numChanges = await basedishesDao.setDishNutrition(id, { calories, protein, fat, carbs });
+    if (numChanges === 0) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+    res.json(await basedishesDao.getDishById(id));
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during dish update' });
+  }
+});
+
+// PUT /api/admin/basedishes/:id/ingredients/:ingredientId
+// Make an ingredient eligible for a dish ({ eligible: true }) or not ({ eligible: false }).
+app.put('/api/admin/basedishes/:id/ingredients/:ingredientId', hasRole('manager', 'admin'), [
+  param('id').isInt({ min: 1 }),
+  param('ingredientId').isInt({ min: 1 }),
+  check('eligible').isBoolean({ strict: true })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const ingredientId = parseInt(req.params.ingredientId);
+    const [dish, ingredient] = await Promise.all([basedishesDao.getDishById(id), ingredientsDao.getIngredientById(ingredientId)]);
+    if (!dish) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+    if (!ingredient) {
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+    await ingredientsDao.setEligibility(id, ingredientId, req.body.eligible);
+    res.json({ dishId: id, ingredientId: ingredientId, eligible: req.body.eligible });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error while updating the eligibility' });
+  }
+});
+
+// PUT /api/admin/basedishes/:id/sizes/:sizeId
+// Override price and/or maximum number of ingredients of a size for one dish; null keeps the global value.
+// Setting both to null removes the override.
+app.put('/api/admin/basedishes/:id/sizes/:sizeId', hasRole('manager', 'admin'), [
+  param('id').isInt({ min: 1 }),
+  param('sizeId').isInt({ min: 1 }),
+  check('price').optional({ values: 'null' }).isFloat({ min: 0 }),
+  check('maxIngredients').optional({ values: 'null' }).isInt({ min: 0 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const sizeId = parseInt(req.params.sizeId);
+    const [dish, size] = await Promise.all([basedishesDao.getDishById(id), sizesDao.getSizeById(sizeId)]);
+    if (!dish) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+    if (!size) {
+      return res.status(404).json({ error: 'Size not found' });
+    }
+    const price = req.body.price ?? null;
+    const maxIngredients = req.body.maxIngredients ?? null;
+    if (price === null && maxIngredients === null) {
+      await sizesDao.removeSizeOverride(id, sizeId);
+    } else {
+      await sizesDao.setSizeOverride(id, sizeId, { price: price, max_ingredients: maxIngredients });
+    }
+    const dishSize = await sizesDao.getDishSize(id, sizeId);
+    res.json({ dishId: id, id: sizeId, name: dishSize.name, price: dishSize.price, max_ingredients: dishSize.max_ingredients });
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during size update' });
+  }
+});
+
+// DELETE /api/admin/basedishes/:id/sizes/:sizeId
+// Remove the override: the dish goes back to the global price and limit of the size.
+app.delete('/api/admin/basedishes/:id/sizes/:sizeId', hasRole('manager', 'admin'), [
+  param('id').isInt({ min: 1 }),
+  param('sizeId').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const numChanges = await sizesDao.removeSizeOverride(parseInt(req.params.id), parseInt(req.params.sizeId));
+    if (numChanges === 0) {
+      res.status(404).json({ error: 'Size override not found' });
+    } else {
+      res.json({ message: 'Size override removed' });
+    }
+  } catch (err) {
+    res.status(503).json({ error: 'Database error while removing the size override' });
+  }
+});
+
+// PUT /api/admin/sizes/:id
+// Edit price and maximum number of ingredients of a size; orders already placed keep their price.
+// Dishes with an override for this size keep the overridden values.
+// nutritionMultiplier (scaling the nutrition of the base dishes) is changed only when present in the body.
+app.put('/api/admin/sizes/:id', hasRole('manager', 'admin'), [
+  param('id').isInt({ min: 1 }),
+  check('price').isFloat({ min: 0 }),
+  check('maxIngredients').isInt({ min: 0 }),
+  check('nutritionMultiplier').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const id = parseInt(req.params.id);
+    const numChanges = await sizesDao.updateSize(id, {
+      price: req.body.price, max_ingredients: req.body.maxIngredients, nutrition_multiplier: req.body.nutritionMultiplier
+    });
+    if (numChanges === 0) {
+      return res.status(404).json({ error: 'Size not found' });
+    }
+    res.json(await sizesDao.getSizeById(id));
+  } catch (err) {
+    res.status(503).json({ error: 'Database error during size update' });
+  }
+});
+
 /*** USER APIs ***/
 
 function clientUserInfo(req) {
   const user = req.user;
-  return {id: user.id, username: user.username, name: user.name, canDoTotp: user.secret ? true : false, isTotp: req.session.method === 'totp'};
+  return {id: user.id, username: user.username, name: user.name, role: user.role || 'customer', canDoTotp: user.secret ? true : false, isTotp: req.session.method === 'totp'};
 }
 
+// GET /api/users
+// List all users with their role (admins only).
+app.get('/api/users', hasRole('admin'), async (req, res) => {
+  try {
+    const users = await userDao.listUsers();
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/users/:id/role
+// Change the role of a user (admins only).
+app.put('/api/users/:id/role', hasRole('admin'), [
+  param('id').isInt({ min: 1 }),
+  check('role').isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  const userId = parseInt(req.params.id);
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'Admins cannot change their own role' });
+  }
+  try {
+    const numChanges = await userDao.updateUserRole(userId, req.body.role);
+    if (numChanges === 0) {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      res.json({ id: userId, role: req.body.role });
+    }
+  } catch (err) {
+    res.status(503).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/dietary-profile
+// Dietary profile of the logged-in user: { diet: 'none' | 'vegetarian' | 'vegan', allergens: [...] }
+app.get('/api/dietary-profile', isLoggedIn, async (req, res) => {
+  try {
+    const profile = await userDao.getDietaryProfile(req.user.id);
+    if (profile.error) {
+      res.status(404).json(profile);
+    } else {
+      res.json(profile);
+    }
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/dietary-profile
+// Save the dietary profile of the logged-in user, used to hide or flag the ingredients they should avoid.
+app.put('/api/dietary-profile', isLoggedIn, [
+  check('diet').isIn(DIETS).withMessage(`diet must be one of: ${DIETS.join(', ')}`),
+  check('allergens').isArray(),
+  check('allergens.*').isString()
+], async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter);
+  if (!errors.isEmpty()) {
+    return res.status(422).json(errors.errors);
+  }
+  try {
+    const allergens = [...new Set(req.body.allergens)];
+    const unknown = await findUnknownAllergens(allergens);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown allergens: ${unknown.join(', ')}` });
+    }
+    const profile = await userDao.setDietaryProfile(req.user.id, { diet: req.body.diet, allergens: allergens });
+    res.json(profile);
+  } catch (err) {
+    res.status(503).json({ error: 'Database error while saving the dietary profile' });
+  }
+});
+
 // POST /api/sessions 
 // This route is used for performing login.
 app.post('/api/sessions', function(req, res, next) {
@@ -348,7 +1452,15 @@ app.get('/api/sessions/current', (req, res) => {
 
 // DELETE /api/sessions/current
 // This route is used for logging out the current user.
-app.delete('/api/sessions/current', (req, res) => {
+// The reservations of the user are released on logout.
+app.delete('/api/sessions/current', async (req, res) => {
+  if (req.isAuthenticated()) {
+    try {
+      if (await reservationsDao.releaseReservations(req.user.id) > 0) publishAvailability();
+    } catch (err) {
+      console.error('Error releasing reservations:', err);
+    }
+  }
   req.logout(() => {
     res.status(200).json({});
   });
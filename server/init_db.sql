@@ -1,10 +1,21 @@
 BEGIN TRANSACTION;
 
+DROP TABLE IF EXISTS "sessions";
+DROP TABLE IF EXISTS "ingredient_reservations";
+DROP TABLE IF EXISTS "user_allergens";
+DROP TABLE IF EXISTS "ingredient_allergens";
+DROP TABLE IF EXISTS "allergens";
+DROP TABLE IF EXISTS "dish_ingredients";
+DROP TABLE IF EXISTS "dish_sizes";
+DROP TABLE IF EXISTS "order_status_history";
+DROP TABLE IF EXISTS "order_item_allergens";
 DROP TABLE IF EXISTS "order_ingredients";
+DROP TABLE IF EXISTS "order_items";
 DROP TABLE IF EXISTS "orders";
 DROP TABLE IF EXISTS "ingredient_incompatibilities";
 DROP TABLE IF EXISTS "ingredient_dependencies";
 DROP TABLE IF EXISTS "ingredients";
+DROP TABLE IF EXISTS "ingredient_categories";
 DROP TABLE IF EXISTS "sizes";
 DROP TABLE IF EXISTS "basedishes";
 DROP TABLE IF EXISTS "users";
@@ -16,12 +27,19 @@ CREATE TABLE IF NOT EXISTS "users" (
 	"hash"	TEXT NOT NULL,
 	"salt"	TEXT NOT NULL,
 	"secret"	TEXT,
+	"role"	TEXT NOT NULL DEFAULT 'customer' CHECK("role" IN ('customer', 'kitchen', 'manager', 'admin')),
+	"diet"	TEXT NOT NULL DEFAULT 'none' CHECK("diet" IN ('none', 'vegetarian', 'vegan')),
 	PRIMARY KEY("id" AUTOINCREMENT)
 );
 
 CREATE TABLE IF NOT EXISTS "basedishes" (
 	"id"	INTEGER NOT NULL,
 	"name"	TEXT NOT NULL,
+	"active"	INTEGER NOT NULL DEFAULT 1,
+	"calories"	REAL NOT NULL DEFAULT 0,
+	"protein"	REAL NOT NULL DEFAULT 0,
+	"fat"	REAL NOT NULL DEFAULT 0,
+	"carbs"	REAL NOT NULL DEFAULT 0,
 	PRIMARY KEY("id" AUTOINCREMENT)
 );
 
@@ -30,6 +48,14 @@ CREATE TABLE IF NOT EXISTS "sizes" (
 	"name"	TEXT NOT NULL,
 	"price"	REAL NOT NULL,
 	"max_ingredients"	INTEGER NOT NULL,
+	"nutrition_multiplier"	REAL NOT NULL DEFAULT 1,
+	PRIMARY KEY("id" AUTOINCREMENT)
+);
+
+CREATE TABLE IF NOT EXISTS "ingredient_categories" (
+	"id"	INTEGER NOT NULL,
+	"name"	TEXT NOT NULL UNIQUE,
+	"max_per_dish"	INTEGER,
 	PRIMARY KEY("id" AUTOINCREMENT)
 );
 
@@ -38,7 +64,37 @@ CREATE TABLE IF NOT EXISTS "ingredients" (
 	"name"	TEXT NOT NULL,
 	"price"	REAL NOT NULL,
 	"availability"	INTEGER,
-	PRIMARY KEY("id" AUTOINCREMENT)
+	"active"	INTEGER NOT NULL DEFAULT 1,
+	"vegetarian"	INTEGER NOT NULL DEFAULT 1,
+	"vegan"	INTEGER NOT NULL DEFAULT 1 CHECK("vegan" = 0 OR "vegetarian" = 1),
+	"calories"	REAL NOT NULL DEFAULT 0,
+	"protein"	REAL NOT NULL DEFAULT 0,
+	"fat"	REAL NOT NULL DEFAULT 0,
+	"carbs"	REAL NOT NULL DEFAULT 0,
+	"category_id"	INTEGER,
+	PRIMARY KEY("id" AUTOINCREMENT),
+	FOREIGN KEY("category_id") REFERENCES "ingredient_categories"("id")
+);
+
+CREATE TABLE IF NOT EXISTS "allergens" (
+	"name"	TEXT NOT NULL,
+	PRIMARY KEY("name")
+);
+
+CREATE TABLE IF NOT EXISTS "ingredient_allergens" (
+	"ingredient_id"	INTEGER NOT NULL,
+	"allergen"	TEXT NOT NULL,
+	PRIMARY KEY("ingredient_id", "allergen"),
+	FOREIGN KEY("ingredient_id") REFERENCES "ingredients"("id"),
+	FOREIGN KEY("allergen") REFERENCES "allergens"("name")
+);
+
+CREATE TABLE IF NOT EXISTS "user_allergens" (
+	"user_id"	INTEGER NOT NULL,
+	"allergen"	TEXT NOT NULL,
+	PRIMARY KEY("user_id", "allergen"),
+	FOREIGN KEY("user_id") REFERENCES "users"("id"),
+	FOREIGN KEY("allergen") REFERENCES "allergens"("name")
 );
 
 CREATE TABLE IF NOT EXISTS "ingredient_dependencies" (
@@ -57,50 +113,156 @@ CREATE TABLE IF NOT EXISTS "ingredient_incompatibilities" (
 	FOREIGN KEY("ingredient2_id") REFERENCES "ingredients"("id")
 );
 
+CREATE TABLE IF NOT EXISTS "dish_sizes" (
+	"dish_id"	INTEGER NOT NULL,
+	"size_id"	INTEGER NOT NULL,
+	"price"	REAL,
+	"max_ingredients"	INTEGER,
+	PRIMARY KEY("dish_id", "size_id"),
+	FOREIGN KEY("dish_id") REFERENCES "basedishes"("id"),
+	FOREIGN KEY("size_id") REFERENCES "sizes"("id")
+);
+
+CREATE TABLE IF NOT EXISTS "dish_ingredients" (
+	"dish_id"	INTEGER NOT NULL,
+	"ingredient_id"	INTEGER NOT NULL,
+	PRIMARY KEY("dish_id", "ingredient_id"),
+	FOREIGN KEY("dish_id") REFERENCES "basedishes"("id"),
+	FOREIGN KEY("ingredient_id") REFERENCES "ingredients"("id")
+);
+
 CREATE TABLE IF NOT EXISTS "orders" (
 	"id"	INTEGER NOT NULL,
 	"user_id"	INTEGER NOT NULL,
+	"total"	REAL NOT NULL,
+	"status"	TEXT NOT NULL DEFAULT 'placed' CHECK("status" IN ('placed', 'preparing', 'ready', 'completed', 'cancelled')),
+	"created_at"	TEXT NOT NULL,
+	"updated_at"	TEXT NOT NULL,
+	PRIMARY KEY("id" AUTOINCREMENT),
+	FOREIGN KEY("user_id") REFERENCES "users"("id")
+);
+
+CREATE INDEX IF NOT EXISTS "orders_user_created" ON "orders" ("user_id", "created_at");
+
+CREATE TABLE IF NOT EXISTS "order_items" (
+	"id"	INTEGER NOT NULL,
+	"order_id"	INTEGER NOT NULL,
 	"dish_id"	INTEGER NOT NULL,
 	"size_id"	INTEGER NOT NULL,
-	"total"	REAL NOT NULL,
+	"price"	REAL NOT NULL,
+	"size_price"	REAL NOT NULL,
+	"vegetarian"	INTEGER NOT NULL,
+	"vegan"	INTEGER NOT NULL,
+	"calories"	REAL NOT NULL,
+	"protein"	REAL NOT NULL,
+	"fat"	REAL NOT NULL,
+	"carbs"	REAL NOT NULL,
 	PRIMARY KEY("id" AUTOINCREMENT),
-	FOREIGN KEY("user_id") REFERENCES "users"("id"),
+	FOREIGN KEY("order_id") REFERENCES "orders"("id"),
 	FOREIGN KEY("dish_id") REFERENCES "basedishes"("id"),
 	FOREIGN KEY("size_id") REFERENCES "sizes"("id")
 );
 
 CREATE TABLE IF NOT EXISTS "order_ingredients" (
+	"item_id"	INTEGER NOT NULL,
+	"ingredient_id"	INTEGER NOT NULL,
+	"quantity"	INTEGER NOT NULL DEFAULT 1 CHECK("quantity" > 0),
+	PRIMARY KEY("item_id", "ingredient_id"),
+	FOREIGN KEY("item_id") REFERENCES "order_items"("id"),
+	FOREIGN KEY("ingredient_id") REFERENCES "ingredients"("id")
+);
+
+CREATE TABLE IF NOT EXISTS "order_item_allergens" (
+	"item_id"	INTEGER NOT NULL,
+	"allergen"	TEXT NOT NULL,
+	PRIMARY KEY("item_id", "allergen"),
+	FOREIGN KEY("item_id") REFERENCES "order_items"("id")
+);
+
+CREATE TABLE IF NOT EXISTS "order_status_history" (
+	"id"	INTEGER NOT NULL,
 	"order_id"	INTEGER NOT NULL,
+	"status"	TEXT NOT NULL,
+	"changed_at"	TEXT NOT NULL,
+	PRIMARY KEY("id" AUTOINCREMENT),
+	FOREIGN KEY("order_id") REFERENCES "orders"("id")
+);
+
+CREATE TABLE IF NOT EXISTS "ingredient_reservations" (
+	"user_id"	INTEGER NOT NULL,
 	"ingredient_id"	INTEGER NOT NULL,
-	PRIMARY KEY("order_id", "ingredient_id"),
-	FOREIGN KEY("order_id") REFERENCES "orders"("id"),
+	"quantity"	INTEGER NOT NULL CHECK("quantity" > 0),
+	"expires_at"	TEXT NOT NULL,
+	PRIMARY KEY("user_id", "ingredient_id"),
+	FOREIGN KEY("user_id") REFERENCES "users"("id"),
 	FOREIGN KEY("ingredient_id") REFERENCES "ingredients"("id")
 );
 
-INSERT INTO "users" VALUES (1,'alice@example.com','Alice','82f5ce57af7b366c8ce1513d3bdaf176878798a97341b8bb618f0d1a72809a2f','72e4eeb14def3b21','LXBSMDTMSP2I5XFXIYRGFVWSFI');
-INSERT INTO "users" VALUES (2,'bob@example.com','Bob','cccbdbbfc37358398cbf5fe0694c72ceffa2cddbde72dd9f4f6ca29577b5a12b','a8b618c717683608','');
-INSERT INTO "users" VALUES (3,'carol@example.com','Carol','7e05a583b019a4c2bc5623f992c8d90f7b96691b579a1d500260f204214ae1f1','e818f0647b4e1fe0','LXBSMDTMSP2I5XFXIYRGFVWSFI');
-INSERT INTO "users" VALUES (4,'dave@example.com','Dave','a7ae0cde48dbf0d5960f6782f44d389b6e794997ca00011e5ecf6aa3fc5a2e7a','f1e2d3c4b5a69788','');
+CREATE TABLE IF NOT EXISTS "sessions" (
+	"sid"	TEXT NOT NULL,
+	"sess"	TEXT NOT NULL,
+	"expires_at"	TEXT NOT NULL,
+	PRIMARY KEY("sid")
+);
+
+INSERT INTO "users" VALUES (1,'alice@example.com','Alice','82f5ce57af7b366c8ce1513d3bdaf176878798a97341b8bb618f0d1a72809a2f','72e4eeb14def3b21','LXBSMDTMSP2I5XFXIYRGFVWSFI','customer','none');
+INSERT INTO "users" VALUES (2,'bob@example.com','Bob','cccbdbbfc37358398cbf5fe0694c72ceffa2cddbde72dd9f4f6ca29577b5a12b','a8b618c717683608','','customer','none');
+INSERT INTO "users" VALUES (3,'carol@example.com','Carol','7e05a583b019a4c2bc5623f992c8d90f7b96691b579a1d500260f204214ae1f1','e818f0647b4e1fe0','LXBSMDTMSP2I5XFXIYRGFVWSFI','customer','vegetarian');
+INSERT INTO "users" VALUES (4,'dave@example.com','Dave','a7ae0cde48dbf0d5960f6782f44d389b6e794997ca00011e5ecf6aa3fc5a2e7a','f1e2d3c4b5a69788','','customer','none');
+INSERT INTO "users" VALUES (5,'erin@example.com','Erin','480070ab9f53ee669a5c131b8e3cac8811660a43ed7870da815bd4c962018e90','3b9d4f0c2a7e1d65','','kitchen','none');
+INSERT INTO "users" VALUES (6,'frank@example.com','Frank','7b7867e83488607a26a3afed0f50ce1847b19be65b5b78e5b6a66c4318bbbee4','9e4a7c1b5d2f8063','LXBSMDTMSP2I5XFXIYRGFVWSFI','manager','none');
+INSERT INTO "users" VALUES (7,'grace@example.com','Grace','95f979e31c495c3185bea0b3c8c07097ea5201c378e2515b424180314c7235ed','c7f1e2a9b4d30568','LXBSMDTMSP2I5XFXIYRGFVWSFI','admin','none');
+
+INSERT INTO "basedishes" VALUES (1,'Pizza',1,800,30,25,110);
+INSERT INTO "basedishes" VALUES (2,'Pasta',1,600,20,10,100);
+INSERT INTO "basedishes" VALUES (3,'Salad',1,150,4,8,15);
+
+INSERT INTO "sizes" VALUES (1,'Small',5.00,3,0.75);
+INSERT INTO "sizes" VALUES (2,'Medium',7.00,5,1.0);
+INSERT INTO "sizes" VALUES (3,'Large',9.00,7,1.3);
 
-INSERT INTO "basedishes" VALUES (1,'Pizza');
-INSERT INTO "basedishes" VALUES (2,'Pasta');
-INSERT INTO "basedishes" VALUES (3,'Salad');
+INSERT INTO "dish_sizes" VALUES (3,1,4.00,NULL);
+INSERT INTO "dish_sizes" VALUES (3,2,5.50,NULL);
+INSERT INTO "dish_sizes" VALUES (3,3,7.00,NULL);
+INSERT INTO "dish_sizes" VALUES (2,3,NULL,6);
 
-INSERT INTO "sizes" VALUES (1,'Small',5.00,3);
-INSERT INTO "sizes" VALUES (2,'Medium',7.00,5);
-INSERT INTO "sizes" VALUES (3,'Large',9.00,7);
+INSERT INTO "ingredient_categories" VALUES (1,'Cheeses',NULL);
+INSERT INTO "ingredient_categories" VALUES (2,'Vegetables',NULL);
+INSERT INTO "ingredient_categories" VALUES (3,'Proteins',NULL);
+INSERT INTO "ingredient_categories" VALUES (4,'Sauces',1);
 
-INSERT INTO "ingredients" VALUES (1,'Mozzarella',1.00,3);
-INSERT INTO "ingredients" VALUES (2,'Tomatoes',0.50,NULL);
-INSERT INTO "ingredients" VALUES (3,'Mushrooms',0.80,3);
-INSERT INTO "ingredients" VALUES (4,'Ham',1.20,2);
-INSERT INTO "ingredients" VALUES (5,'Olives',0.70,NULL);
-INSERT INTO "ingredients" VALUES (6,'Tuna',1.50,2);
-INSERT INTO "ingredients" VALUES (7,'Eggs',1.00,NULL);
-INSERT INTO "ingredients" VALUES (8,'Anchovies',1.50,1);
-INSERT INTO "ingredients" VALUES (9,'Parmesan',1.20,NULL);
-INSERT INTO "ingredients" VALUES (10,'Carrots',0.40,NULL);
-INSERT INTO "ingredients" VALUES (11,'Potatoes',0.30,NULL);
+INSERT INTO "ingredients" VALUES (1,'Mozzarella',1.00,3,1,1,0,150,10,12,1,1);
+INSERT INTO "ingredients" VALUES (2,'Tomatoes',0.50,NULL,1,1,1,20,1,0,4,2);
+INSERT INTO "ingredients" VALUES (3,'Mushrooms',0.80,3,1,1,1,15,2,0,2,2);
+INSERT INTO "ingredients" VALUES (4,'Ham',1.20,2,1,0,0,90,12,4,1,3);
+INSERT INTO "ingredients" VALUES (5,'Olives',0.70,NULL,1,1,1,60,0.5,6,2,2);
+INSERT INTO "ingredients" VALUES (6,'Tuna',1.50,2,1,0,0,110,24,1,0,3);
+INSERT INTO "ingredients" VALUES (7,'Eggs',1.00,NULL,1,1,0,80,6,5,0.5,3);
+INSERT INTO "ingredients" VALUES (8,'Anchovies',1.50,1,1,0,0,50,7,2,0,3);
+INSERT INTO "ingredients" VALUES (9,'Parmesan',1.20,NULL,1,0,0,110,10,7,1,1);
+INSERT INTO "ingredients" VALUES (10,'Carrots',0.40,NULL,1,1,1,25,0.5,0,6,2);
+INSERT INTO "ingredients" VALUES (11,'Potatoes',0.30,NULL,1,1,1,90,2,0,20,2);
+INSERT INTO "ingredients" VALUES (12,'Tomato Sauce',0.50,NULL,1,1,1,30,1,0.5,6,4);
+INSERT INTO "ingredients" VALUES (13,'Pesto',0.90,NULL,1,1,0,80,2,8,1,4);
+
+INSERT INTO "allergens" VALUES ('lactose');
+INSERT INTO "allergens" VALUES ('gluten');
+INSERT INTO "allergens" VALUES ('fish');
+INSERT INTO "allergens" VALUES ('egg');
+INSERT INTO "allergens" VALUES ('nuts');
+INSERT INTO "allergens" VALUES ('soy');
+INSERT INTO "allergens" VALUES ('celery');
+INSERT INTO "allergens" VALUES ('shellfish');
+
+INSERT INTO "ingredient_allergens" VALUES (1,'lactose');
+INSERT INTO "ingredient_allergens" VALUES (6,'fish');
+INSERT INTO "ingredient_allergens" VALUES (7,'egg');
+INSERT INTO "ingredient_allergens" VALUES (8,'fish');
+INSERT INTO "ingredient_allergens" VALUES (9,'lactose');
+INSERT INTO "ingredient_allergens" VALUES (13,'lactose');
+INSERT INTO "ingredient_allergens" VALUES (13,'nuts');
+
+INSERT INTO "user_allergens" VALUES (1,'fish');
 
 INSERT INTO "ingredient_dependencies" VALUES (2,5);
 INSERT INTO "ingredient_dependencies" VALUES (9,1);
@@ -116,20 +278,39 @@ INSERT INTO "ingredient_incompatibilities" VALUES (3,4);
 INSERT INTO "ingredient_incompatibilities" VALUES (5,8);
 INSERT INTO "ingredient_incompatibilities" VALUES (8,5);
 
-INSERT INTO "orders" VALUES (1,1,1,1,6.20);
-INSERT INTO "orders" VALUES (2,1,2,1,6.50);
-INSERT INTO "orders" VALUES (3,2,2,2,9.70);
-INSERT INTO "orders" VALUES (4,2,3,3,11.60);
-
-INSERT INTO "order_ingredients" VALUES (1,2);
-INSERT INTO "order_ingredients" VALUES (1,5);
-INSERT INTO "order_ingredients" VALUES (2,1);
-INSERT INTO "order_ingredients" VALUES (2,2);
-INSERT INTO "order_ingredients" VALUES (3,3);
-INSERT INTO "order_ingredients" VALUES (3,4);
-INSERT INTO "order_ingredients" VALUES (3,5);
-INSERT INTO "order_ingredients" VALUES (4,6);
-INSERT INTO "order_ingredients" VALUES (4,5);
-INSERT INTO "order_ingredients" VALUES (4,10);
+INSERT INTO "dish_ingredients" SELECT d.id, i.id FROM basedishes d, ingredients i
+  WHERE NOT (d.id = 1 AND i.id IN (6, 11)) AND NOT (d.id = 3 AND i.id = 11);
+
+INSERT INTO "orders" VALUES (1,1,6.20,'completed','2025-06-20T12:05:00.000Z','2025-06-20T12:25:00.000Z');
+INSERT INTO "orders" VALUES (2,1,6.50,'ready','2025-06-24T19:30:00.000Z','2025-06-24T19:45:00.000Z');
+INSERT INTO "orders" VALUES (3,2,21.30,'placed','2025-06-25T20:10:00.000Z','2025-06-25T20:10:00.000Z');
+
+INSERT INTO "order_items" VALUES (1,1,1,1,6.20,5.00,1,1,680,24,24.8,88.5);
+INSERT INTO "order_items" VALUES (2,2,2,1,6.50,5.00,1,0,620,26,19.5,80);
+INSERT INTO "order_items" VALUES (3,3,2,2,9.70,7.00,0,0,765,34.5,20,105);
+INSERT INTO "order_items" VALUES (4,3,3,3,11.60,7.00,0,0,390,30.2,17.4,27.5);
+
+INSERT INTO "order_ingredients" VALUES (1,2,1);
+INSERT INTO "order_ingredients" VALUES (1,5,1);
+INSERT INTO "order_ingredients" VALUES (2,1,1);
+INSERT INTO "order_ingredients" VALUES (2,2,1);
+INSERT INTO "order_ingredients" VALUES (3,3,1);
+INSERT INTO "order_ingredients" VALUES (3,4,1);
+INSERT INTO "order_ingredients" VALUES (3,5,1);
+INSERT INTO "order_ingredients" VALUES (4,6,1);
+INSERT INTO "order_ingredients" VALUES (4,5,1);
+INSERT INTO "order_ingredients" VALUES (4,10,1);
+
+INSERT INTO "order_item_allergens" VALUES (2,'lactose');
+INSERT INTO "order_item_allergens" VALUES (4,'fish');
+
+INSERT INTO "order_status_history" VALUES (1,1,'placed','2025-06-20T12:05:00.000Z');
+INSERT INTO "order_status_history" VALUES (2,1,'preparing','2025-06-20T12:07:00.000Z');
+INSERT INTO "order_status_history" VALUES (3,1,'ready','2025-06-20T12:20:00.000Z');
+INSERT INTO "order_status_history" VALUES (4,1,'completed','2025-06-20T12:25:00.000Z');
+INSERT INTO "order_status_history" VALUES (5,2,'placed','2025-06-24T19:30:00.000Z');
+INSERT INTO "order_status_history" VALUES (6,2,'preparing','2025-06-24T19:32:00.000Z');
+INSERT INTO "order_status_history" VALUES (7,2,'ready','2025-06-24T19:45:00.000Z');
+INSERT INTO "order_status_history" VALUES (8,3,'placed','2025-06-25T20:10:00.000Z');
 
 COMMIT;
@@ -0,0 +1,99 @@
+'use strict';
+
+/** Session store module: keeps the express-session sessions in the sessions table of the DB **/
+
+// Sessions survive a server restart, TOTP elevation (req.session.method) included. Each row holds the
+// session serialized as JSON (the logged-in user is only referenced by id, see passport.serializeUser)
+// and its expiration, taken from the session cookie; expired sessions are never returned and are deleted
+// by clearExpired.
+// The expiration moves forward at every request: to keep the reads (and the SSE streams) off the write
+// queue, touch only writes it when it has moved by at least touchAfter since the last write.
+
+const { Store } = require('express-session');
+const db = require('./db');
+const { runWrite } = require('./transaction');
+
+// Lifetime of a session whose cookie has no expiration (browser-session cookie), in milliseconds
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+// Default minimum shift of the expiration of a session before touch writes it again, in milliseconds
+const DEFAULT_TOUCH_AFTER = 60 * 1000;
+
+// This function returns the expiration of a session as an ISO string
+const expirationOf = (sess) => {
+  const expires = sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + DEFAULT_TTL);
+  return expires.toISOString();
+};
+
+class SqliteStore extends Store {
+  // options.touchAfter: minimum shift of the expiration before touch writes it, in milliseconds
+  constructor(options = {}) {
+    super();
+    this.touchAfter = options.touchAfter !== undefined ? options.touchAfter : DEFAULT_TOUCH_AFTER;
+    this.written = new Map(); // session id -> expiration last written by this process (ISO string)
+  }
+
+  // This function returns the session with the given id, or null if it does not exist or has expired
+  get(sid, callback) {
+    const sql = 'SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?';
+    db.get(sql, [sid, new Date().toISOString()], (err, row) => {
+      if (err) {
+        callback(err);
+      } else if (!row) {
+        callback(null, null);
+      } else {
+        try {
+          callback(null, JSON.parse(row.sess));
+        } catch (parseErr) {
+          callback(parseErr);
+        }
+      }
+    });
+  }
+
+  // This function creates or replaces a session
+  set(sid, sess, callback) {
+    const sql = 'INSERT OR REPLACE INTO sessions (sid, sess, expires_at) VALUES (?, ?, ?)';
+    const expiresAt = expirationOf(sess);
+    runWrite(sql, [sid, JSON.stringify(sess), expiresAt])
+      .then(() => {
+        this.written.set(sid, expiresAt);
+        if (callback) callback(null);
+      }, err => callback && callback(err));
+  }
+
+  // This function extends the expiration of a session that is still in use, without rewriting it.
+  // The write is skipped when the expiration has moved by less than touchAfter since it was last written.
+  touch(sid, sess, callback) {
+    const expiresAt = expirationOf(sess);
+    const last = this.written.get(sid);
+    if (last !== undefined && Date.parse(expiresAt) - Date.parse(last) < this.touchAfter) {
+      if (callback) callback(null);
+      return;
+    }
+    const sql = 'UPDATE sessions SET expires_at = ? WHERE sid = ?';
+    runWrite(sql, [expiresAt, sid])
+      .then(() => {
+        this.written.set(sid, expiresAt);
+        if (callback) callback(null);
+      }, err => callback && callback(err));
+  }
+
+  // This function deletes a session (logout)
+  destroy(sid, callback) {
+    this.written.delete(sid);
+    runWrite('DELETE FROM sessions WHERE sid = ?', [sid])
+      .then(() => callback && callback(null), err => callback && callback(err));
+  }
+
+  // This function deletes the expired sessions, returning the number of deleted rows
+  clearExpired() {
+    const now = new Date().toISOString();
+    for (const [sid, expiresAt] of this.written) {
+      if (expiresAt <= now) this.written.delete(sid);
+    }
+    return runWrite('DELETE FROM sessions WHERE expires_at <= ?', [now]).then(result => result.changes);
+  }
+}
+
+module.exports = SqliteStore;
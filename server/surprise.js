@@ -0,0 +1,74 @@
+'use strict';
+
+/** Surprise module: generates random valid dish configurations ("Surprise me") **/
+
+const { completeDish } = require('./dish-completion');
+const { fitsDiet } = require('../shared/dietary.mjs');
+
+// This function returns a seeded pseudo-random generator (mulberry32): each call returns a number in [0, 1).
+// The same seed always gives the same sequence, so that a surprise can be reproduced.
+const mulberry32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// This function returns a shuffled copy of a list (Fisher-Yates), using the given generator
+const shuffle = (list, random) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// This function generates a random dish configuration that respects the same rules as an order:
+// eligibility, stock, dependencies, incompatibilities, size and category limits (see completeDish),
+// plus the optional constraints of the customer.
+// - menu: [{ dish, sizes, ingredients }] the active dishes, with their effective sizes and eligible active ingredients
+// - graph, names, categories, used: as for completeDish
+// - options: { maxPrice, diet, allergens, includeId } (all optional): maximum total price, diet the dish must fit,
+//   allergens it must not contain and an ingredient it must include
+// - seed: integer seed of the generator; the same seed and data give the same configuration
+// Dishes and sizes are tried in random order; for each one a random number of portions is chosen, then random
+// ingredients are added, each one with what it requires, as long as the dish stays valid and within the price.
+// Returns { dish, size, ingredients: [{ id, name, quantity }] }, or null if no configuration fits the constraints.
+const generateSurprise = ({ menu, graph, names, categories, used, options, seed }) => {
+  const random = mulberry32(seed);
+  const { maxPrice, diet = 'none', allergens = [], includeId } = options;
+
+  for (const { dish, sizes, ingredients } of shuffle(menu, random)) {
+    const pool = ingredients.filter(ing => fitsDiet(ing, { diet, allergens }));
+    const priceOf = (size, selection) => size.price +
+      selection.reduce((sum, sel) => sum + pool.find(ing => ing.id === sel.id).price * sel.quantity, 0);
+    // Tries to complete a selection: the completion, if valid and within the price, otherwise null
+    const tryComplete = (size, selection) => {
+      const result = completeDish({ dish, size, selection, ingredients: pool, graph, names, categories, used });
+      if (result.error) return null;
+      if (maxPrice !== undefined && priceOf(size, result.ingredients) > maxPrice + 1e-9) return null;
+      return result.ingredients;
+    };
+
+    for (const size of shuffle(sizes, random)) {
+      let selection = tryComplete(size, includeId !== undefined ? [{ id: includeId }] : []);
+      if (!selection) continue;
+      const target = 1 + Math.floor(random() * size.max_ingredients);
+      for (const candidate of shuffle(pool, random)) {
+        if (selection.length >= target) break;
+        if (selection.some(sel => sel.id === candidate.id)) continue;
+        selection = tryComplete(size, [...selection, { id: candidate.id }]) || selection;
+      }
+      return { dish, size, ingredients: selection };
+    }
+  }
+  return null;
+};
+
+exports.mulberry32 = mulberry32;
+exports.generateSurprise = generateSurprise;
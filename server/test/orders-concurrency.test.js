@@ -0,0 +1,114 @@
+'use strict';
+
+/** Tests of the atomic stock consumption of ordersDao.createOrder under concurrent orders **/
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// The DAOs run against a temporary DB created from init_db.sql, never against restaurant.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'restaurant-test-'));
+process.env.DB_FILE = path.join(dir, 'restaurant.db');
+
+let db;
+let ordersDao;
+
+// Promise wrapper around db.get on the read connection
+const getSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+const availabilityOf = async (ingredientId) => {
+  const row = await getSql('SELECT availability FROM ingredients WHERE id = ?', [ingredientId]);
+  return row.availability;
+};
+
+const countOrders = async () => (await getSql('SELECT COUNT(*) AS n FROM orders')).n;
+
+// An order of one Small Pizza with the given ingredients [{ id, quantity }]
+const pizzaOrder = (userId, ingredients) => ({
+  user_id: userId,
+  total: 10,
+  items: [{ dishId: 1, sizeId: 1, total: 10, ingredients: ingredients }]
+});
+
+// Fires count orders at once, resolving to the outcomes of Promise.allSettled
+const fireOrders = (count, ingredients) => {
+  const orders = Array.from({ length: count }, (_, i) => ordersDao.createOrder(pizzaOrder(1 + (i % 4), ingredients)));
+  return Promise.allSettled(orders);
+};
+
+before(async () => {
+  const schema = fs.readFileSync(path.join(__dirname, '..', 'init_db.sql'), 'utf8');
+  await new Promise((resolve, reject) => {
+    const setup = new sqlite3.Database(process.env.DB_FILE, (err) => {
+      if (err) return reject(err);
+      setup.exec(schema, (execErr) => setup.close(() => execErr ? reject(execErr) : resolve()));
+    });
+  });
+  db = require('../db');
+  ordersDao = require('../dao/dao-orders');
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(() => resolve()));
+  await new Promise(resolve => db.writer.close(() => resolve()));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createOrder under concurrency', () => {
+  test('many simultaneous orders for the last unit: exactly one succeeds', async () => {
+    assert.equal(await availabilityOf(8), 1); // Anchovies
+    const ordersBefore = await countOrders();
+
+    const results = await fireOrders(10, [{ id: 8, quantity: 1 }]);
+
+    const fulfilled = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+    assert.equal(fulfilled.length, 1);
+    assert.equal(rejected.length, 9);
+    for (const r of rejected) {
+      assert.deepEqual(r.reason, { error: 'There is not enough Anchovies for this order', ingredientId: 8 });
+    }
+    assert.equal(await availabilityOf(8), 0);
+    assert.equal(await countOrders(), ordersBefore + 1);
+  });
+
+  test('as many orders succeed as there are units, and the stock never goes negative', async () => {
+    assert.equal(await availabilityOf(1), 3); // Mozzarella
+
+    const results = await fireOrders(10, [{ id: 1, quantity: 1 }]);
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 3);
+    assert.equal(await availabilityOf(1), 0);
+  });
+
+  test('portions are consumed together: orders needing more units than left are refused', async () => {
+    assert.equal(await availabilityOf(3), 3); // Mushrooms
+
+    const results = await fireOrders(5, [{ id: 3, quantity: 2 }]);
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal(await availabilityOf(3), 1);
+  });
+
+  test('a refused order is rolled back as a whole', async () => {
+    assert.equal(await availabilityOf(4), 2); // Ham
+    const ordersBefore = await countOrders();
+
+    // Anchovies are sold out by the first test: the decrement of Ham must be rolled back too
+    await assert.rejects(ordersDao.createOrder(pizzaOrder(2, [{ id: 4, quantity: 1 }, { id: 8, quantity: 1 }])),
+      { error: 'There is not enough Anchovies for this order', ingredientId: 8 });
+
+    assert.equal(await availabilityOf(4), 2);
+    assert.equal(await countOrders(), ordersBefore);
+  });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+/** Tests of the seeded "Surprise me" generator (surprise.js) **/
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mulberry32, generateSurprise } = require('../surprise');
+const { createGraph } = require('../constraint-graph');
+const { validateDish } = require('../../shared/validation.mjs');
+
+// Menu modelled on the seed data of init_db.sql, in the format built by POST /api/orders/surprise
+const DISHES = [
+  { id: 1, name: 'Pizza' },
+  { id: 2, name: 'Pasta' },
+  { id: 3, name: 'Salad' }
+];
+const SIZES = DISHES.flatMap(dish => {
+  const discount = dish.name === 'Salad' ? 1 : 0;
+  return [
+    { dish_id: dish.id, id: 1, name: 'Small', price: 5 - discount, max_ingredients: 3 },
+    { dish_id: dish.id, id: 2, name: 'Medium', price: 7 - discount, max_ingredients: 5 },
+    { dish_id: dish.id, id: 3, name: 'Large', price: 9 - discount, max_ingredients: 7 }
+  ];
+});
+const ALL_DISHES = [1, 2, 3];
+const INGREDIENTS = [
+  { id: 1, name: 'Mozzarella', price: 1.00, availability: 3, vegetarian: 1, vegan: 0, allergens: ['lactose'], category_id: 1, eligibleDishes: ALL_DISHES, dependencyIds: [2], incompatibilityIds: [] },
+  { id: 2, name: 'Tomatoes', price: 0.50, availability: null, vegetarian: 1, vegan: 1, allergens: [], category_id: 2, eligibleDishes: ALL_DISHES, dependencyIds: [5], incompatibilityIds: [7] },
+  { id: 3, name: 'Mushrooms', price: 0.80, availability: 3, vegetarian: 1, vegan: 1, allergens: [], category_id: 2, eligibleDishes: ALL_DISHES, dependencyIds: [], incompatibilityIds: [4, 7] },
+  { id: 4, name: 'Ham', price: 1.20, availability: 2, vegetarian: 0, vegan: 0, allergens: [], category_id: 3, eligibleDishes: ALL_DISHES, dependencyIds: [], incompatibilityIds: [3] },
+  { id: 5, name: 'Olives', price: 0.70, availability: null, vegetarian: 1, vegan: 1, allergens: [], category_id: 2, eligibleDishes: ALL_DISHES, dependencyIds: [], incompatibilityIds: [] },
+  { id: 6, name: 'Tuna', price: 1.50, availability: 2, vegetarian: 0, vegan: 0, allergens: ['fish'], category_id: 3, eligibleDishes: ALL_DISHES, dependencyIds: [], incompatibilityIds: [] },
+  { id: 7, name: 'Eggs', price: 1.00, availability: null, vegetarian: 1, vegan: 0, allergens: ['egg'], category_id: 3, eligibleDishes: ALL_DISHES, dependencyIds: [], incompatibilityIds: [2, 3] },
+  { id: 8, name: 'Anchovies', price: 1.50, availability: 1, vegetarian: 0, vegan: 0, allergens: ['fish'], category_id: 3, eligibleDishes: [1], dependencyIds: [], incompatibilityIds: [] },
+  { id: 9, name: 'Parmesan', price: 1.20, availability: null, vegetarian: 0, vegan: 0, allergens: ['lactose'], category_id: 1, eligibleDishes: ALL_DISHES, dependencyIds: [1], incompatibilityIds: [] },
+  { id: 10, name: 'Carrots', price: 0.40, availability: null, vegetarian: 1, vegan: 1, allergens: [], category_id: 2, eligibleDishes: [2, 3], dependencyIds: [], incompatibilityIds: [] },
+  { id: 12, name: 'Tomato Sauce', price: 0.50, availability: null, vegetarian: 1, vegan: 1, allergens: [], category_id: 4, eligibleDishes: [1, 2], dependencyIds: [], incompatibilityIds: [] },
+  { id: 13, name: 'Pesto', price: 0.90, availability: null, vegetarian: 1, vegan: 0, allergens: ['nuts'], category_id: 4, eligibleDishes: [1, 2], dependencyIds: [], incompatibilityIds: [] }
+];
+const CATEGORIES = [
+  { id: 1, name: 'Cheeses', max_per_dish: null },
+  { id: 2, name: 'Vegetables', max_per_dish: null },
+  { id: 3, name: 'Proteins', max_per_dish: null },
+  { id: 4, name: 'Sauces', max_per_dish: 1 }
+];
+const GRAPH = createGraph(
+  INGREDIENTS.flatMap(ing => ing.dependencyIds.map(depId => ({ ingredient_id: ing.id, depends_on_id: depId }))),
+  INGREDIENTS.flatMap(ing => ing.incompatibilityIds.map(incId => ({ ingredient1_id: ing.id, ingredient2_id: incId })))
+);
+const NAMES = new Map(INGREDIENTS.map(ing => [ing.id, ing.name]));
+const MENU = DISHES.map(dish => ({
+  dish,
+  sizes: SIZES.filter(s => s.dish_id === dish.id),
+  ingredients: INGREDIENTS.filter(ing => ing.eligibleDishes.includes(dish.id))
+}));
+
+const surprise = (seed, options = {}, used = new Map()) =>
+  generateSurprise({ menu: MENU, graph: GRAPH, names: NAMES, categories: CATEGORIES, used, options, seed });
+
+const priceOf = (result) => result.size.price +
+  result.ingredients.reduce((sum, sel) => sum + INGREDIENTS.find(ing => ing.id === sel.id).price * sel.quantity, 0);
+
+const SEEDS = Array.from({ length: 100 }, (_, i) => i * 7919);
+
+describe('mulberry32', () => {
+  test('the same seed gives the same sequence', () => {
+    const a = mulberry32(42);
+    const b = mulberry32(42);
+    for (let i = 0; i < 100; i++) {
+      assert.equal(a(), b());
+    }
+  });
+
+  test('different seeds give different sequences', () => {
+    const a = mulberry32(1);
+    const b = mulberry32(2);
+    const first = Array.from({ length: 10 }, () => a());
+    const second = Array.from({ length: 10 }, () => b());
+    assert.notDeepEqual(first, second);
+  });
+
+  test('numbers are in [0, 1)', () => {
+    const random = mulberry32(0xFFFFFFFF);
+    for (let i = 0; i < 1000; i++) {
+      const n = random();
+      assert.ok(n >= 0 && n < 1, `${n} out of range`);
+    }
+  });
+});
+
+describe('generateSurprise', () => {
+  test('the same seed and menu give the same dish', () => {
+    for (const seed of SEEDS) {
+      const first = surprise(seed, { maxPrice: 14 });
+      const second = surprise(seed, { maxPrice: 14 });
+      assert.deepEqual(
+        { dish: second.dish, size: second.size, ingredients: second.ingredients },
+        { dish: first.dish, size: first.size, ingredients: first.ingredients }
+      );
+    }
+  });
+
+  test('different seeds give different dishes', () => {
+    const dishes = new Set(SEEDS.map(seed => JSON.stringify(surprise(seed))));
+    assert.ok(dishes.size > 1);
+  });
+
+  // Each option set is tried with every seed: the dish must be valid and respect the options
+  const cases = [
+    { name: 'no constraints', options: {} },
+    { name: 'maximum price', options: { maxPrice: 8 } },
+    { name: 'vegetarian', options: { diet: 'vegetarian' } },
+    { name: 'vegan without nuts', options: { diet: 'vegan', allergens: ['nuts'] } },
+    { name: 'without lactose and fish', options: { allergens: ['lactose', 'fish'] } },
+    { name: 'with an ingredient bringing a chain of dependencies', options: { includeId: 9 } },
+    { name: 'with an ingredient eligible for one dish only, within a price', options: { includeId: 8, maxPrice: 12 } },
+    { name: 'vegetarian with an ingredient, within a price', options: { diet: 'vegetarian', includeId: 3, maxPrice: 10 } }
+  ];
+  for (const c of cases) {
+    test(`valid dishes: ${c.name}`, () => {
+      const { maxPrice, diet = 'none', allergens = [], includeId } = c.options;
+      for (const seed of SEEDS) {
+        const result = surprise(seed, c.options);
+        assert.ok(result, `no dish for seed ${seed}`);
+        const ingredients = result.ingredients.map(sel => INGREDIENTS.find(ing => ing.id === sel.id));
+
+        assert.deepEqual(validateDish({
+          dish: result.dish,
+          size: result.size,
+          selection: result.ingredients,
+          ingredients: MENU.find(m => m.dish.id === result.dish.id).ingredients,
+          categories: CATEGORIES
+        }), [], `seed ${seed}`);
+        if (maxPrice !== undefined) {
+          assert.ok(priceOf(result) <= maxPrice + 1e-9, `seed ${seed}: €${priceOf(result)} over €${maxPrice}`);
+        }
+        if (diet === 'vegetarian') {
+          assert.ok(ingredients.every(ing => ing.vegetarian), `seed ${seed}: not vegetarian`);
+        }
+        if (diet === 'vegan') {
+          assert.ok(ingredients.every(ing => ing.vegan), `seed ${seed}: not vegan`);
+        }
+        assert.ok(ingredients.every(ing => !ing.allergens.some(a => allergens.includes(a))), `seed ${seed}: contains an allergen`);
+        if (includeId !== undefined) {
+          assert.ok(result.ingredients.some(sel => sel.id === includeId), `seed ${seed}: ingredient ${includeId} missing`);
+        }
+      }
+    });
+  }
+
+  test('the units used elsewhere are not available', () => {
+    // The only unit of Anchovies is held by another customer
+    for (const seed of SEEDS.slice(0, 10)) {
+      assert.equal(surprise(seed, { includeId: 8 }, new Map([[8, 1]])), null);
+    }
+  });
+
+  test('no dish when nothing fits the constraints', () => {
+    assert.equal(surprise(1, { maxPrice: 3 }), null);
+    assert.equal(surprise(1, { diet: 'vegan', includeId: 1 }), null);
+  });
+});
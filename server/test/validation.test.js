@@ -0,0 +1,197 @@
+'use strict';
+
+/** Tests of the ingredient rules shared by the client and the server (shared/validation.mjs) **/
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CODES, checkDependencies, checkIncompatibilities, checkRequiredByOthers, checkSizeLimit,
+  checkCategoryLimits, checkIngredients, validateDish
+} = require('../../shared/validation.mjs');
+
+// Ingredients, in the format of getIngredientsByIds, modelled on the seed data of init_db.sql
+const INGREDIENTS = [
+  { id: 1, name: 'Mozzarella', availability: 3, active: 1, category_id: 1, eligibleDishes: [1, 2, 3], dependencyIds: [2], incompatibilityIds: [] },
+  { id: 2, name: 'Tomatoes', availability: null, active: 1, category_id: 2, eligibleDishes: [1, 2, 3], dependencyIds: [5], incompatibilityIds: [7] },
+  { id: 3, name: 'Mushrooms', availability: 3, active: 1, category_id: 2, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [4, 7] },
+  { id: 4, name: 'Ham', availability: 2, active: 1, category_id: 3, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [3] },
+  { id: 5, name: 'Olives', availability: null, active: 1, category_id: 2, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [] },
+  { id: 6, name: 'Tuna', availability: 0, active: 1, category_id: 3, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [] },
+  { id: 7, name: 'Eggs', availability: null, active: 1, category_id: 3, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [2, 3] },
+  { id: 8, name: 'Anchovies', availability: 1, active: 1, category_id: 3, eligibleDishes: [1], dependencyIds: [], incompatibilityIds: [] },
+  { id: 11, name: 'Potatoes', availability: null, active: 0, category_id: 2, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [] },
+  { id: 12, name: 'Tomato Sauce', availability: null, active: 1, category_id: 4, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [] },
+  { id: 13, name: 'Pesto', availability: null, active: 1, category_id: 4, eligibleDishes: [1, 2, 3], dependencyIds: [], incompatibilityIds: [] }
+];
+const CATEGORIES = [
+  { id: 1, name: 'Cheeses', max_per_dish: null },
+  { id: 2, name: 'Vegetables', max_per_dish: null },
+  { id: 3, name: 'Proteins', max_per_dish: null },
+  { id: 4, name: 'Sauces', max_per_dish: 1 }
+];
+const PIZZA = { id: 1, name: 'Pizza' };
+const SALAD = { id: 3, name: 'Salad' };
+const SMALL = { name: 'Small', max_ingredients: 3 };
+const MEDIUM = { name: 'Medium', max_ingredients: 5 };
+
+const ing = (id) => INGREDIENTS.find(i => i.id === id);
+const v = (code, message, ingredientIds) => ({ code, message, ingredientIds });
+
+describe('checkDependencies', () => {
+  const cases = [
+    { name: 'dependency selected', ingredient: ing(1), selectedIds: [1, 2], expected: [] },
+    { name: 'dependency missing', ingredient: ing(1), selectedIds: [1],
+      expected: [v(CODES.DEPENDENCY_MISSING, 'Mozzarella requires Tomatoes', [1, 2])] },
+    { name: 'unknown dependency', ingredient: { id: 20, name: 'Basil', dependencyIds: [99] }, selectedIds: [20],
+      expected: [v(CODES.DEPENDENCY_MISSING, 'Basil requires ingredient ID 99', [20, 99])] },
+    { name: 'no dependency list', ingredient: { id: 20, name: 'Basil' }, selectedIds: [20], expected: [] }
+  ];
+  for (const c of cases) {
+    test(c.name, () => {
+      assert.deepEqual(checkDependencies(c.ingredient, c.selectedIds, INGREDIENTS), c.expected);
+    });
+  }
+});
+
+describe('checkIncompatibilities', () => {
+  const cases = [
+    { name: 'no conflict', ingredient: ing(3), selectedIds: [3, 5], expected: [] },
+    { name: 'one violation per conflicting ingredient', ingredient: ing(3), selectedIds: [3, 4, 7],
+      expected: [
+        v(CODES.INCOMPATIBLE, 'Mushrooms is incompatible with Ham', [3, 4]),
+        v(CODES.INCOMPATIBLE, 'Mushrooms is incompatible with Eggs', [3, 7])
+      ] },
+    { name: 'an ingredient is never incompatible with itself', ingredient: { id: 20, name: 'Basil', incompatibilityIds: [20] },
+      selectedIds: [20], expected: [] }
+  ];
+  for (const c of cases) {
+    test(c.name, () => {
+      assert.deepEqual(checkIncompatibilities(c.ingredient, c.selectedIds, INGREDIENTS), c.expected);
+    });
+  }
+});
+
+describe('checkRequiredByOthers', () => {
+  const selection = [ing(1), ing(2), ing(5)];
+  const cases = [
+    { name: 'nothing requires it', ingredient: ing(1), expected: [] },
+    { name: 'required by one ingredient', ingredient: ing(2),
+      expected: [v(CODES.REQUIRED_BY_OTHERS, "Cannot remove Tomatoes because it's required by: Mozzarella", [2, 1])] },
+    { name: 'required at the end of a chain', ingredient: ing(5),
+      expected: [v(CODES.REQUIRED_BY_OTHERS, "Cannot remove Olives because it's required by: Tomatoes", [5, 2])] }
+  ];
+  for (const c of cases) {
+    test(c.name, () => {
+      assert.deepEqual(checkRequiredByOthers(c.ingredient, selection), c.expected);
+    });
+  }
+});
+
+describe('checkSizeLimit', () => {
+  const cases = [
+    { name: 'within the limit', selection: [{ id: 2 }, { id: 5 }, { id: 12 }], size: SMALL, expected: [] },
+    { name: 'every portion counts', selection: [{ id: 1, quantity: 2 }, { id: 2 }, { id: 5 }], size: SMALL,
+      expected: [v(CODES.SIZE_LIMIT, 'Small Pizza dishes can only have up to 3 ingredients', [1, 2, 5])] },
+    { name: 'larger size', selection: [{ id: 1, quantity: 2 }, { id: 2 }, { id: 5 }], size: MEDIUM, expected: [] }
+  ];
+  for (const c of cases) {
+    test(c.name, () => {
+      assert.deepEqual(checkSizeLimit(c.selection, c.size, PIZZA), c.expected);
+    });
+  }
+});
+
+describe('checkCategoryLimits', () => {
+  const cases = [
+    { name: 'one sauce', selection: [{ id: 12 }, { id: 1 }], expected: [] },
+    { name: 'two sauces', selection: [{ id: 12 }, { id: 13 }],
+      expected: [v(CODES.CATEGORY_LIMIT, 'A dish can only have up to 1 from Sauces (2 selected)', [12, 13])] },
+    { name: 'two portions of the same sauce', selection: [{ id: 12, quantity: 2 }],
+      expected: [v(CODES.CATEGORY_LIMIT, 'A dish can only have up to 1 from Sauces (2 selected)', [12])] },
+    { name: 'unlimited categories and unknown ingredients', selection: [{ id: 2 }, { id: 3 }, { id: 5 }, { id: 99 }], expected: [] }
+  ];
+  for (const c of cases) {
+    test(c.name, () => {
+      assert.deepEqual(checkCategoryLimits(c.selection, INGREDIENTS, CATEGORIES), c.expected);
+    });
+  }
+});
+
+describe('checkIngredients', () => {
+  const cases = [
+    { name: 'valid selection', selection: [{ id: 1, quantity: 3 }, { id: 2 }], dish: PIZZA, expected: [] },
+    { name: 'unknown ingredient', selection: [{ id: 99 }], dish: PIZZA,
+      expected: [v(CODES.UNKNOWN_INGREDIENT, 'Ingredient with id 99 not found', [99])] },
+    { name: 'retired ingredient', selection: [{ id: 11 }], dish: PIZZA,
+      expected: [v(CODES.NOT_ON_MENU, 'Potatoes is no longer on the menu', [11])] },
+    { name: 'ingredient not eligible for the dish', selection: [{ id: 8 }], dish: SALAD,
+      expected: [v(CODES.NOT_ELIGIBLE, 'Anchovies is not available on Salad', [8])] },
+    { name: 'sold out', selection: [{ id: 6 }], dish: PIZZA,
+      expected: [v(CODES.OUT_OF_STOCK, 'Tuna is not available', [6])] },
+    { name: 'quantity over stock', selection: [{ id: 1, quantity: 4 }], dish: PIZZA,
+      expected: [v(CODES.OUT_OF_STOCK, 'There is not enough Mozzarella for 4 portions (3 left)', [1])] },
+    { name: 'quantity over the units left for the dish', selection: [{ id: 1, quantity: 2 }], dish: PIZZA,
+      remaining: (i) => i.availability === null ? null : i.availability - 2,
+      expected: [v(CODES.OUT_OF_STOCK, 'There is not enough Mozzarella for 2 portions (1 left)', [1])] },
+    { name: 'ineligible and over stock', selection: [{ id: 8, quantity: 2 }], dish: SALAD,
+      expected: [
+        v(CODES.NOT_ELIGIBLE, 'Anchovies is not available on Salad', [8]),
+        v(CODES.OUT_OF_STOCK, 'There is not enough Anchovies for 2 portions (1 left)', [8])
+      ] },
+    { name: 'optional fields are checked only when present', selection: [{ id: 20 }], dish: SALAD,
+      ingredients: [{ id: 20, name: 'Basil', availability: null }], expected: [] }
+  ];
+  for (const c of cases) {
+    test(c.name, () => {
+      assert.deepEqual(checkIngredients(c.selection, c.ingredients || INGREDIENTS, c.dish, c.remaining), c.expected);
+    });
+  }
+});
+
+describe('validateDish', () => {
+  // Mushrooms listing Eggs but not Ham, while Ham lists Mushrooms
+  const oneSided = INGREDIENTS.map(i => i.id === 3 ? { ...i, incompatibilityIds: [7] } : i);
+  const cases = [
+    { name: 'valid dish', dish: PIZZA, size: MEDIUM, selection: [{ id: 1 }, { id: 2 }, { id: 5 }], expected: [] },
+    { name: 'a repeated ingredient is reported alone', dish: PIZZA, size: SMALL,
+      selection: [{ id: 1 }, { id: 1 }, { id: 13 }, { id: 12 }, { id: 13 }],
+      expected: [v(CODES.DUPLICATE_INGREDIENT, 'Each ingredient can be selected only once', [1, 13])] },
+    { name: 'an incompatible pair is reported once', dish: PIZZA, size: MEDIUM, selection: [{ id: 2 }, { id: 5 }, { id: 7 }],
+      expected: [v(CODES.INCOMPATIBLE, 'Tomatoes is incompatible with Eggs', [2, 7])] },
+    { name: 'the pair is reported from the ingredient selected first', dish: PIZZA, size: MEDIUM, selection: [{ id: 7 }, { id: 2 }, { id: 5 }],
+      expected: [v(CODES.INCOMPATIBLE, 'Eggs is incompatible with Tomatoes', [7, 2])] },
+    { name: 'an incompatibility stored on one side only is reported', dish: PIZZA, size: MEDIUM, selection: [{ id: 3 }, { id: 4 }],
+      ingredients: oneSided, expected: [v(CODES.INCOMPATIBLE, 'Ham is incompatible with Mushrooms', [4, 3])] },
+    { name: 'unknown, retired and ineligible ingredients', dish: SALAD, size: MEDIUM, selection: [{ id: 99 }, { id: 11 }, { id: 8 }],
+      expected: [
+        v(CODES.UNKNOWN_INGREDIENT, 'Ingredient with id 99 not found', [99]),
+        v(CODES.NOT_ON_MENU, 'Potatoes is no longer on the menu', [11]),
+        v(CODES.NOT_ELIGIBLE, 'Anchovies is not available on Salad', [8])
+      ] },
+    { name: 'every violation, most basic first', dish: PIZZA, size: SMALL, selection: [{ id: 1, quantity: 4 }, { id: 12 }, { id: 13 }],
+      expected: [
+        v(CODES.OUT_OF_STOCK, 'There is not enough Mozzarella for 4 portions (3 left)', [1]),
+        v(CODES.SIZE_LIMIT, 'Small Pizza dishes can only have up to 3 ingredients', [1, 12, 13]),
+        v(CODES.CATEGORY_LIMIT, 'A dish can only have up to 1 from Sauces (2 selected)', [12, 13]),
+        v(CODES.DEPENDENCY_MISSING, 'Mozzarella requires Tomatoes', [1, 2])
+      ] },
+    { name: 'units left for the dish', dish: PIZZA, size: MEDIUM, selection: [{ id: 4 }],
+      remaining: (i) => i.id === 4 ? 0 : i.availability,
+      expected: [v(CODES.OUT_OF_STOCK, 'Ham is not available', [4])] },
+    { name: 'no category limits without categories', dish: PIZZA, size: MEDIUM, selection: [{ id: 12 }, { id: 13 }],
+      categories: [], expected: [] }
+  ];
+  for (const c of cases) {
+    test(c.name, () => {
+      const violations = validateDish({
+        dish: c.dish,
+        size: c.size,
+        selection: c.selection,
+        ingredients: c.ingredients || INGREDIENTS,
+        categories: c.categories || CATEGORIES,
+        remaining: c.remaining
+      });
+      assert.deepEqual(violations, c.expected);
+    });
+  }
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+/** Transaction helper: serializes the writes on the write connection **/
+
+// All the writes share one sqlite3 connection (db.writer, see db.js), and SQLite allows a single open transaction
+// per connection: two overlapping BEGIN TRANSACTION fail with "cannot start a transaction within a transaction",
+// and statements of concurrent requests would end up inside each other's transaction. Every write therefore goes
+// through a queue, so that a transaction starts only after the previous one has been committed or rolled back.
+// The reads of the DAOs use the other connection (db), so they only see committed data: a read that must be
+// consistent with a write (e.g. a stock check followed by the decrement) belongs inside the transaction, via tx.get/tx.all.
+
+const db = require('./db').writer;
+
+// Promise wrappers around the sqlite3 callback API
+const run = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+};
+
+const all = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+const get = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+// Statements available to the body of a transaction
+const tx = { run, all, get };
+
+// Tail of the queue: resolves when the last queued transaction has finished
+let queue = Promise.resolve();
+
+// This function runs work(tx) inside a transaction, after every transaction queued before it.
+// work must be async and use only the tx statements (tx.run, tx.all, tx.get); it must not start another transaction.
+// The transaction is committed when work resolves, and rolled back when work throws: the promise then rejects
+// with the thrown value, so DAOs can throw { error: '...' } to abort with a user-facing message.
+exports.runInTransaction = (work) => {
+  const result = queue.then(async () => {
+    await run('BEGIN TRANSACTION');
+    try {
+      const value = await work(tx);
+      await run('COMMIT');
+      return value;
+    } catch (err) {
+      try {
+        await run('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction:', rollbackErr);
+      }
+      throw err;
+    }
+  });
+  // The next transaction waits for this one, whatever its outcome
+  queue = result.catch(() => {});
+  return result;
+};
+
+// This function runs a single write statement through the transaction queue, resolving to { lastID, changes }
+exports.runWrite = (sql, params = []) => {
+  return exports.runInTransaction((t) => t.run(sql, params));
+};
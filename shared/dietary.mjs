@@ -0,0 +1,70 @@
+/**
+ * Dietary profiles and dietary information of dishes, shared by the client (Vite) and the server (Express)
+ *
+ * An ingredient carries vegetarian and vegan flags and the names of its allergens;
+ * a dietary profile is { diet, allergens } with diet one of DIETS and the allergens to avoid.
+ */
+
+// Default profile: no diet and no allergens to avoid
+const EMPTY_PROFILE = { diet: 'none', allergens: [] };
+
+// Diets a customer can follow, with their labels
+const DIETS = [
+  { value: 'none', label: 'Anything' },
+  { value: 'vegetarian', label: 'Vegetarian' },
+  { value: 'vegan', label: 'Vegan' }
+];
+
+/**
+ * Reasons why an ingredient does not fit a dietary profile
+ *
+ * @param {Object} ingredient - Ingredient with vegetarian, vegan and allergens
+ * @param {Object} profile - Dietary profile { diet, allergens }
+ * @returns {Array} Human readable conflicts, empty if the ingredient fits the profile
+ */
+const getDietaryConflicts = (ingredient, profile) => {
+  const conflicts = [];
+  if (!profile) return conflicts;
+  if (profile.diet === 'vegan' && !ingredient.vegan) {
+    conflicts.push('not vegan');
+  } else if (profile.diet === 'vegetarian' && !ingredient.vegetarian) {
+    conflicts.push('not vegetarian');
+  }
+  const allergens = (ingredient.allergens || []).filter(a => profile.allergens.includes(a));
+  if (allergens.length > 0) {
+    conflicts.push(`contains ${allergens.join(', ')}`);
+  }
+  return conflicts;
+};
+
+/**
+ * Tell whether an ingredient fits a dietary profile
+ *
+ * @param {Object} ingredient - Ingredient with vegetarian, vegan and allergens
+ * @param {Object} profile - Dietary profile { diet, allergens }
+ * @returns {boolean} true if the ingredient has no conflict with the profile
+ */
+const fitsDiet = (ingredient, profile) => getDietaryConflicts(ingredient, profile).length === 0;
+
+/**
+ * Merge several allergen lists into one sorted list without duplicates
+ *
+ * @param {Array} lists - Lists of allergen names
+ * @returns {Array} Sorted allergen names
+ */
+const mergeAllergens = (lists) => [...new Set(lists.flat())].sort();
+
+/**
+ * Dietary information of a dish, derived from its ingredients: the dish is vegetarian (vegan)
+ * only if all its ingredients are, and contains the allergens of all its ingredients
+ *
+ * @param {Array} ingredients - Ingredients of the dish
+ * @returns {Object} { vegetarian, vegan, allergens } with the allergens sorted by name
+ */
+const getDishDietary = (ingredients) => ({
+  vegetarian: ingredients.every(ing => !!ing.vegetarian),
+  vegan: ingredients.every(ing => !!ing.vegan),
+  allergens: mergeAllergens(ingredients.map(ing => ing.allergens || []))
+});
+
+export { EMPTY_PROFILE, DIETS, getDietaryConflicts, fitsDiet, mergeAllergens, getDishDietary };
@@ -0,0 +1,63 @@
+/**
+ * Nutrition of configured dishes and orders, shared by the client (Vite) and the server (Express)
+ *
+ * Nutrition values are { calories, protein, fat, carbs }, with the macronutrients in grams.
+ */
+
+// Nutrients tracked for every dish, with their labels and units
+const NUTRIENTS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' }
+];
+
+/**
+ * Round the nutrition values: calories to the unit, grams to one decimal
+ *
+ * @param {Object} nutrition - { calories, protein, fat, carbs }
+ * @returns {Object} Rounded nutrition
+ */
+const roundNutrition = (nutrition) => ({
+  calories: Math.round(nutrition.calories),
+  protein: Math.round(nutrition.protein * 10) / 10,
+  fat: Math.round(nutrition.fat * 10) / 10,
+  carbs: Math.round(nutrition.carbs * 10) / 10
+});
+
+/**
+ * Nutrition of a configured dish: the base dish values scaled by the nutrition multiplier
+ * of the size, plus the per-portion values of each ingredient times its quantity (1 if not given).
+ * The server stores the result with each dish when an order is placed, so the order history
+ * shows these stored values, not the ones of the current menu.
+ *
+ * @param {Object} dish - Base dish with calories, protein, fat and carbs
+ * @param {Object} size - Size with nutrition_multiplier (1 when missing)
+ * @param {Array} ingredients - Selected ingredients with their per-portion values and quantity
+ * @returns {Object} { calories, protein, fat, carbs }
+ */
+const getDishNutrition = (dish, size, ingredients) => {
+  const multiplier = size?.nutrition_multiplier ?? 1;
+  const nutrition = {};
+  for (const { key } of NUTRIENTS) {
+    nutrition[key] = (dish?.[key] || 0) * multiplier +
+      ingredients.reduce((sum, ing) => sum + (ing[key] || 0) * (ing.quantity || 1), 0);
+  }
+  return roundNutrition(nutrition);
+};
+
+/**
+ * Sum the nutrition of several dishes (e.g. the items of an order)
+ *
+ * @param {Array} list - Nutrition values of the dishes
+ * @returns {Object} { calories, protein, fat, carbs }
+ */
+const sumNutrition = (list) => {
+  const nutrition = {};
+  for (const { key } of NUTRIENTS) {
+    nutrition[key] = list.reduce((sum, n) => sum + n[key], 0);
+  }
+  return roundNutrition(nutrition);
+};
+
+export { NUTRIENTS, getDishNutrition, sumNutrition };
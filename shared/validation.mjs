@@ -0,0 +1,202 @@
+/**
+ * Ingredient constraint validation shared by the client (Vite) and the server (Express)
+ *
+ * Every check returns a list of violations { code, message, ingredientIds } (empty when the rule holds),
+ * so that callers can report all of them or just the first one. Ingredients are matched by id.
+ * An ingredient is { id, name, availability, active, category_id, eligibleDishes, dependencyIds, incompatibilityIds };
+ * the optional fields (active, eligibleDishes) are checked only when present.
+ */
+
+// Violation codes
+const CODES = {
+  INVALID_DISH: 'INVALID_DISH',
+  INVALID_SIZE: 'INVALID_SIZE',
+  DUPLICATE_INGREDIENT: 'DUPLICATE_INGREDIENT',
+  UNKNOWN_INGREDIENT: 'UNKNOWN_INGREDIENT',
+  NOT_ON_MENU: 'NOT_ON_MENU',
+  NOT_ELIGIBLE: 'NOT_ELIGIBLE',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  SIZE_LIMIT: 'SIZE_LIMIT',
+  CATEGORY_LIMIT: 'CATEGORY_LIMIT',
+  DEPENDENCY_MISSING: 'DEPENDENCY_MISSING',
+  INCOMPATIBLE: 'INCOMPATIBLE',
+  REQUIRED_BY_OTHERS: 'REQUIRED_BY_OTHERS'
+};
+
+/**
+ * Build a violation
+ *
+ * @param {string} code - One of CODES
+ * @param {string} message - Human readable explanation
+ * @param {Array} ingredientIds - Ids of the ingredients involved
+ * @returns {Object} Violation { code, message, ingredientIds }
+ */
+const violation = (code, message, ingredientIds = []) => ({ code, message, ingredientIds });
+
+/**
+ * Index ingredients by id, with a name lookup that tolerates unknown ids
+ *
+ * @param {Array} ingredients - Known ingredients
+ * @returns {Object} { byId: Map, nameOf: function(id) }
+ */
+const indexIngredients = (ingredients) => {
+  const byId = new Map(ingredients.map(ing => [ing.id, ing]));
+  const nameOf = (id) => byId.has(id) ? byId.get(id).name : `ingredient ID ${id}`;
+  return { byId, nameOf };
+};
+
+/**
+ * Check that the ingredients required by an ingredient are selected
+ *
+ * @param {Object} ingredient - Ingredient with dependencyIds
+ * @param {Array} selectedIds - Ids of the selected ingredients
+ * @param {Array} ingredients - Known ingredients, used for the names
+ * @returns {Array} One DEPENDENCY_MISSING violation per missing ingredient
+ */
+const checkDependencies = (ingredient, selectedIds, ingredients) => {
+  const { nameOf } = indexIngredients(ingredients);
+  return (ingredient.dependencyIds || [])
+    .filter(depId => !selectedIds.includes(depId))
+    .map(depId => violation(CODES.DEPENDENCY_MISSING, `${ingredient.name} requires ${nameOf(depId)}`, [ingredient.id, depId]));
+};
+
+/**
+ * Check that no selected ingredient is incompatible with an ingredient
+ *
+ * @param {Object} ingredient - Ingredient with incompatibilityIds
+ * @param {Array} selectedIds - Ids of the selected ingredients
+ * @param {Array} ingredients - Known ingredients, used for the names
+ * @returns {Array} One INCOMPATIBLE violation per conflicting ingredient
+ */
+const checkIncompatibilities = (ingredient, selectedIds, ingredients) => {
+  const { nameOf } = indexIngredients(ingredients);
+  return (ingredient.incompatibilityIds || [])
+    .filter(incId => incId !== ingredient.id && selectedIds.includes(incId))
+    .map(incId => violation(CODES.INCOMPATIBLE, `${ingredient.name} is incompatible with ${nameOf(incId)}`, [ingredient.id, incId]));
+};
+
+/**
+ * Check that an ingredient can be removed, i.e. no other selected ingredient requires it
+ *
+ * @param {Object} ingredient - Ingredient to remove
+ * @param {Array} selection - Selected ingredients, with dependencyIds
+ * @returns {Array} A REQUIRED_BY_OTHERS violation listing the ingredients that require it, if any
+ */
+const checkRequiredByOthers = (ingredient, selection) => {
+  const dependents = selection.filter(ing => ing.id !== ingredient.id && (ing.dependencyIds || []).includes(ingredient.id));
+  if (dependents.length === 0) return [];
+  return [violation(CODES.REQUIRED_BY_OTHERS,
+    `Cannot remove ${ingredient.name} because it's required by: ${dependents.map(ing => ing.name).join(', ')}`,
+    [ingredient.id, ...dependents.map(ing => ing.id)])];
+};
+
+/**
+ * Check that the portions of the selection fit the size (every portion counts)
+ *
+ * @param {Array} selection - Selected ingredients [{ id, quantity }] (quantity defaults to 1)
+ * @param {Object} size - Size { name, max_ingredients }
+ * @param {Object} dish - Base dish { name }, used in the message
+ * @returns {Array} A SIZE_LIMIT violation if the size is exceeded
+ */
+const checkSizeLimit = (selection, size, dish) => {
+  const portions = selection.reduce((sum, sel) => sum + (sel.quantity || 1), 0);
+  if (portions <= size.max_ingredients) return [];
+  return [violation(CODES.SIZE_LIMIT, `${size.name} ${dish.name} dishes can only have up to ${size.max_ingredients} ingredients`,
+    selection.map(sel => sel.id))];
+};
+
+/**
+ * Check the limits of the categories (e.g. at most 1 sauce), every portion counts
+ *
+ * @param {Array} selection - Selected ingredients [{ id, quantity }] (quantity defaults to 1)
+ * @param {Array} ingredients - Known ingredients, with their category_id
+ * @param {Array} categories - Ingredient categories { id, name, max_per_dish }
+ * @returns {Array} One CATEGORY_LIMIT violation per exceeded category
+ */
+const checkCategoryLimits = (selection, ingredients, categories) => {
+  const { byId } = indexIngredients(ingredients);
+  const violations = [];
+  for (const category of categories.filter(c => c.max_per_dish !== null)) {
+    const inCategory = selection.filter(sel => byId.has(sel.id) && byId.get(sel.id).category_id === category.id);
+    const portions = inCategory.reduce((sum, sel) => sum + (sel.quantity || 1), 0);
+    if (portions > category.max_per_dish) {
+      violations.push(violation(CODES.CATEGORY_LIMIT,
+        `A dish can only have up to ${category.max_per_dish} from ${category.name} (${portions} selected)`,
+        inCategory.map(sel => sel.id)));
+    }
+  }
+  return violations;
+};
+
+/**
+ * Check that each selected ingredient exists, is on the menu, can be put on the dish and is in stock
+ *
+ * @param {Array} selection - Selected ingredients [{ id, quantity }] (quantity defaults to 1)
+ * @param {Array} ingredients - Known ingredients
+ * @param {Object} dish - Base dish { id, name }
+ * @param {Function} remaining - Units of an ingredient left for this dish (null for unlimited), by default its availability
+ * @returns {Array} UNKNOWN_INGREDIENT, NOT_ON_MENU, NOT_ELIGIBLE and OUT_OF_STOCK violations
+ */
+const checkIngredients = (selection, ingredients, dish, remaining = (ing) => ing.availability) => {
+  const { byId } = indexIngredients(ingredients);
+  const violations = [];
+  for (const sel of selection) {
+    const ing = byId.get(sel.id);
+    const quantity = sel.quantity || 1;
+    if (!ing) {
+      violations.push(violation(CODES.UNKNOWN_INGREDIENT, `Ingredient with id ${sel.id} not found`, [sel.id]));
+      continue;
+    }
+    if (ing.active !== undefined && !ing.active) {
+      violations.push(violation(CODES.NOT_ON_MENU, `${ing.name} is no longer on the menu`, [ing.id]));
+    } else if (ing.eligibleDishes && !ing.eligibleDishes.includes(dish.id)) {
+      violations.push(violation(CODES.NOT_ELIGIBLE, `${ing.name} is not available on ${dish.name}`, [ing.id]));
+    }
+    const left = remaining(ing);
+    if (left !== null && left <= 0) {
+      violations.push(violation(CODES.OUT_OF_STOCK, `${ing.name} is not available`, [ing.id]));
+    } else if (left !== null && left < quantity) {
+      violations.push(violation(CODES.OUT_OF_STOCK, `There is not enough ${ing.name} for ${quantity} portions (${left} left)`, [ing.id]));
+    }
+  }
+  return violations;
+};
+
+/**
+ * Validate a whole configured dish: ingredients, size and category limits, dependencies and incompatibilities
+ * (each incompatible pair is reported once, from the ingredient selected first). Violations come in this order,
+ * so the first one is the most basic problem; a repeated ingredient is reported alone.
+ *
+ * @param {Object} options - { dish, size, selection, ingredients, categories, remaining }
+ * @param {Object} options.dish - Base dish { id, name }
+ * @param {Object} options.size - Size of the dish { name, max_ingredients }
+ * @param {Array} options.selection - Selected ingredients [{ id, quantity }] (quantity defaults to 1)
+ * @param {Array} options.ingredients - Known ingredients (at least the selected ones)
+ * @param {Array} options.categories - Ingredient categories { id, name, max_per_dish }
+ * @param {Function} options.remaining - Units of an ingredient left for this dish, see checkIngredients
+ * @returns {Array} Violations, empty if the dish is valid
+ */
+const validateDish = ({ dish, size, selection, ingredients, categories = [], remaining }) => {
+  const selectedIds = selection.map(sel => sel.id);
+  if (new Set(selectedIds).size !== selectedIds.length) {
+    const repeated = selectedIds.filter((id, i) => selectedIds.indexOf(id) !== i);
+    return [violation(CODES.DUPLICATE_INGREDIENT, 'Each ingredient can be selected only once', [...new Set(repeated)])];
+  }
+  const { byId } = indexIngredients(ingredients);
+  const selected = selectedIds.filter(id => byId.has(id)).map(id => byId.get(id));
+  const incompatibilities = selected
+    .flatMap(ing => checkIncompatibilities(ing, selectedIds, ingredients))
+    .filter(v => selectedIds.indexOf(v.ingredientIds[0]) < selectedIds.indexOf(v.ingredientIds[1]) || !(byId.get(v.ingredientIds[1]).incompatibilityIds || []).includes(v.ingredientIds[0]));
+  return [
+    ...checkIngredients(selection, ingredients, dish, remaining),
+    ...checkSizeLimit(selection, size, dish),
+    ...checkCategoryLimits(selection, ingredients, categories),
+    ...selected.flatMap(ing => checkDependencies(ing, selectedIds, ingredients)),
+    ...incompatibilities
+  ];
+};
+
+export {
+  CODES, checkDependencies, checkIncompatibilities, checkRequiredByOthers, checkSizeLimit,
+  checkCategoryLimits, checkIngredients, validateDish
+};